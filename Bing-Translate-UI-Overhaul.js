@@ -1,426 +1,7019 @@
 // ==UserScript==
 // @name         Bing Translate UI Overhaul
 // @author       tdun2621
-// @description  Enables Alt + Z to copy translated text (plain text), Alt + S to swap languages, Alt + A to swap tone. Defaults to English and French (Canada). Various UI fixes, including improved handling of emails/websites and line breaks.
+// @description  Enables Alt + Z to copy translated text (plain text), Alt + S to swap languages, Alt + A to swap tone (shortcuts can be remapped, press ? to list them). Defaults to English and French (Canada), configurable from the settings panel. Various UI fixes, including improved handling of emails/websites and line breaks.
 // @match        https://www.bing.com/translator*
 // @icon         https://images.sftcdn.net/images/t_app-icon-s/p/fcf326e2-9524-11e6-9fb1-00163ec9f5fa/3499352888/bing-translator-windows-10-icon.png
 // @grant        none
-// @version      2.0
+// @require      https://raw.githubusercontent.com/tdun2621/Bing-Translate-UI-Overhaul/v2.1/lib/protected-tokens.js
+// @require      https://raw.githubusercontent.com/tdun2621/Bing-Translate-UI-Overhaul/v2.1/lib/highlights.js
+// @require      https://raw.githubusercontent.com/tdun2621/Bing-Translate-UI-Overhaul/v2.1/lib/alignment.js
+// @require      https://raw.githubusercontent.com/tdun2621/Bing-Translate-UI-Overhaul/v2.1/lib/output-processors.js
+// @require      https://raw.githubusercontent.com/tdun2621/Bing-Translate-UI-Overhaul/v2.1/lib/output-wait.js
+// @version      2.1
 // ==/UserScript==
 
 (function() {
     'use strict';
 
+    // Modules kept in lib/ so the tests can load them without the page; see @require above.
+    // The @require URLs point at the tag of this @version: bump them together, and tag the release.
+    const { splitListMarker, segmentSentences, alignTranslation, pairSentences } = BingTranslateOverhaul.alignment;
+    const { extractHighlights } = BingTranslateOverhaul.highlights;
+    const { parseOutputRules, formatOutputRules, OUTPUT_PROCESSORS } = BingTranslateOverhaul.outputProcessors;
+    const { waitForTranslation } = BingTranslateOverhaul.outputWait;
+
+    // How many of the script's own warnings and errors the diagnostics panel keeps.
+    const DIAGNOSTIC_LOG_SIZE = 50;
+
+    // The script's recent warnings and errors, oldest first: { time, level, message }.
+    const diagnosticLog = [];
+
+    // Notifies the diagnostics panel that the log changed, once the panel exists.
+    let onDiagnosticLogChanged = () => {};
+
     /**
-     * Clicks a given DOM element if it exists.
-     * @param {HTMLElement} element - The element to click.
+     * Turns a logged value into text for the diagnostics log.
+     * @param {*} value - A value passed to logWarning() or logError().
+     * @returns {string} A readable representation of the value.
      */
-    function clickElement(element) {
-        if (element) {
-            element.click();
+    function formatLogValue(value) {
+        if (value instanceof Error) {
+            return `${value.name}: ${value.message}`;
+        }
+        if (typeof value === 'string') {
+            return value;
+        }
+        try {
+            return JSON.stringify(value);
+        } catch (err) {
+            return String(value);
         }
     }
 
     /**
-     * Copies plain text to the clipboard using navigator.clipboard API,
-     * with a fallback for older browsers or restricted environments.
-     * @param {string} text - The text to copy.
+     * Adds a message to the diagnostics log, dropping the oldest beyond DIAGNOSTIC_LOG_SIZE.
+     * @param {string} level - 'warn' or 'error'.
+     * @param {Array} values - The values that were logged.
      */
-    function copyPlainText(text) {
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-            navigator.clipboard.writeText(text).catch(err => {
-                console.error('Failed to copy text using Clipboard API: ', err);
-                fallbackCopyText(text);
-            });
-        } else {
-            fallbackCopyText(text);
+    function recordDiagnostic(level, values) {
+        diagnosticLog.push({ time: new Date().toISOString(), level, message: values.map(formatLogValue).join(' ') });
+        if (diagnosticLog.length > DIAGNOSTIC_LOG_SIZE) {
+            diagnosticLog.shift();
         }
+        onDiagnosticLogChanged();
     }
 
     /**
-     * Fallback method to copy text to clipboard using a temporary textarea and execCommand.
-     * @param {string} text - The text to copy.
+     * Logs a warning to the console and keeps it for the diagnostics panel.
+     * @param {...*} values - The values to log.
      */
-    function fallbackCopyText(text) {
-        const textArea = document.createElement('textarea');
-        textArea.value = text;
-        // Position off-screen to avoid visual disruption
-        textArea.style.position = 'fixed';
-        textArea.style.left = '-999999px';
-        textArea.style.top = '-999999px';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
+    function logWarning(...values) {
+        recordDiagnostic('warn', values);
+        console.warn(...values);
+    }
+
+    /**
+     * Logs an error to the console and keeps it for the diagnostics panel.
+     * @param {...*} values - The values to log.
+     */
+    function logError(...values) {
+        recordDiagnostic('error', values);
+        console.error(...values);
+    }
+
+    const SETTINGS_STORAGE_KEY = 'bingTranslateOverhaul.settings';
+
+    // Used when nothing has been saved yet, or a saved value is missing.
+    const DEFAULT_SETTINGS = {
+        sourceLanguage: 'English (detected)',
+        targetLanguage: 'French (Canada)',
+        tone: 'Casual',
+        shortcuts: {}, // Command id -> chord, only for bindings the user has changed
+        theme: 'auto', // 'auto' follows prefers-color-scheme; otherwise a THEMES key
+        textFontSize: 24, // In pixels, for the input and output boxes
+        textFontFamily: '', // Empty keeps Bing's font
+        multiTargetLanguages: [], // Target languages for multi-target mode, in display order
+        mutedNotifications: [], // NOTIFICATION_CATEGORIES keys whose toasts are not shown
+        speechRate: 1, // Read-aloud speed, 0.5 to 2
+        speechPitch: 1, // Read-aloud pitch, 0 to 2
+        outputProcessors: {} // Processor id -> target language -> enabled, only where it differs from the default
+    };
+
+    /**
+     * Loads the user's settings from localStorage, filling in defaults for anything missing.
+     * @returns {Object} The merged settings object.
+     */
+    function loadSettings() {
         try {
-            // Deprecated, but still works in many environments where Clipboard API is restricted
-            document.execCommand('copy');
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+            if (stored && typeof stored === 'object') {
+                return Object.assign({}, DEFAULT_SETTINGS, stored);
+            }
         } catch (err) {
-            console.error('Fallback: Oops, unable to copy', err);
-        } finally {
-            document.body.removeChild(textArea);
+            logWarning('Could not read saved settings, using defaults.', err);
         }
+        return Object.assign({}, DEFAULT_SETTINGS);
     }
 
     /**
-     * Retrieves the translated text from the Bing Translate output div.
-     * @returns {string|null} The translated text, or null if the element is not found.
+     * Persists the given settings to localStorage.
+     * @param {Object} newSettings - The settings to save.
      */
-    function getTranslatedText() {
-        const bingResult = document.querySelector('#tta_output_ta');
-        if (bingResult) {
-            return bingResult.innerText;
+    function saveSettings(newSettings) {
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(newSettings));
+        } catch (err) {
+            logError('Failed to save settings: ', err);
         }
-        return null;
     }
 
+    // Every localStorage key of the script starts with this; the rest is the data's storage name.
+    const STORAGE_KEY_PREFIX = 'bingTranslateOverhaul.';
+
+    const SCHEMA_VERSION_STORAGE_KEY = 'bingTranslateOverhaul.schemaVersion';
+
+    // Version of the shape of the stored data. Bump it, and add a migration from the previous
+    // version, whenever a change means data saved by older releases has to be rewritten.
+    const STORAGE_SCHEMA_VERSION = 1;
+
+    // Version -> function upgrading data of that version to the next. Each takes and returns the
+    // data keyed by storage name, so the same steps upgrade this browser's data and older export
+    // files. The translation memory lives in IndexedDB and is upgraded by its database version.
+    const STORAGE_MIGRATIONS = {
+        0: data => data // Data saved before versioning already has the version 1 shape
+    };
+
     /**
-     * Handles keyboard shortcuts for copying translated text and swapping languages,
-     * and now also for toggling tone.
-     * @param {KeyboardEvent} event - The keyboard event.
+     * Upgrades data one version at a time to the current schema version.
+     * @param {Object} data - Storage name -> value, as saved by the given version.
+     * @param {number} version - The schema version the data was saved with.
+     * @returns {Object} The data in the current shape.
      */
-    function handleKeydown(event) {
-        // Alt + Z for copying translated text as plain text
-        if (event.altKey && event.key === 'z') {
-            event.preventDefault();
-            const translatedText = getTranslatedText();
-            if (translatedText) {
-                copyPlainText(translatedText.trim());
+    function migrateStoredData(data, version) {
+        let migrated = data;
+        for (let from = version; from < STORAGE_SCHEMA_VERSION; from++) {
+            migrated = STORAGE_MIGRATIONS[from](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * Reads every value the script keeps in localStorage. Values that are not valid JSON are
+     * logged and left out.
+     * @returns {Object} Storage name -> parsed value.
+     */
+    function readStoredData() {
+        const data = {};
+        for (let index = 0; index < localStorage.length; index++) {
+            const key = localStorage.key(index);
+            if (!key.startsWith(STORAGE_KEY_PREFIX) || key === SCHEMA_VERSION_STORAGE_KEY) {
+                continue;
+            }
+            try {
+                data[key.slice(STORAGE_KEY_PREFIX.length)] = JSON.parse(localStorage.getItem(key));
+            } catch (err) {
+                logWarning(`Could not read stored ${key}.`, err);
             }
         }
+        return data;
+    }
 
-        // Alt + S for swapping languages
-        if (event.altKey && event.key === 's') {
-            event.preventDefault();
-            const bingSwapButton = document.querySelector('div#tta_revIcon');
-            clickElement(bingSwapButton);
+    /**
+     * Brings this browser's stored data up to the current schema version before anything reads
+     * it. Data saved by a newer version of the script is left alone.
+     */
+    function upgradeStoredData() {
+        const storedVersion = parseInt(localStorage.getItem(SCHEMA_VERSION_STORAGE_KEY), 10);
+        const version = Number.isInteger(storedVersion) ? storedVersion : 0;
+        if (version > STORAGE_SCHEMA_VERSION) {
+            logWarning(`Stored data is from a newer version of the script (schema ${version}); it may not load correctly.`);
+            return;
         }
+        if (version === STORAGE_SCHEMA_VERSION) {
+            return;
+        }
+        try {
+            const data = readStoredData();
+            const migrated = migrateStoredData(data, version);
+            // Migrations may rename or drop data, so clear what is no longer there
+            Object.keys(data).filter(name => !(name in migrated)).forEach(name => {
+                localStorage.removeItem(STORAGE_KEY_PREFIX + name);
+            });
+            Object.keys(migrated).forEach(name => {
+                localStorage.setItem(STORAGE_KEY_PREFIX + name, JSON.stringify(migrated[name]));
+            });
+            localStorage.setItem(SCHEMA_VERSION_STORAGE_KEY, String(STORAGE_SCHEMA_VERSION));
+        } catch (err) {
+            logError('Failed to upgrade stored data: ', err);
+        }
+    }
 
-        // Alt + A for toggling between Casual and Formal tones
-        if (event.altKey && event.key === 'a') {
-            event.preventDefault();
+    upgradeStoredData();
+    let settings = loadSettings();
 
-            const toneSelectElement = document.querySelector('#tta_tonesl');
-            if (toneSelectElement) {
-                const currentTone = toneSelectElement.value;
-                if (currentTone === 'Casual') {
-                    selectTone('Formal');
-                } else if (currentTone === 'Formal') {
-                    selectTone('Casual');
-                } else { // If it's "Standard" or anything else, default to Casual
-                    selectTone('Casual');
-                }
+    /**
+     * Creates an element with the given attributes and children.
+     * Attributes named `className`, `textContent` or starting with `on` are set as properties.
+     * @param {string} tagName - The tag name of the element to create.
+     * @param {Object} [attributes] - Attributes or properties to set on the element.
+     * @param {Array<Node|string>} [children] - Child nodes or text to append.
+     * @returns {HTMLElement} The created element.
+     */
+    function buildElement(tagName, attributes = {}, children = []) {
+        const element = document.createElement(tagName);
+        Object.keys(attributes).forEach(name => {
+            const value = attributes[name];
+            if (name === 'className' || name === 'textContent' || name.startsWith('on')) {
+                element[name] = value;
             } else {
-                console.warn('Tone select element (#tta_tonesl) not found.');
+                element.setAttribute(name, value);
             }
-        }
+        });
+        children.forEach(child => element.append(child));
+        return element;
     }
 
     /**
-     * Attempts to preserve line breaks in the Bing Translator output by
-     * synchronizing with the input's line structure using anchors.
+     * Sets a button's tooltip and its accessible name together, so icon-only buttons
+     * are announced by what they do rather than by their glyph.
+     * @param {HTMLElement} button - The button.
+     * @param {string} label - The label.
      */
-    function preserveBingLineBreaks() {
-        if (!window.location.hostname.includes('bing.com')) return;
-        let lastProcessedInputHTML = '';
-        let lastProcessedOutputText = '';
-
-        // --- Helper functions for anchor-based splitting (isSpecial, escapeRegex) remain the same ---
-        const urlRegexSimple = /^(https?:\/\/|www\.)[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}(?:\/[^\s]*)?$/;
-        const emailRegexSimple = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-
-        function isSpecial(line) {
-            const trimmed = line.trim();
-            return urlRegexSimple.test(trimmed) ||
-                   emailRegexSimple.test(trimmed);
-        }
+    function setButtonLabel(button, label) {
+        button.title = label;
+        button.setAttribute('aria-label', label);
+    }
 
-        function escapeRegex(string) {
-            return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        }
-        // --- End Helpers ---
+    /**
+     * Hides the SVG icons inside an element from assistive technology.
+     * @param {HTMLElement} element - The element holding the icons.
+     */
+    function hideDecorativeIcons(element) {
+        element.querySelectorAll('svg').forEach(icon => {
+            icon.setAttribute('aria-hidden', 'true');
+            icon.setAttribute('focusable', 'false');
+        });
+    }
 
-        /**
-         * Dispatches various DOM events on an element to simulate user input.
-         * @param {HTMLElement} element - The element to dispatch events on.
-         */
-        function triggerOutputEvents(element) {
-            const inputEvent = new Event('input', { bubbles: true });
-            const changeEvent = new Event('change', { bubbles: true });
-            const compositionEndEvent = new Event('compositionend', { bubbles: true });
-            element.dispatchEvent(inputEvent);
-            element.dispatchEvent(changeEvent);
-            element.dispatchEvent(compositionEndEvent);
+    /**
+     * Reads a message out to screen-reader users through the overhaul's live region.
+     * @param {string} message - The message to announce.
+     */
+    function announce(message) {
+        const liveRegion = document.getElementById('custom_live_region');
+        if (!liveRegion) {
+            return;
         }
+        // Clear first and set the text on the next tick, so a repeated message is announced again
+        liveRegion.textContent = '';
+        setTimeout(() => {
+            liveRegion.textContent = message;
+        }, 50);
+    }
 
-        /**
-         * Core logic for processing and restoring line breaks.
-         */
-        function processTranslationLineBreaks() {
-            const inputTextarea = document.querySelector('#tta_input_ta');
-            const outputDiv = document.querySelector('#tta_output_ta');
+    // Toast categories, with the label used in the settings panel and how long their toasts stay.
+    const NOTIFICATION_CATEGORIES = {
+        success: { label: 'Confirmations', duration: 2500 },
+        warning: { label: 'Warnings', duration: 5000 },
+        error: { label: 'Errors', duration: 8000 }
+    };
 
-            if (!inputTextarea || !outputDiv) {
-                setTimeout(processTranslationLineBreaks, 500);
-                return;
-            }
+    // Toasts shown at once; further ones wait in notificationQueue.
+    const NOTIFICATION_MAX_VISIBLE = 3;
 
-            const currentInputHTML = inputTextarea.innerHTML;
-            const currentOutputText = outputDiv.innerText;
+    // Toasts waiting for a free slot, oldest first.
+    const notificationQueue = [];
 
-            if (currentInputHTML === lastProcessedInputHTML && currentOutputText === lastProcessedOutputText) {
-                return;
-            }
+    /**
+     * Reports the outcome of an action as a toast below the top bar, unless its category is muted,
+     * and announces it to screen readers either way.
+     * @param {string} category - A NOTIFICATION_CATEGORIES key.
+     * @param {string} message - The message to show.
+     */
+    function notify(category, message) {
+        announce(message);
+        if ((settings.mutedNotifications || []).includes(category)) {
+            return;
+        }
+        const container = document.getElementById('custom_notifications');
+        // Repeating the visible message restarts its timer instead of stacking a copy
+        const duplicate = container && Array.from(container.children)
+            .find(toast => toast.dataset.category === category && toast.dataset.message === message);
+        if (duplicate) {
+            duplicate.restartTimer();
+            return;
+        }
+        notificationQueue.push({ category, message });
+        showQueuedNotifications();
+    }
 
-            lastProcessedInputHTML = currentInputHTML;
-            lastProcessedOutputText = currentOutputText;
-            const inputLines = inputTextarea.innerHTML
-                .replace(/<br\s*\/?>/gi, '\n')
-                .split('\n');
-            if (inputLines.every(line => line.trim() === '')) {
-                if (outputDiv.innerText !== '') {
-                    outputDiv.innerText = '';
-                    triggerOutputEvents(outputDiv);
-                }
-                return;
-            }
+    /**
+     * Moves queued notifications into the toast area while there is room for them.
+     */
+    function showQueuedNotifications() {
+        const container = document.getElementById('custom_notifications');
+        if (!container) {
+            return; // Shown once the area is created
+        }
+        while (notificationQueue.length > 0 && container.children.length < NOTIFICATION_MAX_VISIBLE) {
+            const { category, message } = notificationQueue.shift();
+            const dismissButton = buildElement('button', { type: 'button', className: 'custom_notification_dismiss', title: 'Dismiss', 'aria-label': 'Dismiss', textContent: '\u00d7' });
+            const toast = buildElement('div', { className: `custom_notification custom_notification_${category}` }, [
+                buildElement('span', { textContent: message }),
+                dismissButton
+            ]);
+            toast.dataset.category = category;
+            toast.dataset.message = message;
 
-            // MODIFIED: Output segmentation logic (from previous step by user)
-            let outputSegments = [];
-            const trimmedOutputText = currentOutputText.trim();
+            let timer = null;
+            const dismiss = () => {
+                clearTimeout(timer);
+                toast.remove();
+                showQueuedNotifications();
+            };
+            toast.restartTimer = () => {
+                clearTimeout(timer);
+                timer = setTimeout(dismiss, NOTIFICATION_CATEGORIES[category].duration);
+            };
+            dismissButton.addEventListener('click', dismiss);
+            // Keep a toast up while the pointer is on it
+            toast.addEventListener('mouseenter', () => clearTimeout(timer));
+            toast.addEventListener('mouseleave', toast.restartTimer);
+            container.appendChild(toast);
+            toast.restartTimer();
+        }
+    }
 
-            if (trimmedOutputText.length > 0) {
-                // Primary method for segmenting output: split into sentences.
-                // This regex splits by common sentence terminators (. ! ?).
-                outputSegments = trimmedOutputText.match(/[^.!?]+(?:[.!?]+|$)/g) || [trimmedOutputText];
-                outputSegments = outputSegments.map(s => s.trim()).filter(s => s.length > 0);
-            }
+    /**
+     * Finds the custom top bar that features place their controls in, logging an error if it is missing.
+     * @param {string} purpose - What the caller needs the bar for, completing "not found to ...".
+     * @returns {HTMLElement|null} The top bar, or null if it does not exist.
+     */
+    function getCustomTopBar(purpose) {
+        const customTopBar = document.getElementById('custom_top_bar');
+        if (!customTopBar) {
+            logError(`Custom top bar not found to ${purpose}.`);
+        }
+        return customTopBar;
+    }
 
-            // Safety net: If sentence splitting resulted in no segments but there was text,
-            // use the whole trimmed block.
-            // This is unlikely if the regex above has `|| [trimmedOutputText]`.
-            if (outputSegments.length === 0 && trimmedOutputText.length > 0) {
-                outputSegments = [trimmedOutputText];
-            }
+    /**
+     * Adds the area in the top bar that notify() shows its toasts in.
+     */
+    function createNotificationArea() {
+        const customTopBar = getCustomTopBar('place notifications');
+        if (!customTopBar) {
+            return;
+        }
+        // Toasts are announced through the live region, so the area itself stays silent
+        customTopBar.appendChild(buildElement('div', { id: 'custom_notifications', role: 'group', 'aria-label': 'Notifications' }));
+        showQueuedNotifications();
+    }
 
-            let restoredOutputArray = [];
-            let outputIndex = 0;
-            // Correlate input lines with output segments
-            for (let i = 0; i < inputLines.length; i++) {
-                const inputLineTrimmed = inputLines[i].trim();
-                if (inputLineTrimmed === '') {
-                    restoredOutputArray.push('');
-                } else {
-                    // If there's a corresponding output segment, use it
-                    if (outputIndex < outputSegments.length) {
-                        restoredOutputArray.push(outputSegments[outputIndex]);
-                        outputIndex++;
-                    } else {
-                        // If output is shorter than input
-                        console.warn("Input/Output alignment mismatch (fewer output segments than input lines). Pushing empty for input line:", inputLineTrimmed);
-                        restoredOutputArray.push('');
-                    }
-                }
-            }
+    // Bing elements the script depends on, each with selectors tried in order, so a markup
+    // change that renames one selector does not break the feature.
+    const BING_ELEMENT_SELECTORS = {
+        input: ['#tta_input_ta', '#tta_in textarea', '.tta_inputbox textarea'],
+        output: ['#tta_output_ta', '#tta_out .tta_output', '.tta_outputbox [aria-live]'],
+        swapButton: ['div#tta_revIcon', '#tta_revIcon', '[aria-label="Swap languages"]'],
+        copyButton: ['div#tta_copyIcon', '#tta_copyIcon'],
+        toneSelect: ['#tta_tonesl', 'select[aria-label*="tone" i]'],
+        sourceLanguage: ['#tta_srcsl', '[aria-label="Source language"]'],
+        targetLanguage: ['#tta_tgtsl', '[aria-label="Target language"]']
+    };
 
-            // If there are more output segments than input lines (e.g., Bing split one input line into multiple sentences)
-            // append the remaining output segments to the last non-empty line of the restored output.
-            while (outputIndex < outputSegments.length) {
-                console.warn("Appending extra output segment to the last non-empty line:", outputSegments[outputIndex]);
-                let foundSpot = false;
-                for (let k = restoredOutputArray.length - 1; k >= 0; k--) {
-                    if (restoredOutputArray[k] !== '') {
-                        // Careful concatenation from version 1.4
-                        if (restoredOutputArray[k].length > 0 &&
-                            outputSegments[outputIndex].length > 0 &&
-                            !/\s$/.test(restoredOutputArray[k]) &&
-                            !/^\s/.test(outputSegments[outputIndex])) {
-                            restoredOutputArray[k] += ' ';
-                        }
-                        restoredOutputArray[k] += outputSegments[outputIndex];
-                        foundSpot = true;
-                        break;
-                    }
-                }
-                // If all previous lines were empty, just push the segment as a new line.
-                if (!foundSpot) {
-                    restoredOutputArray.push(outputSegments[outputIndex]);
-                }
-                outputIndex++;
-            }
+    // Input and output must both be unchanged this long before the output counts as settled.
+    const OUTPUT_SETTLE_DELAY = 1000;
 
-            let restoredOutput = restoredOutputArray.join('\n');
+    // Default time to wait for an element to appear before giving up.
+    const BING_ELEMENT_TIMEOUT = 10000;
 
-            // Post-processing for email addresses (from version 1.4)
-            let finalOutputLines = restoredOutput.split('\n');
-            for (let i = 0; i < finalOutputLines.length; i++) {
-                if (finalOutputLines[i].includes('@')) {
-                    finalOutputLines[i] = finalOutputLines[i].replace(/\.\s+/g, '.');
-                }
-            }
-            const processedOutput = finalOutputLines.join('\n');
-            if (outputDiv.innerText !== processedOutput) {
-                outputDiv.innerText = processedOutput;
-                triggerOutputEvents(outputDiv); // Notify Bing of the change
-            }
-        }
+    // Bound elements by name, with the observers and listeners attached to them.
+    const boundElements = {};
 
+    // Callbacks by event name: input-changed, output-changed (with `byScript`), output-settled,
+    // languages-changed, tone-changed, element-bound and element-lost.
+    const bingEventListeners = {};
 
-        // --- Monitoring setup ---
-        // Observe changes in both input and output areas to reprocess line breaks.
-        const config = { childList: true, subtree: true, characterData: true, attributes: true };
+    // Pending waitForElement() calls, checked whenever the page changes.
+    const elementWaiters = new Set();
 
-        const inputTextarea = document.querySelector('#tta_input_ta');
-        if (inputTextarea) {
-            new MutationObserver(processTranslationLineBreaks).observe(inputTextarea, { childList: true, characterData: true, subtree: true });
-            // Also trigger on direct input events for faster response.
-            inputTextarea.addEventListener('input', () => setTimeout(processTranslationLineBreaks, 50));
-        }
+    let pageCheckScheduled = false;
+    let outputSettleTimer = null;
+    let lastLanguages = '';
 
-        const outputDiv = document.querySelector('#tta_output_ta');
-        if (outputDiv) {
-            // Observe the output div for changes (e.g., when Bing updates translation)
-            new MutationObserver(processTranslationLineBreaks).observe(outputDiv, config);
-        }
+    // The output text the script has just written, until the output observer has seen the write.
+    let scriptOutputText = null;
 
-        // Fallback: Periodically check, in case mutation observers miss something or are too slow.
-        setInterval(processTranslationLineBreaks, 750);
+    /**
+     * Subscribes to an event of the element registry.
+     * @param {string} eventName - The event name.
+     * @param {Function} callback - Called with the event detail.
+     * @returns {Function} Unsubscribes the callback.
+     */
+    function onBingEvent(eventName, callback) {
+        (bingEventListeners[eventName] = bingEventListeners[eventName] || []).push(callback);
+        return () => {
+            bingEventListeners[eventName] = bingEventListeners[eventName].filter(listener => listener !== callback);
+        };
     }
 
-    let fixedCopyButtonInitialized = false;
-
     /**
-     * Overrides Bing's default copy button behavior to copy plain text only
-     * and positions it in the new custom top bar.
+     * Calls every subscriber of an event. A failing subscriber does not stop the others.
+     * @param {string} eventName - The event name.
+     * @param {*} [detail] - Passed to each subscriber.
      */
-    function overrideBingCopyButton() {
-        if (!window.location.hostname.includes('bing.com')) return;
-        if (fixedCopyButtonInitialized) return; // Ensure it only runs once
-
-        const originalCopyButton = document.querySelector('div#tta_copyIcon');
-        let svgHtml = '';
-        if (originalCopyButton) {
-            svgHtml = originalCopyButton.innerHTML; // Get the SVG content
-            originalCopyButton.style.display = 'none'; // Hide the original button
-            // Also hide its parent cell if it's still taking space
-            const parentCell = originalCopyButton.closest('td.tta_swapcell');
-            if (parentCell) {
-                parentCell.style.display = 'none';
+    function emitBingEvent(eventName, detail) {
+        (bingEventListeners[eventName] || []).slice().forEach(callback => {
+            try {
+                callback(detail);
+            } catch (err) {
+                logError(`Error in ${eventName} handler: `, err);
             }
-        }
+        });
+    }
 
-        let fixedCopyButton = document.getElementById('fixed_tta_copyIcon');
-        if (!fixedCopyButton) {
-            const customTopBar = document.getElementById('custom_top_bar');
-            if (!customTopBar) {
-                console.error('Custom top bar not found to place copy button.');
-                return; // Exit if top bar isn't ready
+    /**
+     * Finds a Bing element by trying each of its selectors in order.
+     * @param {string} name - A BING_ELEMENT_SELECTORS key.
+     * @returns {HTMLElement|null} The element, if present.
+     */
+    function resolveBingElement(name) {
+        for (const selector of BING_ELEMENT_SELECTORS[name]) {
+            const element = document.querySelector(selector);
+            if (element) {
+                return element;
             }
-            fixedCopyButton = document.createElement('div');
-            fixedCopyButton.id = 'fixed_tta_copyIcon'; // A new ID for the fixed button
-            fixedCopyButton.innerHTML = svgHtml; // Populate with original SVG
-            fixedCopyButton.title = 'Copy'; // Set initial title
-            fixedCopyButton.setAttribute('data-plain-text-override', 'true');
-            customTopBar.appendChild(fixedCopyButton); // Append to the custom top bar
-
-            fixedCopyButton.addEventListener('click', function(event) {
-                event.preventDefault();
-                event.stopPropagation();
+        }
+        return null;
+    }
 
-                const outputTextarea = document.querySelector('#tta_output_ta');
+    /**
+     * Returns a Bing element, rebinding it first if Bing has replaced the node.
+     * @param {string} name - A BING_ELEMENT_SELECTORS key.
+     * @returns {HTMLElement|null} The live element, or null if it is not on the page.
+     */
+    function getBingElement(name) {
+        const bound = boundElements[name];
+        if (bound && bound.element.isConnected) {
+            return bound.element;
+        }
+        bindBingElement(name);
+        return boundElements[name] ? boundElements[name].element : null;
+    }
 
-                if (outputTextarea && outputTextarea.innerText) {
-                    copyPlainText(outputTextarea.innerText.trim());
+    /**
+     * Notes that the script has just rewritten the output, so that the output-changed event the
+     * write causes is marked `byScript` and not taken for a new translation from Bing.
+     */
+    function noteScriptOutputWrite() {
+        const output = getBingElement('output');
+        scriptOutputText = output ? output.innerText : null;
+    }
 
-                    const originalTitle = fixedCopyButton.title;
-                    fixedCopyButton.title = 'Copied!';
-                    fixedCopyButton.style.opacity = '0.6';
+    /**
+     * Restarts the timer that emits output-settled once input and output stop changing.
+     */
+    function restartOutputSettleTimer() {
+        clearTimeout(outputSettleTimer);
+        outputSettleTimer = setTimeout(() => emitBingEvent('output-settled', getTranslatedText() || ''), OUTPUT_SETTLE_DELAY);
+    }
 
-                    setTimeout(() => {
-                        fixedCopyButton.title = originalTitle;
-                        fixedCopyButton.style.opacity = '';
-                    }, 1000);
-                }
+    /**
+     * Emits languages-changed if the selected source or target language differs from last time.
+     */
+    function checkLanguagesChanged() {
+        const languages = `${getSelectedLanguage('sourceLanguage')}\u0000${getSelectedLanguage('targetLanguage')}`;
+        if (languages !== lastLanguages) {
+            lastLanguages = languages;
+            emitBingEvent('languages-changed', {
+                sourceLanguage: getSelectedLanguage('sourceLanguage'),
+                targetLanguage: getSelectedLanguage('targetLanguage')
             });
-            fixedCopyButtonInitialized = true;
         }
-
-        // Observer to ensure the original button remains hidden if it reappears
-        const observer = new MutationObserver(() => {
-            const currentOriginalCopyButton = document.querySelector('div#tta_copyIcon');
-            if (currentOriginalCopyButton && currentOriginalCopyButton.id !== 'fixed_tta_copyIcon' && currentOriginalCopyButton.style.display !== 'none') {
-                 currentOriginalCopyButton.style.display = 'none'; // Ensure original is hidden
-                 const parentCell = currentOriginalCopyButton.closest('td.tta_swapcell');
-                 if (parentCell) {
-                    parentCell.style.display = 'none';
-                 }
-            }
-        });
-        observer.observe(document.body, { childList: true, subtree: true });
     }
 
     /**
-     * Sets the default source and target languages for Bing Translate.
+     * Attaches the observers and listeners that turn changes of an element into registry events.
+     * @param {string} name - A BING_ELEMENT_SELECTORS key.
+     * @param {HTMLElement} element - The element to watch.
+     * @returns {Function} Detaches everything that was attached.
      */
-    function setDefaultLanguages() {
-        if (!window.location.hostname.includes('bing.com')) return;
-        function selectLanguage(dropdownSelector, languageText) {
-            const dropdownButton = document.querySelector(dropdownSelector);
-            if (dropdownButton) {
-                // Only change if not already selected
-                if (dropdownButton.textContent.trim() === languageText) {
-                    return;
-                }
-                clickElement(dropdownButton); // Open dropdown
-
-                // Observe for the language list to appear
-                const languageListObserver = new MutationObserver((mutations, observer) => {
-                    const languageOption = Array.from(document.querySelectorAll('.tta_menu_item'))
-                        .find(item => item.textContent.trim() === languageText);
-
-                    if (languageOption) {
-                        clickElement(languageOption); // Select the language
-                        observer.disconnect(); // Stop observing
-
-                        // Ensure the dropdown closes (sometimes it stays open)
-                        setTimeout(() => {
-                            if (dropdownButton.getAttribute('aria-expanded') === 'true') {
-                                clickElement(dropdownButton); // Click to close if still open
-                            }
-                        }, 100);
-                    }
-                });
-                languageListObserver.observe(document.body, { childList: true, subtree: true });
-            }
+    function watchBingElement(name, element) {
+        const cleanups = [];
+        function observe(callback, options) {
+            const observer = new MutationObserver(callback);
+            observer.observe(element, options);
+            cleanups.push(() => observer.disconnect());
+        }
+        function listen(type, callback) {
+            element.addEventListener(type, callback);
+            cleanups.push(() => element.removeEventListener(type, callback));
         }
 
-        // Set default languages
-        selectLanguage('#tta_srcsl', 'English (detected)'); // Source: English (auto-detected)
-        selectLanguage('#tta_tgtsl', 'French (Canada)'); // Target: French (Canada)
+        if (name === 'input') {
+            const onInputChanged = () => {
+                emitBingEvent('input-changed');
+                restartOutputSettleTimer();
+            };
+            observe(onInputChanged, { childList: true, characterData: true, subtree: true });
+            listen('input', onInputChanged);
+        } else if (name === 'output') {
+            observe(() => {
+                const byScript = scriptOutputText !== null && element.innerText === scriptOutputText;
+                scriptOutputText = null;
+                emitBingEvent('output-changed', { byScript });
+                restartOutputSettleTimer();
+            }, { childList: true, characterData: true, subtree: true });
+        } else if (name === 'sourceLanguage' || name === 'targetLanguage') {
+            observe(checkLanguagesChanged, { childList: true, characterData: true, subtree: true, attributes: true });
+            listen('change', checkLanguagesChanged);
+        } else if (name === 'toneSelect') {
+            listen('change', () => emitBingEvent('tone-changed', element.value));
+        }
+        return () => cleanups.forEach(cleanup => cleanup());
     }
 
     /**
-     * Selects a specific tone from the Bing Translate tone dropdown.
-     * @param {string} toneText - The exact text of the tone option to select.
+     * Resolves an element and, if it is a different node than before, moves the registry's
+     * observers onto it and emits element-bound.
+     * @param {string} name - A BING_ELEMENT_SELECTORS key.
      */
-    function selectTone(toneText) {
-        if (!window.location.hostname.includes('bing.com')) return;
-        const toneSelectElement = document.querySelector('#tta_tonesl');
-        if (!toneSelectElement) {
-            console.warn('Tone select element (#tta_tonesl) not found.');
+    function bindBingElement(name) {
+        const element = resolveBingElement(name);
+        const bound = boundElements[name];
+        if (bound && bound.element === element) {
             return;
         }
-        // Only change if not already selected
-        if (toneSelectElement.value === toneText) {
+        if (bound) {
+            bound.unwatch();
+            delete boundElements[name];
+            if (!element) {
+                emitBingEvent('element-lost', { name });
+            }
+        }
+        if (!element) {
             return;
         }
-        toneSelectElement.value = toneText;
-        // Dispatch a change event to ensure Bing recognizes the new value
-        const changeEvent = new Event('change', { bubbles: true });
-        toneSelectElement.dispatchEvent(changeEvent);
-        console.log(`Tone set to: ${toneText}`);
+        boundElements[name] = { element, unwatch: watchBingElement(name, element) };
+        emitBingEvent('element-bound', { name, element });
+        // Features bound to the old node need to look at the new content
+        if (name === 'input') {
+            emitBingEvent('input-changed');
+        } else if (name === 'output') {
+            emitBingEvent('output-changed', { byScript: false });
+        } else if (name === 'sourceLanguage' || name === 'targetLanguage') {
+            checkLanguagesChanged();
+        }
+    }
+
+    /**
+     * Rebinds any element Bing has removed or replaced, and resolves pending waiters.
+     */
+    function checkPage() {
+        pageCheckScheduled = false;
+        Object.keys(BING_ELEMENT_SELECTORS).forEach(name => {
+            const bound = boundElements[name];
+            if (!bound || !bound.element.isConnected) {
+                bindBingElement(name);
+            }
+        });
+        elementWaiters.forEach(waiter => waiter.check());
+    }
+
+    /**
+     * Waits until `find` returns an element, checking whenever the page changes.
+     * @param {Function} find - Returns the element when it is present, otherwise null.
+     * @param {number} [timeout] - Milliseconds before giving up.
+     * @param {string} [description] - What is being waited for, used in the timeout error.
+     * @returns {Promise<HTMLElement>} Resolves with the element; rejects on timeout.
+     */
+    function waitForElement(find, timeout = BING_ELEMENT_TIMEOUT, description = 'element') {
+        const found = find();
+        if (found) {
+            return Promise.resolve(found);
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                check() {
+                    const element = find();
+                    if (element) {
+                        elementWaiters.delete(waiter);
+                        clearTimeout(waiter.timer);
+                        resolve(element);
+                    }
+                },
+                timer: setTimeout(() => {
+                    elementWaiters.delete(waiter);
+                    reject(new Error(`Timed out after ${timeout} ms waiting for ${description}.`));
+                }, timeout)
+            };
+            elementWaiters.add(waiter);
+        });
+    }
+
+    /**
+     * Waits for one of Bing's elements to be present.
+     * @param {string} name - A BING_ELEMENT_SELECTORS key.
+     * @param {number} [timeout] - Milliseconds before giving up.
+     * @returns {Promise<HTMLElement>} Resolves with the element; rejects on timeout.
+     */
+    function waitForBingElement(name, timeout) {
+        return waitForElement(() => getBingElement(name), timeout, `Bing element "${name}" (${BING_ELEMENT_SELECTORS[name][0]})`);
+    }
+
+    /**
+     * Starts the element registry: binds every Bing element present and watches the page, with
+     * a single observer, for elements that appear, disappear or are re-rendered.
+     */
+    function startBingElementRegistry() {
+        Object.keys(BING_ELEMENT_SELECTORS).forEach(bindBingElement);
+        new MutationObserver(() => {
+            // Coalesce bursts of mutations into one check
+            if (!pageCheckScheduled) {
+                pageCheckScheduled = true;
+                setTimeout(checkPage, 50);
+            }
+        }).observe(document.body, { childList: true, subtree: true });
+    }
+
+    // Every Bing element the script depends on, with the features that stop working without it.
+    // Checks without their own selectors use the registry's. Elements Bing only renders at times
+    // carry `absentNote` instead of counting as missing when they are not on the page.
+    const DIAGNOSTIC_CHECKS = [
+        { name: 'input', label: 'Input box', features: 'line breaks, history, batch, review mode' },
+        { name: 'output', label: 'Output box', features: 'line breaks, copying, history, batch, review mode' },
+        { name: 'swapButton', label: 'Swap button', features: 'swap languages' },
+        { name: 'copyButton', label: 'Copy button', features: 'copy button icon' },
+        { name: 'toneSelect', label: 'Tone selector', features: 'default tone, tone toggle' },
+        { name: 'sourceLanguage', label: 'Source language', features: 'default languages, glossary, history' },
+        { name: 'targetLanguage', label: 'Target language', features: 'default languages, glossary, history' },
+        {
+            name: 'languageOption',
+            label: 'Language list items',
+            selectors: ['.tta_menu_item'],
+            features: 'default languages, restoring history',
+            absentNote: 'only on the page while a language list is open; open one and recheck'
+        }
+    ];
+
+    /**
+     * Looks up every element in DIAGNOSTIC_CHECKS.
+     * @returns {Object[]} One result per check: the check plus `selectors`, `matchedSelector`
+     *     and `status` ('ok', 'fallback' when only a later selector matched, 'absent' for a check
+     *     with an `absentNote` that did not match, or 'missing').
+     */
+    function checkBingElements() {
+        return DIAGNOSTIC_CHECKS.map(check => {
+            const selectors = check.selectors || BING_ELEMENT_SELECTORS[check.name];
+            const matchedIndex = selectors.findIndex(selector => document.querySelector(selector));
+            return Object.assign({}, check, {
+                selectors,
+                matchedSelector: matchedIndex >= 0 ? selectors[matchedIndex] : null,
+                status: matchedIndex === 0 ? 'ok' : matchedIndex > 0 ? 'fallback' : check.absentNote ? 'absent' : 'missing'
+            });
+        });
+    }
+
+    /**
+     * Builds a plain-text report of the page, element checks, settings and recent warnings,
+     * for pasting into a bug report.
+     * @param {Object[]} results - The output of checkBingElements().
+     * @returns {string} The report.
+     */
+    function buildDebugReport(results) {
+        const version = typeof GM_info !== 'undefined' && GM_info.script ? GM_info.script.version : 'unknown';
+        return [
+            'Bing Translate UI Overhaul debug report',
+            `Script version: ${version}`,
+            `Time: ${new Date().toISOString()}`,
+            `URL: ${window.location.href}`,
+            `User agent: ${navigator.userAgent}`,
+            '',
+            'Bing elements:',
+            ...results.map(result => `[${result.status}] ${result.name}: ${result.matchedSelector || `not found (tried ${result.selectors.join(', ')})`}`),
+            '',
+            'Settings:',
+            JSON.stringify(settings, null, 2),
+            '',
+            `Recent warnings (${diagnosticLog.length}):`,
+            ...(diagnosticLog.length > 0 ? diagnosticLog.map(entry => `${entry.time} [${entry.level}] ${entry.message}`) : ['none'])
+        ].join('\n');
+    }
+
+    /**
+     * Creates the diagnostics badge in the custom top bar and the panel it toggles, listing
+     * missing Bing elements and the script's recent warnings.
+     */
+    function createDiagnosticsPanel() {
+        const customTopBar = getCustomTopBar('place diagnostics badge');
+        if (!customTopBar) {
+            return;
+        }
+
+        let results = [];
+
+        const elementList = buildElement('ul', { id: 'custom_diagnostics_elements' });
+        const logList = buildElement('ol', { id: 'custom_diagnostics_log' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const recheckButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Check again' });
+        const copyReportButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Copy debug report' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+
+        const panel = buildElement('div', { id: 'custom_diagnostics_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Diagnostics' }),
+            buildElement('label', { textContent: 'Bing elements' }),
+            elementList,
+            buildElement('label', { textContent: 'Recent warnings' }),
+            logList,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [recheckButton, copyReportButton, closeButton])
+        ]);
+
+        const badge = buildElement('button', {
+            type: 'button',
+            id: 'custom_diagnostics_button',
+            className: 'custom_top_bar_button'
+        });
+
+        function renderBadge() {
+            const missing = results.filter(result => result.status === 'missing');
+            const fallback = results.filter(result => result.status === 'fallback');
+            const notes = [];
+            if (missing.length > 0) {
+                notes.push(`${missing.length} Bing element(s) missing: ${missing.map(result => result.label).join(', ')}`);
+            }
+            if (fallback.length > 0) {
+                notes.push(`${fallback.length} found through a fallback selector`);
+            }
+            if (diagnosticLog.length > 0) {
+                notes.push(`${diagnosticLog.length} warning(s) logged`);
+            }
+            badge.textContent = missing.length > 0 ? '\u2715' : notes.length > 0 ? '\u26A0' : '\u2713';
+            setButtonLabel(badge, notes.length > 0 ? `Diagnostics \u2013 ${notes.join('; ')}` : 'Diagnostics \u2013 all Bing elements found');
+            badge.classList.toggle('custom_diagnostics_error', missing.length > 0);
+            badge.classList.toggle('custom_diagnostics_warning', missing.length === 0 && notes.length > 0);
+        }
+
+        function renderElements() {
+            elementList.replaceChildren(...results.map(result => {
+                const detail = result.status === 'missing'
+                    ? `not found (tried ${result.selectors.join(', ')}). Affects: ${result.features}`
+                    : result.status === 'fallback'
+                        ? `found through fallback selector ${result.matchedSelector}`
+                        : result.status === 'absent'
+                            ? `not on the page right now (${result.absentNote})`
+                            : result.matchedSelector;
+                return buildElement('li', { className: `custom_diagnostics_${result.status}` }, [
+                    buildElement('strong', { textContent: result.label }),
+                    ` \u2013 ${detail}`
+                ]);
+            }));
+        }
+
+        function renderLog() {
+            if (diagnosticLog.length === 0) {
+                logList.replaceChildren(buildElement('li', { textContent: 'No warnings logged.' }));
+                return;
+            }
+            // Newest first
+            logList.replaceChildren(...diagnosticLog.slice().reverse().map(entry => buildElement('li', {
+                className: `custom_diagnostics_log_${entry.level}`,
+                textContent: `${entry.time.slice(11, 19)} ${entry.message}`
+            })));
+        }
+
+        function runChecks() {
+            results = checkBingElements();
+            renderBadge();
+            if (!panel.hidden) {
+                renderElements();
+            }
+        }
+
+        function openPanel() {
+            status.textContent = '';
+            panel.hidden = false;
+            runChecks();
+            renderLog();
+        }
+
+        function closePanel() {
+            panel.hidden = true;
+        }
+
+        recheckButton.addEventListener('click', () => {
+            runChecks();
+            status.textContent = `Checked at ${new Date().toLocaleTimeString()}.`;
+        });
+        copyReportButton.addEventListener('click', () => {
+            copyPlainText(buildDebugReport(checkBingElements())).then(copied => {
+                if (copied) {
+                    status.textContent = 'Debug report copied.';
+                }
+            });
+        });
+        closeButton.addEventListener('click', closePanel);
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                closePanel();
+            }
+        });
+        badge.addEventListener('click', () => {
+            if (panel.hidden) {
+                openPanel();
+            } else {
+                closePanel();
+            }
+        });
+
+        onDiagnosticLogChanged = () => {
+            renderBadge();
+            if (!panel.hidden) {
+                renderLog();
+            }
+        };
+        // Elements that appear, disappear or are re-rendered later change the picture
+        onBingEvent('element-bound', runChecks);
+        onBingEvent('element-lost', runChecks);
+
+        customTopBar.appendChild(badge);
+        document.body.appendChild(panel);
+        runChecks();
+        registerCommand('toggleDiagnostics', 'Show / hide diagnostics', null, () => badge.click());
+    }
+
+    /**
+     * Clicks a given DOM element if it exists.
+     * @param {HTMLElement} element - The element to click.
+     */
+    function clickElement(element) {
+        if (element) {
+            element.click();
+        }
+    }
+
+    /**
+     * Copies plain text to the clipboard using navigator.clipboard API,
+     * with a fallback for older browsers or restricted environments.
+     * @param {string} text - The text to copy.
+     * @returns {Promise<boolean>} Resolves once the clipboard write is done, with whether it worked.
+     */
+    function copyPlainText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text).then(() => true, err => {
+                logError('Failed to copy text using Clipboard API: ', err);
+                const copied = fallbackCopyText(text);
+                if (copied) {
+                    notify('warning', 'Clipboard blocked, used fallback');
+                }
+                return copied;
+            });
+        }
+        return Promise.resolve(fallbackCopyText(text));
+    }
+
+    /**
+     * Fallback method to copy text to clipboard using a temporary textarea and execCommand.
+     * Reports an error notification if this fails too.
+     * @param {string} text - The text to copy.
+     * @returns {boolean} Whether the text was copied.
+     */
+    function fallbackCopyText(text) {
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        // Position off-screen to avoid visual disruption
+        textArea.style.position = 'fixed';
+        textArea.style.left = '-999999px';
+        textArea.style.top = '-999999px';
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+        let copied = false;
+        try {
+            // Deprecated, but still works in many environments where Clipboard API is restricted
+            copied = document.execCommand('copy');
+        } catch (err) {
+            logError('Fallback: Oops, unable to copy', err);
+        } finally {
+            document.body.removeChild(textArea);
+        }
+        if (!copied) {
+            notify('error', 'Could not copy to the clipboard');
+        }
+        return copied;
+    }
+
+    /**
+     * Confirms a copy with a notification and briefly marks the top-bar copy button as having copied.
+     * @param {string} message - The confirmation to show.
+     */
+    function showCopiedFeedback(message) {
+        notify('success', message);
+        const fixedCopyButton = document.getElementById('fixed_tta_copyIcon');
+        if (!fixedCopyButton || fixedCopyButton.title === 'Copied!') {
+            return;
+        }
+        const originalTitle = fixedCopyButton.title;
+        setButtonLabel(fixedCopyButton, 'Copied!');
+        fixedCopyButton.style.opacity = '0.6';
+
+        setTimeout(() => {
+            setButtonLabel(fixedCopyButton, originalTitle);
+            fixedCopyButton.style.opacity = '';
+        }, 1000);
+    }
+
+    /**
+     * Copies content to the clipboard as plain text plus HTML when the browser supports
+     * ClipboardItem, falling back to plain text only.
+     * @param {{text: string, html: (string|undefined)}} content - The plain text and optional HTML.
+     * @returns {Promise<boolean>} Resolves once the clipboard write is done, with whether it worked.
+     */
+    function copyRichContent(content) {
+        if (!content.html) {
+            return copyPlainText(content.text);
+        }
+        if (navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem === 'function') {
+            const item = new ClipboardItem({
+                'text/plain': new Blob([content.text], { type: 'text/plain' }),
+                'text/html': new Blob([content.html], { type: 'text/html' })
+            });
+            return navigator.clipboard.write([item]).then(() => true, err => {
+                logError('Failed to copy rich text using Clipboard API: ', err);
+                const copied = fallbackCopyText(content.text);
+                if (copied) {
+                    notify('warning', 'Clipboard blocked, copied as plain text only');
+                }
+                return copied;
+            });
+        }
+        return Promise.resolve(fallbackCopyText(content.text));
+    }
+
+    /**
+     * Escapes text for inclusion in HTML.
+     * @param {string} text - The raw text.
+     * @returns {string} The escaped HTML.
+     */
+    function escapeHtml(text) {
+        return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    /**
+     * Renders text as HTML paragraphs, split on blank lines, with single line breaks kept.
+     * @param {string} text - The plain text.
+     * @returns {string} The HTML.
+     */
+    function textToHtmlParagraphs(text) {
+        return text.trim().split(/\n[ \t]*\n+/)
+            .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+            .join('');
+    }
+
+    /**
+     * Converts plain text to Markdown: inline markup characters are escaped (inline code is left
+     * alone) and single line breaks become hard breaks.
+     * @param {string} text - The plain text.
+     * @returns {string} The Markdown.
+     */
+    function textToMarkdown(text) {
+        return text.trim().split(/(`[^`\n]+`)/).map((part, index) => {
+            return index % 2 === 1 ? part : part.replace(/([\\*_[\]<>])/g, '\\$1');
+        }).join('').replace(/([^\n])\n(?=[^\n])/g, '$1  \n');
+    }
+
+    /**
+     * Pairs the non-blank input lines with the output lines aligned to them.
+     * @param {string} sourceText - The input text.
+     * @param {string} translatedText - The output text, one line per input line.
+     * @returns {Array<[string, string]>} The source/translation rows.
+     */
+    function getBilingualRows(sourceText, translatedText) {
+        const outputLines = translatedText.split('\n');
+        return sourceText.split('\n')
+            .map((line, index) => [line.trim(), (outputLines[index] || '').trim()])
+            .filter(([source, translation]) => source || translation);
+    }
+
+    // Formats offered by the copy menu. Each builds plain text, and optionally HTML, from the
+    // source text and its translation.
+    const COPY_FORMATS = [
+        {
+            id: 'plain',
+            label: 'Plain text',
+            build: (source, translation) => ({ text: translation.trim() })
+        },
+        {
+            id: 'html',
+            label: 'HTML paragraphs',
+            build: (source, translation) => ({ text: translation.trim(), html: textToHtmlParagraphs(translation) })
+        },
+        {
+            id: 'markdown',
+            label: 'Markdown',
+            build: (source, translation) => ({ text: textToMarkdown(translation) })
+        },
+        {
+            id: 'table',
+            label: 'Bilingual table',
+            build: (source, translation) => {
+                const rows = getBilingualRows(source, translation);
+                const sourceLanguage = normalizeLanguageName(getSelectedLanguage('sourceLanguage')) || 'Source';
+                const targetLanguage = normalizeLanguageName(getSelectedLanguage('targetLanguage')) || 'Translation';
+                const toTsvCell = cell => cell.replace(/[\t\r\n]+/g, ' ');
+                return {
+                    text: [[sourceLanguage, targetLanguage]].concat(rows).map(row => row.map(toTsvCell).join('\t')).join('\n'),
+                    html: '<table><thead><tr>' +
+                        `<th>${escapeHtml(sourceLanguage)}</th><th>${escapeHtml(targetLanguage)}</th>` +
+                        '</tr></thead><tbody>' +
+                        rows.map(([sourceCell, translationCell]) => `<tr><td>${escapeHtml(sourceCell)}</td><td>${escapeHtml(translationCell)}</td></tr>`).join('') +
+                        '</tbody></table>'
+                };
+            }
+        },
+        {
+            id: 'quoted',
+            label: 'Source then translation',
+            build: (source, translation) => ({
+                text: source.trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n') + '\n\n' + translation.trim(),
+                html: `<blockquote>${textToHtmlParagraphs(source)}</blockquote>${textToHtmlParagraphs(translation)}`
+            })
+        }
+    ];
+
+    /**
+     * Copies the current source and translation in one of the copy formats.
+     * @param {string} formatId - The id of a COPY_FORMATS entry.
+     */
+    function copyTranslationAs(formatId) {
+        const format = COPY_FORMATS.find(candidate => candidate.id === formatId);
+        const translatedText = getFinalTranslation();
+        if (!format || !translatedText || !translatedText.trim()) {
+            notify('warning', 'Nothing to copy yet');
+            return;
+        }
+        const content = format.build(getInputText() || '', translatedText);
+        copyRichContent(content).then(copied => {
+            if (copied) {
+                showCopiedFeedback(`Copied ${content.text.length} chars as ${format.label.toLowerCase()}`);
+            }
+        });
+        approveCurrentTranslation().catch(err => logWarning('Could not add the translation to the memory.', err));
+    }
+
+    /**
+     * Retrieves the translated text from the Bing Translate output div.
+     * @returns {string|null} The translated text, or null if the element is not found.
+     */
+    function getTranslatedText() {
+        const bingResult = getBingElement('output');
+        if (bingResult) {
+            return bingResult.innerText;
+        }
+        return null;
+    }
+
+    // The user's edit of the translation, with the machine output it was made from:
+    // { machineOutput, text }. It applies only while Bing still shows that machine output.
+    let postEdit = null;
+
+    /**
+     * Retrieves the translation to copy: the user's post-edit if it was made from the current
+     * output, otherwise the output itself.
+     * @returns {string|null} The translation, or null if the output element is not found.
+     */
+    function getFinalTranslation() {
+        const machineOutput = getTranslatedText();
+        if (machineOutput !== null && postEdit && postEdit.machineOutput === machineOutput.trim()) {
+            return postEdit.text;
+        }
+        return machineOutput;
+    }
+
+    /**
+     * Retrieves the text typed into the Bing Translate input box.
+     * @returns {string|null} The input text, or null if the element is not found.
+     */
+    function getInputText() {
+        const inputTextarea = getBingElement('input');
+        if (!inputTextarea) {
+            return null;
+        }
+        return typeof inputTextarea.value === 'string' ? inputTextarea.value : inputTextarea.innerText;
+    }
+
+    /**
+     * Replaces the text in the Bing Translate input box and lets Bing know so it retranslates.
+     * @param {string} text - The new input text.
+     */
+    function setInputText(text) {
+        const inputTextarea = getBingElement('input');
+        if (!inputTextarea) {
+            logWarning('Input element (#tta_input_ta) not found.');
+            return;
+        }
+        if (typeof inputTextarea.value === 'string') {
+            inputTextarea.value = text;
+        } else {
+            inputTextarea.innerText = text;
+        }
+        inputTextarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Reads the language currently shown in one of Bing's language dropdowns.
+     * @param {string} dropdownName - 'sourceLanguage' or 'targetLanguage'.
+     * @returns {string} The language name, or an empty string if the dropdown is not found.
+     */
+    function getSelectedLanguage(dropdownName) {
+        const dropdown = getBingElement(dropdownName);
+        if (!dropdown) {
+            return '';
+        }
+        if (dropdown.tagName === 'SELECT' && dropdown.selectedIndex >= 0) {
+            return dropdown.options[dropdown.selectedIndex].textContent.trim();
+        }
+        return dropdown.textContent.trim();
+    }
+
+    /**
+     * Reads the tone currently selected in Bing's tone dropdown.
+     * @returns {string} The tone, or an empty string if the dropdown is not found.
+     */
+    function getSelectedTone() {
+        const toneSelectElement = getBingElement('toneSelect');
+        return toneSelectElement ? toneSelectElement.value : '';
+    }
+
+    /**
+     * Normalizes a language name for use in keys, so "English (detected)" matches "English".
+     * @param {string} languageName - The language name as shown by Bing.
+     * @returns {string} The normalized name.
+     */
+    function normalizeLanguageName(languageName) {
+        return (languageName || '').replace(/\s*\(detected\)\s*$/i, '').trim();
+    }
+
+    /**
+     * Builds a key identifying the current source/target language pair.
+     * @returns {string} The pair key, e.g. "English\u2192French (Canada)".
+     */
+    function getLanguagePairKey() {
+        return `${normalizeLanguageName(getSelectedLanguage('sourceLanguage'))}\u2192${normalizeLanguageName(getSelectedLanguage('targetLanguage'))}`;
+    }
+
+    /**
+     * Replaces an element's content with text, wrapping the given ranges in highlight marks.
+     * @param {HTMLElement} element - The element to fill.
+     * @param {string} text - The full text.
+     * @param {Array<{start: number, end: number, className: string, title: string}>} ranges - Properly nested
+     *        ranges to highlight, enclosing ranges first.
+     */
+    function renderHighlightedText(element, text, ranges) {
+        if (ranges.length === 0) {
+            element.innerText = text;
+            return;
+        }
+        const fragment = document.createDocumentFragment();
+        const openMarks = [{ node: fragment, end: text.length }];
+        let position = 0;
+
+        // Appends the text up to the end of the innermost open mark, then closes it
+        function closeMark() {
+            const mark = openMarks.pop();
+            mark.node.append(text.slice(position, mark.end));
+            position = mark.end;
+        }
+
+        ranges.forEach(range => {
+            while (range.start >= openMarks[openMarks.length - 1].end) {
+                closeMark();
+            }
+            const parent = openMarks[openMarks.length - 1];
+            parent.node.append(text.slice(position, range.start));
+            position = range.start;
+            const mark = buildElement('mark', { className: range.className, title: range.title });
+            parent.node.append(mark);
+            openMarks.push({ node: mark, end: range.end });
+        });
+        while (openMarks.length > 0) {
+            closeMark();
+        }
+        element.replaceChildren(fragment);
+    }
+
+    /**
+     * Offers text content to the user as a downloaded file.
+     * @param {string} filename - The suggested file name.
+     * @param {string} content - The file content.
+     * @param {string} mimeType - The MIME type of the content.
+     */
+    function downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = buildElement('a', { href: url, download: filename });
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Browsers without the file input's cancel event only show a cancelled dialog by giving the
+    // window its focus back; a chosen file's change event follows well within this time.
+    const FILE_DIALOG_CANCEL_DELAY = 1000;
+
+    /**
+     * Asks the user to pick a file and reads it as text.
+     * @param {string} accept - The file types to offer, as for an input's `accept` attribute.
+     * @returns {Promise<{name: string, text: string}>} The chosen file's name and content. Rejects
+     *          with an AbortError when the dialog is cancelled.
+     */
+    function pickTextFile(accept) {
+        return new Promise((resolve, reject) => {
+            const fileInput = buildElement('input', { type: 'file', accept });
+            let settled = false;
+
+            function cancel() {
+                if (!settled) {
+                    settled = true;
+                    reject(new DOMException('No file selected.', 'AbortError'));
+                }
+            }
+
+            function onWindowFocus() {
+                setTimeout(cancel, FILE_DIALOG_CANCEL_DELAY);
+            }
+
+            fileInput.addEventListener('change', () => {
+                window.removeEventListener('focus', onWindowFocus);
+                const file = fileInput.files[0];
+                if (!file) {
+                    cancel();
+                    return;
+                }
+                settled = true;
+                file.text().then(text => resolve({ name: file.name, text }), reject);
+            });
+            fileInput.addEventListener('cancel', cancel);
+            window.addEventListener('focus', onWindowFocus, { once: true });
+            fileInput.click();
+        });
+    }
+
+    /**
+     * Tells whether an error only means the user closed the file dialog without picking a file.
+     * @param {Error} err - The error pickTextFile() rejected with.
+     * @returns {boolean} True for a cancelled dialog.
+     */
+    function isFileDialogCancelled(err) {
+        return err && err.name === 'AbortError';
+    }
+
+    /**
+     * Quotes a value for a CSV cell when it contains separators, quotes or line breaks. Text that
+     * a spreadsheet would run as a formula gets a leading apostrophe.
+     * @param {*} value - The cell value.
+     * @returns {string} The CSV-safe cell text.
+     */
+    function toCsvCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Reads back a cell written by toCsvCell(), dropping the apostrophe added before formula text.
+     * @param {string} cell - The parsed cell.
+     * @returns {string} The original value.
+     */
+    function fromCsvCell(cell) {
+        return /^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell;
+    }
+
+    /**
+     * Parses CSV text into rows of cells, handling quoted cells with embedded line breaks.
+     * @param {string} text - The CSV text.
+     * @returns {string[][]} The parsed rows.
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Copies the current translation as plain text.
+     */
+    function copyTranslation() {
+        const translatedText = getFinalTranslation();
+        if (!translatedText || !translatedText.trim()) {
+            notify('warning', 'Nothing to copy yet');
+            return;
+        }
+        copyPlainText(translatedText.trim()).then(copied => {
+            if (copied) {
+                showCopiedFeedback(`Copied ${translatedText.trim().length} chars`);
+            }
+        });
+        approveCurrentTranslation().catch(err => logWarning('Could not add the translation to the memory.', err));
+    }
+
+    /**
+     * Empties Bing's input box.
+     */
+    function clearInput() {
+        setInputText('');
+        const inputTextarea = getBingElement('input');
+        if (inputTextarea) {
+            inputTextarea.focus();
+        }
+    }
+
+    /**
+     * Swaps the source and target languages using Bing's swap button.
+     */
+    function swapLanguages() {
+        const bingSwapButton = getBingElement('swapButton');
+        if (!bingSwapButton) {
+            notify('error', 'Could not swap: Bing\'s swap button was not found');
+            return;
+        }
+        clickElement(bingSwapButton);
+        if (!describeRunningAutomation()) {
+            notify('success', 'Languages swapped');
+        }
+    }
+
+    /**
+     * Selects a tone on the user's behalf and confirms it with a notification.
+     * @param {string} toneText - The tone to select.
+     */
+    function changeTone(toneText) {
+        selectTone(toneText);
+        const toneSelectElement = getBingElement('toneSelect');
+        if (toneSelectElement && toneSelectElement.value === toneText) {
+            notify('success', `Tone: ${toneText}`);
+        }
+    }
+
+    /**
+     * Toggles between the Casual and Formal tones.
+     */
+    function toggleTone() {
+        const toneSelectElement = getBingElement('toneSelect');
+        if (toneSelectElement) {
+            const currentTone = toneSelectElement.value;
+            if (currentTone === 'Casual') {
+                changeTone('Formal');
+            } else if (currentTone === 'Formal') {
+                changeTone('Casual');
+            } else { // If it's "Standard" or anything else, default to Casual
+                changeTone('Casual');
+            }
+        } else {
+            logWarning('Tone select element (#tta_tonesl) not found.');
+            notify('error', 'Could not change the tone: Bing\'s tone selector was not found');
+        }
+    }
+
+    // Registry of named actions that can be bound to keyboard shortcuts, in display order.
+    const commands = [];
+
+    // Modifiers in the order they appear in a chord string, e.g. "Ctrl+Alt+KeyZ".
+    const CHORD_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+    // Key part of a chord that matches a typed character rather than a physical key, e.g. "Char:?".
+    // Such chords ignore Shift, which the character itself decides on each layout.
+    const CHARACTER_CHORD_PREFIX = 'Char:';
+
+    /**
+     * Registers a named action with its default keyboard shortcut.
+     * @param {string} id - Unique identifier, used as the key for saved bindings.
+     * @param {string} label - Human-readable name shown in the shortcut overlay.
+     * @param {string|null} defaultChord - Default chord (e.g. "Alt+KeyZ"), or null for none.
+     * @param {Function} run - Called when the command is triggered.
+     */
+    function registerCommand(id, label, defaultChord, run) {
+        commands.push({ id, label, defaultChord, run });
+    }
+
+    /**
+     * Looks up a registered command by its identifier.
+     * @param {string} id - The command identifier.
+     * @returns {Object|undefined} The command, if registered.
+     */
+    function getCommand(id) {
+        return commands.find(command => command.id === id);
+    }
+
+    /**
+     * Returns the chord currently bound to a command, honoring the user's saved bindings.
+     * @param {Object} command - The registered command.
+     * @returns {string|null} The active chord, or null if the command is unbound.
+     */
+    function getCommandBinding(command) {
+        const saved = settings.shortcuts || {};
+        return Object.prototype.hasOwnProperty.call(saved, command.id) ? saved[command.id] : command.defaultChord;
+    }
+
+    /**
+     * Builds a chord string from a keyboard event. Uses `event.code` so that bindings
+     * refer to physical keys and work the same on every keyboard layout.
+     * @param {KeyboardEvent} event - The keyboard event.
+     * @returns {string|null} The chord, or null if only a modifier key was pressed.
+     */
+    function chordFromEvent(event) {
+        if (/^(Control|Alt|Shift|Meta)(Left|Right)?$/.test(event.code) || !event.code) {
+            return null;
+        }
+        const pressed = { Ctrl: event.ctrlKey, Alt: event.altKey, Shift: event.shiftKey, Meta: event.metaKey };
+        return CHORD_MODIFIERS.filter(modifier => pressed[modifier]).concat(event.code).join('+');
+    }
+
+    /**
+     * Builds a character chord from a keyboard event, for bindings such as "?" that should
+     * follow the character typed whatever key produces it on the current layout.
+     * @param {KeyboardEvent} event - The keyboard event.
+     * @returns {string|null} The chord, or null if the key does not type a single character.
+     */
+    function characterChordFromEvent(event) {
+        if (!event.key || Array.from(event.key).length !== 1) {
+            return null;
+        }
+        const pressed = { Ctrl: event.ctrlKey, Alt: event.altKey, Meta: event.metaKey };
+        return CHORD_MODIFIERS.filter(modifier => pressed[modifier]).concat(CHARACTER_CHORD_PREFIX + event.key).join('+');
+    }
+
+    /**
+     * Formats a chord for display, e.g. "Alt+KeyZ" becomes "Alt + Z" and "Char:?" becomes "?".
+     * @param {string|null} chord - The chord to format.
+     * @returns {string} The display text.
+     */
+    function formatChord(chord) {
+        if (!chord) {
+            return 'Unassigned';
+        }
+        const specialKeys = { Slash: '/', Period: '.', Comma: ',', Semicolon: ';', Quote: "'", Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\' };
+        // Split off the modifiers first, since a character chord's key may itself be "+"
+        const [, modifiers, key] = /^((?:(?:Ctrl|Alt|Shift|Meta)\+)*)(.+)$/.exec(chord);
+        const keyLabel = key.startsWith(CHARACTER_CHORD_PREFIX)
+            ? key.slice(CHARACTER_CHORD_PREFIX.length)
+            : specialKeys[key] || key.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
+        return modifiers.split('+').filter(Boolean).concat(keyLabel).join(' + ');
+    }
+
+    /**
+     * Finds another command already bound to the given chord.
+     * @param {string} chord - The chord to check.
+     * @param {string} [exceptId] - A command to ignore, typically the one being rebound.
+     * @returns {Object|undefined} The conflicting command, if any.
+     */
+    function findShortcutConflict(chord, exceptId) {
+        return commands.find(command => command.id !== exceptId && getCommandBinding(command) === chord);
+    }
+
+    /**
+     * Binds a command to a new chord and saves it, unless another command already uses it.
+     * @param {string} id - The command identifier.
+     * @param {string|null} chord - The new chord, or null to unbind.
+     * @returns {Object|null} The conflicting command if the binding was refused, otherwise null.
+     */
+    function setCommandBinding(id, chord) {
+        const conflict = chord ? findShortcutConflict(chord, id) : undefined;
+        if (conflict) {
+            return conflict;
+        }
+        settings.shortcuts = Object.assign({}, settings.shortcuts, { [id]: chord });
+        saveSettings(settings);
+        return null;
+    }
+
+    /**
+     * Restores every command to its default chord.
+     */
+    function resetCommandBindings() {
+        settings.shortcuts = {};
+        saveSettings(settings);
+    }
+
+    /**
+     * Checks whether an element accepts typed text, where plain keys must not be intercepted.
+     * @param {Element|null} element - The element to check.
+     * @returns {boolean} True if the element is editable.
+     */
+    function isEditableElement(element) {
+        if (!element) {
+            return false;
+        }
+        return element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName);
+    }
+
+    /**
+     * Runs the command bound to the pressed chord, if any.
+     * @param {KeyboardEvent} event - The keyboard event.
+     */
+    function handleKeydown(event) {
+        if (event.defaultPrevented || shortcutRecordingActive) {
+            return;
+        }
+        const chord = chordFromEvent(event);
+        if (!chord) {
+            return;
+        }
+        // Let plain or Shift-only keys through while typing, so e.g. "?" can still be entered
+        const hasCommandModifier = event.altKey || event.ctrlKey || event.metaKey;
+        if (!hasCommandModifier && isEditableElement(event.target)) {
+            return;
+        }
+        const characterChord = characterChordFromEvent(event);
+        const command = commands.find(candidate => getCommandBinding(candidate) === chord)
+            || commands.find(candidate => characterChord && getCommandBinding(candidate) === characterChord);
+        if (command) {
+            event.preventDefault();
+            command.run();
+        }
+    }
+
+    // The most recent alignment made by the line-break pass, with the input it was made for.
+    let latestAlignment = null;
+
+    const OUTPUT_RULES_STORAGE_KEY = 'bingTranslateOverhaul.outputRules';
+
+    /**
+     * Loads the user's regex rules for the output.
+     * @returns {Array<{pattern: string, flags: string, replacement: string}>} The rules, in order.
+     */
+    function loadOutputRules() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(OUTPUT_RULES_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (err) {
+            logWarning('Could not read output rules.', err);
+            return [];
+        }
+    }
+
+    /**
+     * Persists the user's regex rules for the output.
+     * @param {Array<{pattern: string, flags: string, replacement: string}>} rules - The rules.
+     */
+    function saveOutputRules(rules) {
+        try {
+            localStorage.setItem(OUTPUT_RULES_STORAGE_KEY, JSON.stringify(rules));
+        } catch (err) {
+            logError('Failed to save output rules: ', err);
+        }
+    }
+
+    /**
+     * Tells whether an output processor runs for a target language: the user's choice for that
+     * language if they made one, otherwise the processor's default.
+     * @param {Object} processor - An OUTPUT_PROCESSORS entry.
+     * @param {string} targetLanguage - The target language name, as Bing shows it.
+     * @returns {boolean} Whether the processor is enabled.
+     */
+    function isOutputProcessorEnabled(processor, targetLanguage) {
+        const overrides = settings.outputProcessors[processor.id] || {};
+        if (typeof overrides[targetLanguage] === 'boolean') {
+            return overrides[targetLanguage];
+        }
+        return processor.enabledFor(getLanguageCode(targetLanguage));
+    }
+
+    /**
+     * Runs the output through every processor enabled for the context's target language.
+     * A processor that throws is logged and skipped, leaving the text as it was.
+     * @param {string} text - The output from Bing.
+     * @param {Object} context - The processing context; processors may add their results to it.
+     * @returns {string} The processed output, possibly containing highlight markers.
+     */
+    function runOutputProcessors(text, context) {
+        return OUTPUT_PROCESSORS.reduce((result, processor) => {
+            if (!isOutputProcessorEnabled(processor, context.targetLanguage)) {
+                return result;
+            }
+            try {
+                return processor.run(result, context);
+            } catch (err) {
+                logError(`Output processor "${processor.id}" failed: `, err);
+                return result;
+            }
+        }, text);
+    }
+
+    /**
+     * Attempts to preserve line breaks in the Bing Translator output by
+     * synchronizing with the input's line structure using anchors.
+     */
+    function preserveBingLineBreaks() {
+        if (!window.location.hostname.includes('bing.com')) return;
+        let lastProcessedInputText = '';
+        let lastProcessedOutputText = '';
+        let lastCorrectedOutputText = ''; // Output as last written by the correction passes
+        let lastWrittenOutputText = null; // Output as last rendered into the pane by this function
+
+        /**
+         * Dispatches various DOM events on an element to simulate user input.
+         * @param {HTMLElement} element - The element to dispatch events on.
+         */
+        function triggerOutputEvents(element) {
+            const inputEvent = new Event('input', { bubbles: true });
+            const changeEvent = new Event('change', { bubbles: true });
+            const compositionEndEvent = new Event('compositionend', { bubbles: true });
+            element.dispatchEvent(inputEvent);
+            element.dispatchEvent(changeEvent);
+            element.dispatchEvent(compositionEndEvent);
+        }
+
+        /**
+         * Core logic for processing and restoring line breaks.
+         */
+        function processTranslationLineBreaks() {
+            const inputTextarea = getBingElement('input');
+            const outputDiv = getBingElement('output');
+
+            // The registry calls again once both elements are bound
+            if (!inputTextarea || !outputDiv) {
+                return;
+            }
+
+            // Read the input as getInputText() does, so the alignment kept for review mode matches its text
+            const currentInputText = getInputText();
+            const currentOutputText = outputDiv.innerText;
+
+            if (currentInputText === lastProcessedInputText && currentOutputText === lastProcessedOutputText) {
+                return;
+            }
+            // Our own write coming back: processing it again would apply user rules that are not idempotent twice
+            if (currentInputText === lastProcessedInputText && currentOutputText === lastWrittenOutputText) {
+                lastProcessedOutputText = currentOutputText;
+                return;
+            }
+
+            lastProcessedInputText = currentInputText;
+            lastProcessedOutputText = currentOutputText;
+            const inputLines = currentInputText.split('\n');
+            if (inputLines.every(line => line.trim() === '')) {
+                if (outputDiv.innerText !== '') {
+                    outputDiv.innerText = '';
+                    noteScriptOutputWrite();
+                    triggerOutputEvents(outputDiv);
+                }
+                return;
+            }
+
+            // Run the output processors; they mark the spans they change so they can be highlighted
+            const pairKey = getLanguagePairKey();
+            const context = {
+                inputText: inputLines.join('\n'),
+                inputLines,
+                targetLanguage: getSelectedLanguage('targetLanguage'),
+                pairKey,
+                glossaryRules: getGlossaryRules(pairKey),
+                outputRules: loadOutputRules(),
+                onRuleError: (rule, err) => logWarning(`Output rule /${rule.pattern}/${rule.flags} failed: `, err),
+                tokenResult: { restored: [], dropped: [] },
+                glossaryResult: { fixed: 0, missing: [] },
+                alignment: null
+            };
+            const correctedOutput = extractHighlights(runOutputProcessors(currentOutputText, context));
+            if (context.alignment) {
+                latestAlignment = { inputText: context.inputText, alignment: context.alignment };
+            }
+
+            // Our own corrected output comes back through the observers; keep the statuses from the pass that fixed it
+            if (currentOutputText !== lastCorrectedOutputText) {
+                updateTokenStatus(context.tokenResult);
+                updateGlossaryStatus(context.glossaryResult);
+                lastCorrectedOutputText = correctedOutput.text;
+            }
+            if (outputDiv.innerText !== correctedOutput.text) {
+                renderHighlightedText(outputDiv, correctedOutput.text, correctedOutput.ranges);
+                lastWrittenOutputText = outputDiv.innerText;
+                noteScriptOutputWrite();
+                triggerOutputEvents(outputDiv); // Notify Bing of the change
+            }
+        }
+
+
+        // --- Monitoring setup ---
+        // The element registry reports changes of either pane, including after Bing re-renders them.
+        // While a batch or multi-target run drives Bing, the old output is not reprocessed for the
+        // next chunk or language; the new translation is processed when Bing writes it.
+        onBingEvent('input-changed', () => {
+            if (!describeRunningAutomation()) {
+                processTranslationLineBreaks();
+            }
+        });
+        onBingEvent('output-changed', processTranslationLineBreaks);
+        // A new language pair changes the glossary terms that apply, so reprocess even if the text is the same
+        onBingEvent('languages-changed', () => {
+            lastProcessedInputText = '';
+            if (!describeRunningAutomation()) {
+                processTranslationLineBreaks();
+            }
+        });
+        processTranslationLineBreaks();
+    }
+
+    /**
+     * Creates the output processing panel and its top-bar button, where each output processor
+     * can be switched on or off per target language and the custom regex rules are edited.
+     */
+    function createOutputProcessorsPanel() {
+        const customTopBar = getCustomTopBar('place output processing button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const languageSelect = buildElement('select', { id: 'custom_processors_language' });
+        const toggles = OUTPUT_PROCESSORS.map(processor =>
+            buildElement('input', { type: 'checkbox', id: `custom_processor_${processor.id}`, value: processor.id }));
+        const rulesInput = buildElement('textarea', {
+            id: 'custom_processors_rules',
+            rows: '5',
+            spellcheck: 'false',
+            placeholder: '/\\be-mail\\b/gi => courriel\n# Lines starting with # are ignored'
+        });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const saveButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Save' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+
+        const panel = buildElement('div', { id: 'custom_processors_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Output processing' }),
+            buildElement('label', { for: 'custom_processors_language', textContent: 'Target language' }),
+            languageSelect,
+            buildElement('ul', { className: 'custom_processors_list' }, OUTPUT_PROCESSORS.map((processor, index) =>
+                buildElement('li', {}, [
+                    buildElement('label', { for: toggles[index].id }, [toggles[index], ` ${processor.label}`]),
+                    buildElement('small', { textContent: processor.description })
+                ]))),
+            buildElement('label', { for: 'custom_processors_rules', textContent: 'Custom rules (/pattern/flags => replacement, all languages)' }),
+            rulesInput,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [closeButton, saveButton])
+        ]);
+
+        function fillToggles() {
+            toggles.forEach((toggle, index) => {
+                toggle.checked = isOutputProcessorEnabled(OUTPUT_PROCESSORS[index], languageSelect.value);
+            });
+        }
+
+        function openPanel() {
+            const currentTarget = getSelectedLanguage('targetLanguage');
+            const languages = Array.from(new Set([currentTarget].concat(getAvailableLanguages())))
+                .filter(language => language && !/\(detected\)$/i.test(language));
+            languageSelect.replaceChildren(...languages.map(language => buildElement('option', { value: language, textContent: language })));
+            languageSelect.value = currentTarget;
+            fillToggles();
+            rulesInput.value = formatOutputRules(loadOutputRules());
+            status.textContent = '';
+            panel.hidden = false;
+            languageSelect.focus();
+        }
+
+        languageSelect.addEventListener('change', fillToggles);
+        saveButton.addEventListener('click', () => {
+            const parsed = parseOutputRules(rulesInput.value);
+            if (parsed.errors.length > 0) {
+                status.textContent = `Not saved. ${parsed.errors.join('; ')}`;
+                return;
+            }
+            // Keep only the choices that differ from a processor's default for the language
+            const language = languageSelect.value;
+            const languageCode = getLanguageCode(language);
+            const outputProcessors = JSON.parse(JSON.stringify(settings.outputProcessors));
+            toggles.forEach((toggle, index) => {
+                const processor = OUTPUT_PROCESSORS[index];
+                const overrides = outputProcessors[processor.id] || {};
+                if (toggle.checked === processor.enabledFor(languageCode)) {
+                    delete overrides[language];
+                } else {
+                    overrides[language] = toggle.checked;
+                }
+                if (Object.keys(overrides).length > 0) {
+                    outputProcessors[processor.id] = overrides;
+                } else {
+                    delete outputProcessors[processor.id];
+                }
+            });
+            settings = Object.assign({}, settings, { outputProcessors });
+            saveSettings(settings);
+            saveOutputRules(parsed.rules);
+            status.textContent = 'Saved. Changes apply from the next translation.';
+        });
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                panel.hidden = true;
+            }
+        });
+
+        const processorsButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_processors_button',
+            className: 'custom_top_bar_button',
+            title: 'Output processing',
+            'aria-label': 'Output processing',
+            textContent: '\u{1F527}'
+        });
+        function togglePanel() {
+            if (panel.hidden) {
+                openPanel();
+            } else {
+                panel.hidden = true;
+            }
+        }
+        processorsButton.addEventListener('click', togglePanel);
+        registerCommand('toggleOutputProcessing', 'Show / hide output processing', null, togglePanel);
+
+        customTopBar.appendChild(processorsButton);
+        document.body.appendChild(panel);
+    }
+
+    let fixedCopyButtonInitialized = false;
+
+    /**
+     * Overrides Bing's default copy button behavior to copy plain text only
+     * and positions it in the new custom top bar.
+     */
+    function overrideBingCopyButton() {
+        if (!window.location.hostname.includes('bing.com')) return;
+        if (fixedCopyButtonInitialized) return; // Ensure it only runs once
+
+        /**
+         * Hides Bing's own copy button and the table cell it sits in.
+         * @param {HTMLElement} originalCopyButton - Bing's copy button.
+         */
+        function hideOriginalCopyButton(originalCopyButton) {
+            originalCopyButton.style.display = 'none';
+            // Also hide its parent cell if it's still taking space
+            const parentCell = originalCopyButton.closest('td.tta_swapcell');
+            if (parentCell) {
+                parentCell.style.display = 'none';
+            }
+        }
+
+        const originalCopyButton = getBingElement('copyButton');
+        let svgHtml = '';
+        if (originalCopyButton) {
+            svgHtml = originalCopyButton.innerHTML; // Get the SVG content
+            hideOriginalCopyButton(originalCopyButton);
+        }
+
+        let fixedCopyButton = document.getElementById('fixed_tta_copyIcon');
+        if (!fixedCopyButton) {
+            const customTopBar = getCustomTopBar('place copy button');
+            if (!customTopBar) {
+                return; // Exit if top bar isn't ready
+            }
+            fixedCopyButton = buildElement('button', { type: 'button', id: 'fixed_tta_copyIcon' }); // A new ID for the fixed button
+            fixedCopyButton.innerHTML = svgHtml; // Populate with original SVG
+            hideDecorativeIcons(fixedCopyButton);
+            setButtonLabel(fixedCopyButton, 'Copy translation'); // Set initial title
+            fixedCopyButton.setAttribute('data-plain-text-override', 'true');
+            customTopBar.appendChild(fixedCopyButton); // Append to the custom top bar
+
+            fixedCopyButton.addEventListener('click', function(event) {
+                event.preventDefault();
+                event.stopPropagation();
+                copyTranslation();
+            });
+            fixedCopyButtonInitialized = true;
+        }
+
+        // Keep the original button hidden whenever Bing renders it again
+        onBingEvent('element-bound', ({ name, element }) => {
+            if (name !== 'copyButton') {
+                return;
+            }
+            hideOriginalCopyButton(element);
+            // The button may not have existed yet when the fixed one was created
+            if (fixedCopyButton && !fixedCopyButton.innerHTML) {
+                fixedCopyButton.innerHTML = element.innerHTML;
+                hideDecorativeIcons(fixedCopyButton);
+            }
+        });
+    }
+
+    /**
+     * Adds a menu button next to the top-bar copy button, offering every copy format.
+     */
+    function createCopyMenu() {
+        const fixedCopyButton = document.getElementById('fixed_tta_copyIcon');
+        if (!fixedCopyButton) {
+            logError('Copy button not found to attach the copy menu.');
+            return;
+        }
+
+        const menu = buildElement('ul', { id: 'custom_copy_menu', role: 'menu', hidden: '' });
+        const menuButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_copy_menu_button',
+            className: 'custom_top_bar_button',
+            title: 'Copy as\u2026',
+            'aria-label': 'Copy as\u2026',
+            'aria-haspopup': 'menu',
+            'aria-expanded': 'false',
+            textContent: '\u25BE'
+        });
+
+        function closeMenu() {
+            menu.hidden = true;
+            menuButton.setAttribute('aria-expanded', 'false');
+        }
+
+        COPY_FORMATS.forEach(format => {
+            const item = buildElement('li', { role: 'menuitem', tabindex: '-1', textContent: format.label });
+            item.addEventListener('click', () => {
+                closeMenu();
+                copyTranslationAs(format.id);
+            });
+            item.addEventListener('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    item.click();
+                }
+            });
+            menu.appendChild(item);
+            registerCommand(`copyAs:${format.id}`, `Copy as ${format.label.toLowerCase()}`, null, () => copyTranslationAs(format.id));
+        });
+
+        menuButton.addEventListener('click', () => {
+            if (!menu.hidden) {
+                closeMenu();
+                return;
+            }
+            const buttonRect = menuButton.getBoundingClientRect();
+            menu.style.left = `${buttonRect.left}px`;
+            menu.style.top = `${buttonRect.bottom + 4}px`;
+            menu.hidden = false;
+            menuButton.setAttribute('aria-expanded', 'true');
+            menu.firstChild.focus();
+        });
+        menu.addEventListener('keydown', event => {
+            const items = Array.from(menu.children);
+            const index = items.indexOf(document.activeElement);
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                items[(index + step + items.length) % items.length].focus();
+            } else if (event.key === 'Escape') {
+                closeMenu();
+                menuButton.focus();
+            }
+        });
+        document.addEventListener('click', event => {
+            if (!menu.hidden && !menu.contains(event.target) && event.target !== menuButton) {
+                closeMenu();
+            }
+        });
+
+        fixedCopyButton.after(menuButton);
+        document.body.appendChild(menu);
+    }
+
+    /**
+     * Selects a language in one of Bing's language dropdowns.
+     * @param {string} dropdownName - 'sourceLanguage' or 'targetLanguage'.
+     * @param {string} languageText - The exact text of the language option to select.
+     * @returns {Promise<boolean>} Resolves true once the language is selected and the dropdown
+     *     closed, or false if it could not be (the reason is logged).
+     */
+    function selectLanguage(dropdownName, languageText) {
+        const dropdownButton = getBingElement(dropdownName);
+        if (!dropdownButton) {
+            logWarning(`Could not select ${languageText}: the ${dropdownName} dropdown was not found.`);
+            notify('error', `Could not select '${languageText}': Bing's language menu was not found`);
+            return Promise.resolve(false);
+        }
+        // Only change if not already selected
+        if (dropdownButton.textContent.trim() === languageText) {
+            return Promise.resolve(true);
+        }
+        clickElement(dropdownButton); // Open dropdown
+
+        // Wait for the language list to appear
+        return waitForElement(() => Array.from(document.querySelectorAll('.tta_menu_item'))
+            .find(item => item.textContent.trim() === languageText), BING_ELEMENT_TIMEOUT, `language option "${languageText}"`)
+            .then(languageOption => {
+                clickElement(languageOption); // Select the language
+
+                // Ensure the dropdown closes (sometimes it stays open), so the next dropdown's options are not mixed with its own
+                return new Promise(resolve => setTimeout(() => {
+                    if (dropdownButton.getAttribute('aria-expanded') === 'true') {
+                        clickElement(dropdownButton); // Click to close if still open
+                    }
+                    resolve(true);
+                }, 100));
+            })
+            .catch(err => {
+                logWarning(`Could not select ${languageText}: ${err.message}`);
+                if (dropdownButton.getAttribute('aria-expanded') === 'true') {
+                    clickElement(dropdownButton); // Close the list left open
+                }
+                // Automations report languages they could not select in their own results
+                if (!describeRunningAutomation()) {
+                    notify('warning', `Language '${languageText}' not found`);
+                }
+                return false;
+            });
+    }
+
+    /**
+     * Sets the default source and target languages for Bing Translate.
+     */
+    function setDefaultLanguages() {
+        if (!window.location.hostname.includes('bing.com')) return;
+
+        // Set default languages from the user's settings
+        selectLanguage('sourceLanguage', settings.sourceLanguage);
+        selectLanguage('targetLanguage', settings.targetLanguage);
+    }
+
+    /**
+     * Selects a specific tone from the Bing Translate tone dropdown.
+     * @param {string} toneText - The exact text of the tone option to select.
+     */
+    function selectTone(toneText) {
+        if (!window.location.hostname.includes('bing.com')) return;
+        const toneSelectElement = getBingElement('toneSelect');
+        if (!toneSelectElement) {
+            logWarning('Tone select element (#tta_tonesl) not found.');
+            notify('error', `Could not set tone '${toneText}': Bing's tone selector was not found`);
+            return;
+        }
+        // Only change if not already selected
+        if (toneSelectElement.value === toneText) {
+            return;
+        }
+        if (toneSelectElement.options && !Array.from(toneSelectElement.options).some(option => option.value === toneText)) {
+            logWarning(`Tone "${toneText}" is not offered by Bing.`);
+            notify('warning', `Tone '${toneText}' not found`);
+            return;
+        }
+        toneSelectElement.value = toneText;
+        // Dispatch a change event to ensure Bing recognizes the new value
+        const changeEvent = new Event('change', { bubbles: true });
+        toneSelectElement.dispatchEvent(changeEvent);
+    }
+
+
+    /**
+     * Collects the language names Bing offers, for suggestions in the settings panel.
+     * @returns {string[]} The unique language names found on the page.
+     */
+    function getAvailableLanguages() {
+        const names = Array.from(document.querySelectorAll('.tta_menu_item, #tta_srcsl option, #tta_tgtsl option'))
+            .map(item => item.textContent.trim())
+            .filter(name => name.length > 0);
+        return Array.from(new Set(names));
+    }
+
+    /**
+     * Collects the tone names from Bing's tone dropdown. Logs a warning if it is missing.
+     * @returns {string[]} The available tone names, or an empty array without the dropdown.
+     */
+    function getAvailableTones() {
+        const toneSelectElement = getBingElement('toneSelect');
+        if (!toneSelectElement) {
+            logWarning('Tone select element (#tta_tonesl) not found.');
+            return [];
+        }
+        return Array.from(toneSelectElement.options).map(option => option.value);
+    }
+
+    /**
+     * Creates the settings button in the custom top bar and the panel it toggles,
+     * where the default languages and tone can be changed.
+     */
+    function createSettingsPanel() {
+        const customTopBar = getCustomTopBar('place settings button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const languageList = buildElement('datalist', { id: 'custom_settings_languages' });
+        const sourceInput = buildElement('input', { type: 'text', id: 'custom_settings_source', list: 'custom_settings_languages' });
+        const targetInput = buildElement('input', { type: 'text', id: 'custom_settings_target', list: 'custom_settings_languages' });
+        const toneSelect = buildElement('select', { id: 'custom_settings_tone' });
+        const themeSelect = buildElement('select', { id: 'custom_settings_theme' },
+            Object.keys(THEME_LABELS).map(name => buildElement('option', { value: name, textContent: THEME_LABELS[name] })));
+        const fontSizeInput = buildElement('input', { type: 'number', id: 'custom_settings_font_size', min: '10', max: '72', step: '1' });
+        const fontFamilyInput = buildElement('input', { type: 'text', id: 'custom_settings_font_family', list: 'custom_settings_fonts', placeholder: 'Bing default' });
+        const fontList = buildElement('datalist', { id: 'custom_settings_fonts' },
+            ['system-ui', 'Segoe UI', 'Arial', 'Georgia', 'Verdana', 'Consolas', 'monospace', 'serif', 'sans-serif']
+                .map(name => buildElement('option', { value: name })));
+        const speechRateInput = buildElement('input', { type: 'number', id: 'custom_settings_speech_rate', min: '0.5', max: '2', step: '0.1' });
+        const speechPitchInput = buildElement('input', { type: 'number', id: 'custom_settings_speech_pitch', min: '0', max: '2', step: '0.1' });
+        const notificationToggles = Object.keys(NOTIFICATION_CATEGORIES).map(category =>
+            buildElement('input', { type: 'checkbox', id: `custom_settings_notify_${category}`, value: category }));
+        const saveButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Save' });
+        const cancelButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Cancel' });
+
+        const panel = buildElement('div', { id: 'custom_settings_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Settings' }),
+            buildElement('label', { for: 'custom_settings_source', textContent: 'Default source language' }),
+            sourceInput,
+            buildElement('label', { for: 'custom_settings_target', textContent: 'Default target language' }),
+            targetInput,
+            buildElement('label', { for: 'custom_settings_tone', textContent: 'Default tone' }),
+            toneSelect,
+            buildElement('label', { for: 'custom_settings_theme', textContent: 'Theme' }),
+            themeSelect,
+            buildElement('label', { for: 'custom_settings_font_size', textContent: 'Text size (px)' }),
+            fontSizeInput,
+            buildElement('label', { for: 'custom_settings_font_family', textContent: 'Text font' }),
+            fontFamilyInput,
+            buildElement('label', { for: 'custom_settings_speech_rate', textContent: 'Read-aloud speed' }),
+            speechRateInput,
+            buildElement('label', { for: 'custom_settings_speech_pitch', textContent: 'Read-aloud pitch' }),
+            speechPitchInput,
+            buildElement('fieldset', { className: 'custom_settings_notifications' }, [
+                buildElement('legend', { textContent: 'Show notifications for' })
+            ].concat(notificationToggles.map(toggle => buildElement('label', { for: toggle.id }, [toggle, ` ${NOTIFICATION_CATEGORIES[toggle.value].label}`])))),
+            languageList,
+            fontList,
+            buildElement('div', { className: 'custom_panel_actions' }, [cancelButton, saveButton])
+        ]);
+
+        const settingsButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_settings_button',
+            className: 'custom_top_bar_button',
+            title: 'Settings',
+            'aria-label': 'Settings',
+            textContent: '\u2699'
+        });
+
+        // Refresh the form from the current settings and the page's options each time it opens
+        function openPanel() {
+            languageList.replaceChildren(...getAvailableLanguages().map(name => buildElement('option', { value: name })));
+            const tones = getAvailableTones();
+            if (!tones.includes(settings.tone)) {
+                tones.push(settings.tone);
+            }
+            toneSelect.replaceChildren(...tones.map(tone => buildElement('option', { value: tone, textContent: tone })));
+            sourceInput.value = settings.sourceLanguage;
+            targetInput.value = settings.targetLanguage;
+            toneSelect.value = settings.tone;
+            themeSelect.value = THEME_LABELS[settings.theme] ? settings.theme : 'auto';
+            fontSizeInput.value = settings.textFontSize;
+            fontFamilyInput.value = settings.textFontFamily;
+            speechRateInput.value = settings.speechRate;
+            speechPitchInput.value = settings.speechPitch;
+            notificationToggles.forEach(toggle => {
+                toggle.checked = !settings.mutedNotifications.includes(toggle.value);
+            });
+            panel.hidden = false;
+            sourceInput.focus();
+        }
+
+        function closePanel() {
+            panel.hidden = true;
+        }
+
+        settingsButton.addEventListener('click', () => {
+            if (panel.hidden) {
+                openPanel();
+            } else {
+                closePanel();
+            }
+        });
+        registerCommand('openSettings', 'Open settings', null, openPanel);
+        cancelButton.addEventListener('click', closePanel);
+
+        saveButton.addEventListener('click', () => {
+            settings = Object.assign({}, settings, {
+                sourceLanguage: sourceInput.value.trim() || DEFAULT_SETTINGS.sourceLanguage,
+                targetLanguage: targetInput.value.trim() || DEFAULT_SETTINGS.targetLanguage,
+                tone: toneSelect.value || DEFAULT_SETTINGS.tone,
+                theme: themeSelect.value,
+                textFontSize: Math.min(72, Math.max(10, parseInt(fontSizeInput.value, 10) || DEFAULT_SETTINGS.textFontSize)),
+                textFontFamily: fontFamilyInput.value.trim(),
+                speechRate: clampSetting(parseFloat(speechRateInput.value), 0.5, 2, DEFAULT_SETTINGS.speechRate),
+                speechPitch: clampSetting(parseFloat(speechPitchInput.value), 0, 2, DEFAULT_SETTINGS.speechPitch),
+                mutedNotifications: notificationToggles.filter(toggle => !toggle.checked).map(toggle => toggle.value)
+            });
+            saveSettings(settings);
+            closePanel();
+            applyThemeSettings();
+            // Apply the new defaults right away rather than waiting for the next page load
+            setDefaultLanguages();
+            selectTone(settings.tone);
+        });
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                closePanel();
+            }
+        });
+
+        customTopBar.appendChild(settingsButton);
+        document.body.appendChild(panel);
+    }
+
+    // True while the shortcut overlay is waiting for the user to press a new chord.
+    let shortcutRecordingActive = false;
+
+    /**
+     * Creates the overlay listing every command and its shortcut, where shortcuts can be
+     * rebound. Opened with "?" or from the top bar.
+     */
+    function createShortcutOverlay() {
+        const customTopBar = getCustomTopBar('place shortcuts button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const list = buildElement('table', { className: 'custom_shortcut_list' });
+        const message = buildElement('p', { className: 'custom_shortcut_message' });
+        const resetButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Reset to defaults' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+        const overlay = buildElement('div', { id: 'custom_shortcut_overlay', hidden: '' }, [
+            buildElement('div', { className: 'custom_shortcut_dialog' }, [
+                buildElement('h2', { textContent: 'Keyboard shortcuts' }),
+                list,
+                message,
+                buildElement('div', { className: 'custom_panel_actions' }, [resetButton, closeButton])
+            ])
+        ]);
+
+        // Stops listening for a new chord, if a recording is in progress
+        let stopRecording = () => {};
+
+        function renderList() {
+            list.replaceChildren(...commands.map(command => {
+                const changeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Change' });
+                const clearButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Clear' });
+                const chordCell = buildElement('td', { className: 'custom_shortcut_chord' }, [
+                    buildElement('kbd', { textContent: formatChord(getCommandBinding(command)) })
+                ]);
+                changeButton.addEventListener('click', () => recordChord(command, chordCell));
+                clearButton.addEventListener('click', () => {
+                    setCommandBinding(command.id, null);
+                    message.textContent = '';
+                    renderList();
+                });
+                return buildElement('tr', {}, [
+                    buildElement('td', { textContent: command.label }),
+                    chordCell,
+                    buildElement('td', {}, [changeButton, clearButton])
+                ]);
+            }));
+        }
+
+        function recordChord(command, chordCell) {
+            stopRecording();
+            shortcutRecordingActive = true;
+            chordCell.replaceChildren(buildElement('kbd', { textContent: 'Press a shortcut\u2026' }));
+            message.textContent = 'Press Escape to cancel.';
+
+            function onRecordKeydown(event) {
+                event.preventDefault();
+                event.stopPropagation();
+                if (event.code === 'Escape') {
+                    stopRecording();
+                    message.textContent = '';
+                    renderList();
+                    return;
+                }
+                const chord = chordFromEvent(event);
+                if (!chord) {
+                    return; // Wait for a non-modifier key
+                }
+                stopRecording();
+                const conflict = setCommandBinding(command.id, chord);
+                message.textContent = conflict
+                    ? `${formatChord(chord)} is already used by "${conflict.label}". Clear that shortcut first.`
+                    : '';
+                renderList();
+            }
+
+            stopRecording = () => {
+                document.removeEventListener('keydown', onRecordKeydown, true);
+                shortcutRecordingActive = false;
+                stopRecording = () => {};
+            };
+            document.addEventListener('keydown', onRecordKeydown, true);
+        }
+
+        function openOverlay() {
+            message.textContent = '';
+            renderList();
+            overlay.hidden = false;
+            closeButton.focus();
+        }
+
+        function closeOverlay() {
+            stopRecording();
+            overlay.hidden = true;
+        }
+
+        resetButton.addEventListener('click', () => {
+            resetCommandBindings();
+            message.textContent = '';
+            renderList();
+        });
+        closeButton.addEventListener('click', closeOverlay);
+        overlay.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && !shortcutRecordingActive) {
+                closeOverlay();
+            }
+        });
+        // Clicking the backdrop closes the overlay
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) {
+                closeOverlay();
+            }
+        });
+
+        const shortcutsButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_shortcuts_button',
+            className: 'custom_top_bar_button',
+            title: 'Keyboard shortcuts',
+            'aria-label': 'Keyboard shortcuts',
+            textContent: '?'
+        });
+        shortcutsButton.addEventListener('click', () => {
+            if (overlay.hidden) {
+                openOverlay();
+            } else {
+                closeOverlay();
+            }
+        });
+
+        registerCommand('showShortcuts', 'Show keyboard shortcuts', `${CHARACTER_CHORD_PREFIX}?`, () => {
+            if (overlay.hidden) {
+                openOverlay();
+            } else {
+                closeOverlay();
+            }
+        });
+
+        customTopBar.appendChild(shortcutsButton);
+        document.body.appendChild(overlay);
+    }
+
+    /**
+     * Makes the overhauled UI work with keyboards and screen readers: a live region announcing
+     * tone changes and finished translations, a skip link past the top bar and Bing's collapsed
+     * navigation, the top bar as a toolbar with a single tab stop and arrow-key navigation, and
+     * commands moving focus between the top bar, input and output.
+     */
+    function createAccessibilitySupport() {
+        const customTopBar = getCustomTopBar('make it keyboard accessible');
+        document.body.appendChild(buildElement('div', { id: 'custom_live_region', className: 'custom_visually_hidden', role: 'status', 'aria-live': 'polite' }));
+
+        const skipLink = buildElement('a', { id: 'custom_skip_link', href: '#tta_input_ta', textContent: 'Skip to the text to translate' });
+        skipLink.addEventListener('click', event => {
+            const element = getBingElement('input');
+            if (element) {
+                event.preventDefault();
+                element.focus();
+            }
+        });
+        document.body.prepend(skipLink);
+
+        // Automations translate many times over; only announce what the user asked for
+        onBingEvent('output-settled', text => {
+            if (text.trim() && !describeRunningAutomation()) {
+                announce('Translation complete');
+            }
+        });
+
+        // The output must be reachable with Tab even where Bing renders it as a plain element
+        function makeFocusable(element) {
+            if (element.tabIndex < 0) {
+                element.setAttribute('tabindex', '0');
+            }
+        }
+        ['input', 'output'].forEach(name => {
+            const element = getBingElement(name);
+            if (element) {
+                makeFocusable(element);
+            }
+        });
+        onBingEvent('element-bound', ({ name, element }) => {
+            if (name === 'input' || name === 'output') {
+                makeFocusable(element);
+            }
+        });
+
+        if (!customTopBar) {
+            return;
+        }
+        customTopBar.setAttribute('role', 'toolbar');
+        customTopBar.setAttribute('aria-label', 'Translator tools');
+
+        function getToolbarButtons() {
+            return Array.from(customTopBar.querySelectorAll('button'))
+                .filter(button => !button.hidden && !button.disabled && !button.closest('#custom_notifications'));
+        }
+
+        // Roving tab stop: only the most recently focused button is in the tab order
+        function setTabStop(current) {
+            getToolbarButtons().forEach(button => button.setAttribute('tabindex', button === current ? '0' : '-1'));
+        }
+
+        customTopBar.addEventListener('focusin', event => {
+            if (getToolbarButtons().includes(event.target)) {
+                setTabStop(event.target);
+            }
+        });
+        customTopBar.addEventListener('keydown', event => {
+            const buttons = getToolbarButtons();
+            const index = buttons.indexOf(document.activeElement);
+            if (index === -1) {
+                return;
+            }
+            const targets = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: buttons.length - 1 };
+            if (!Object.prototype.hasOwnProperty.call(targets, event.key)) {
+                return;
+            }
+            event.preventDefault();
+            buttons[(targets[event.key] + buttons.length) % buttons.length].focus();
+        });
+        setTabStop(getToolbarButtons()[0]);
+
+        registerCommand('focusTopBar', 'Move focus to the top bar', 'Alt+Digit1', () => {
+            const buttons = getToolbarButtons();
+            const button = buttons.find(candidate => candidate.getAttribute('tabindex') === '0') || buttons[0];
+            if (button) {
+                button.focus();
+            }
+        });
+        registerCommand('focusInput', 'Move focus to the input', 'Alt+Digit2', () => {
+            const element = getBingElement('input');
+            if (element) {
+                element.focus();
+            }
+        });
+        registerCommand('focusOutput', 'Move focus to the translation', 'Alt+Digit3', () => {
+            const element = getBingElement('output');
+            if (element) {
+                element.focus();
+            }
+        });
+    }
+
+    const RECENT_COMMANDS_STORAGE_KEY = 'bingTranslateOverhaul.recentCommands';
+
+    // Recently run palette items kept, most recent first.
+    const RECENT_COMMANDS_MAX = 8;
+
+    // Palette items shown at most, so long language lists stay quick to render.
+    const COMMAND_PALETTE_MAX_ITEMS = 50;
+
+    /**
+     * Loads the ids of the palette items run most recently.
+     * @returns {string[]} Item ids, most recent first.
+     */
+    function loadRecentCommands() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(RECENT_COMMANDS_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (err) {
+            logWarning('Could not read recent commands.', err);
+            return [];
+        }
+    }
+
+    /**
+     * Persists the ids of the palette items run most recently.
+     * @param {string[]} recent - Item ids, most recent first.
+     */
+    function saveRecentCommands(recent) {
+        try {
+            localStorage.setItem(RECENT_COMMANDS_STORAGE_KEY, JSON.stringify(recent));
+        } catch (err) {
+            logError('Failed to save recent commands: ', err);
+        }
+    }
+
+    /**
+     * Moves a palette item to the front of the recently used list.
+     * @param {string} itemId - The id of the item that was run.
+     */
+    function rememberRecentCommand(itemId) {
+        saveRecentCommands([itemId].concat(loadRecentCommands().filter(id => id !== itemId)).slice(0, RECENT_COMMANDS_MAX));
+    }
+
+    /**
+     * Lists everything the command palette can run: the registered commands, plus an item per
+     * language for the source and the target and an item per tone.
+     * @returns {Array<{id: string, label: string, chord: string|null, run: Function}>} The items.
+     */
+    function getPaletteItems() {
+        const items = commands.map(command => ({ id: command.id, label: command.label, chord: getCommandBinding(command), run: command.run }));
+        const languages = getAvailableLanguages();
+        languages.forEach(language => {
+            items.push({ id: `sourceLanguage:${language}`, label: `Set source language: ${language}`, chord: null, run: () => selectLanguage('sourceLanguage', language) });
+        });
+        languages.filter(language => !/\(detected\)$/i.test(language)).forEach(language => {
+            items.push({ id: `targetLanguage:${language}`, label: `Set target language: ${language}`, chord: null, run: () => selectLanguage('targetLanguage', language) });
+        });
+        getAvailableTones().forEach(tone => {
+            items.push({ id: `tone:${tone}`, label: `Set tone: ${tone}`, chord: null, run: () => changeTone(tone) });
+        });
+        return items;
+    }
+
+    /**
+     * Matches a query against a label as an ordered, case-insensitive subsequence.
+     * Consecutive characters and characters starting a word score higher.
+     * @param {string} query - The typed query.
+     * @param {string} label - The item label.
+     * @returns {{score: number, positions: number[]}|null} The score and the matched character
+     *     positions, or null if the label does not contain the query's characters in order.
+     */
+    function fuzzyMatch(query, label) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = label.toLowerCase();
+        const positions = [];
+        let score = 0;
+        let from = 0;
+        for (const char of needle) {
+            const index = haystack.indexOf(char, from);
+            if (index === -1) {
+                return null;
+            }
+            const previous = positions[positions.length - 1];
+            score += 1;
+            if (previous !== undefined && index === previous + 1) {
+                score += 2; // Consecutive characters
+            }
+            if (index === 0 || /[\s:(/-]/.test(haystack[index - 1])) {
+                score += 3; // Start of a word
+            }
+            positions.push(index);
+            from = index + 1;
+        }
+        // Prefer shorter labels among equal matches
+        return { score: score - label.length / 100, positions };
+    }
+
+    /**
+     * Creates the command palette, opened with Ctrl+K: a search box over every action with
+     * fuzzy matching, recently used items first, operated entirely from the keyboard.
+     */
+    function createCommandPalette() {
+        const input = buildElement('input', {
+            type: 'text',
+            id: 'custom_command_palette_input',
+            role: 'combobox',
+            'aria-expanded': 'true',
+            'aria-controls': 'custom_command_palette_list',
+            'aria-autocomplete': 'list',
+            'aria-label': 'Search commands',
+            placeholder: 'Type a command, language or tone\u2026',
+            autocomplete: 'off',
+            spellcheck: 'false'
+        });
+        const list = buildElement('ul', { id: 'custom_command_palette_list', role: 'listbox', 'aria-label': 'Commands' });
+        const overlay = buildElement('div', { id: 'custom_command_palette', hidden: '' }, [
+            buildElement('div', { className: 'custom_shortcut_dialog', role: 'dialog', 'aria-modal': 'true', 'aria-label': 'Command palette' }, [input, list])
+        ]);
+
+        let items = [];
+        let matches = [];
+        let activeIndex = 0;
+        let returnFocus = null;
+
+        function renderLabel(label, positions) {
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            positions.forEach(index => {
+                fragment.append(label.slice(position, index), buildElement('mark', { textContent: label[index] }));
+                position = index + 1;
+            });
+            fragment.append(label.slice(position));
+            return fragment;
+        }
+
+        function setActive(index) {
+            if (matches.length === 0) {
+                input.removeAttribute('aria-activedescendant');
+                return;
+            }
+            activeIndex = (index + matches.length) % matches.length;
+            Array.from(list.children).forEach((option, optionIndex) => {
+                option.setAttribute('aria-selected', String(optionIndex === activeIndex));
+            });
+            const activeOption = list.children[activeIndex];
+            input.setAttribute('aria-activedescendant', activeOption.id);
+            activeOption.scrollIntoView({ block: 'nearest' });
+        }
+
+        function renderList() {
+            const query = input.value.trim();
+            const recent = loadRecentCommands();
+            if (query) {
+                matches = items
+                    .map(item => ({ item, match: fuzzyMatch(query, item.label) }))
+                    .filter(candidate => candidate.match)
+                    .map(candidate => ({ item: candidate.item, positions: candidate.match.positions, score: candidate.match.score + (recent.includes(candidate.item.id) ? 1 : 0) }))
+                    .sort((a, b) => b.score - a.score);
+            } else {
+                // Recently used first, then the commands, then languages and tones
+                const recentItems = recent.map(id => items.find(item => item.id === id)).filter(Boolean);
+                matches = recentItems.concat(items.filter(item => !recent.includes(item.id)))
+                    .map(item => ({ item, positions: [], recent: recent.includes(item.id) }));
+            }
+            matches = matches.slice(0, COMMAND_PALETTE_MAX_ITEMS);
+            list.replaceChildren(...matches.map((match, index) => {
+                const option = buildElement('li', { id: `custom_command_palette_option_${index}`, role: 'option', 'aria-selected': 'false' }, [
+                    buildElement('span', {}, [renderLabel(match.item.label, match.positions)])
+                ]);
+                if (match.recent) {
+                    option.append(buildElement('small', { className: 'custom_command_palette_recent', textContent: 'recent' }));
+                }
+                if (match.item.chord) {
+                    option.append(buildElement('kbd', { textContent: formatChord(match.item.chord) }));
+                }
+                option.addEventListener('mousedown', event => event.preventDefault()); // Keep focus in the input
+                option.addEventListener('click', () => runMatch(index));
+                return option;
+            }));
+            if (matches.length === 0) {
+                list.append(buildElement('li', { className: 'custom_command_palette_empty', textContent: 'No matching commands' }));
+            }
+            setActive(0);
+        }
+
+        function openPalette() {
+            returnFocus = document.activeElement;
+            items = getPaletteItems();
+            input.value = '';
+            overlay.hidden = false;
+            renderList();
+            input.focus();
+        }
+
+        function closePalette() {
+            overlay.hidden = true;
+            if (returnFocus && returnFocus.isConnected) {
+                returnFocus.focus();
+            }
+        }
+
+        function runMatch(index) {
+            const match = matches[index];
+            if (!match) {
+                return;
+            }
+            closePalette();
+            rememberRecentCommand(match.item.id);
+            match.item.run();
+        }
+
+        input.addEventListener('input', renderList);
+        input.addEventListener('keydown', event => {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                setActive(activeIndex + (event.key === 'ArrowDown' ? 1 : -1));
+            } else if (event.key === 'Home' && event.ctrlKey) {
+                event.preventDefault();
+                setActive(0);
+            } else if (event.key === 'End' && event.ctrlKey) {
+                event.preventDefault();
+                setActive(matches.length - 1);
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                runMatch(activeIndex);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                closePalette();
+            } else if (event.key === 'Tab') {
+                event.preventDefault(); // Keep focus inside the dialog
+            }
+        });
+        // Clicking the backdrop closes the palette
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) {
+                closePalette();
+            }
+        });
+
+        registerCommand('openCommandPalette', 'Open command palette', 'Ctrl+KeyK', () => {
+            if (overlay.hidden) {
+                openPalette();
+            } else {
+                closePalette();
+            }
+        });
+
+        document.body.appendChild(overlay);
+    }
+
+    const HISTORY_STORAGE_KEY = 'bingTranslateOverhaul.history';
+
+    // Oldest unstarred entries are dropped beyond this many.
+    const HISTORY_MAX_ENTRIES = 500;
+
+    // Edits to the latest entry within this window update it instead of adding a new one.
+    const HISTORY_MERGE_WINDOW = 60000;
+
+    const HISTORY_CSV_COLUMNS = ['timestamp', 'sourceLanguage', 'targetLanguage', 'tone', 'starred', 'input', 'output'];
+
+    // Notifies the history panel that entries changed, once the panel exists.
+    let onHistoryChanged = () => {};
+
+    /**
+     * Loads the translation history from localStorage, newest first.
+     * @returns {Object[]} The stored history entries.
+     */
+    function loadHistory() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (err) {
+            logWarning('Could not read translation history.', err);
+            return [];
+        }
+    }
+
+    /**
+     * Persists the translation history, dropping the oldest unstarred entries over the limit.
+     * @param {Object[]} entries - The history entries, newest first.
+     */
+    function saveHistory(entries) {
+        let trimmed = entries;
+        if (trimmed.length > HISTORY_MAX_ENTRIES) {
+            let excess = trimmed.length - HISTORY_MAX_ENTRIES;
+            trimmed = trimmed.slice().reverse().filter(entry => {
+                if (excess > 0 && !entry.starred) {
+                    excess--;
+                    return false;
+                }
+                return true;
+            }).reverse();
+        }
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(trimmed));
+        } catch (err) {
+            logError('Failed to save translation history: ', err);
+        }
+        onHistoryChanged();
+    }
+
+    /**
+     * Records the current input/output pair with its languages and tone.
+     * Progressive edits of the same text update the latest entry rather than adding new ones.
+     */
+    function captureHistoryEntry() {
+        const input = (getInputText() || '').trim();
+        const output = (getTranslatedText() || '').trim();
+        if (!input || !output || describeRunningAutomation()) {
+            return; // Batch chunks, other languages, tone variants and round trips are not translations worth keeping
+        }
+
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            timestamp: Date.now(),
+            sourceLanguage: getSelectedLanguage('sourceLanguage'),
+            targetLanguage: getSelectedLanguage('targetLanguage'),
+            tone: getSelectedTone(),
+            starred: false,
+            input,
+            output
+        };
+
+        const entries = loadHistory();
+        const latest = entries[0];
+        if (latest &&
+            latest.sourceLanguage === entry.sourceLanguage &&
+            latest.targetLanguage === entry.targetLanguage &&
+            entry.timestamp - latest.timestamp < HISTORY_MERGE_WINDOW &&
+            (entry.input.startsWith(latest.input) || latest.input.startsWith(entry.input))) {
+            if (latest.input === entry.input && latest.output === entry.output && latest.tone === entry.tone) {
+                return; // Nothing new
+            }
+            entries[0] = Object.assign({}, entry, { id: latest.id, starred: latest.starred });
+        } else {
+            entries.unshift(entry);
+        }
+        saveHistory(entries);
+    }
+
+    /**
+     * Restores a history entry: its languages, tone and input, which makes Bing retranslate it.
+     * The input is set last, so that Bing translates it with the entry's languages and tone only.
+     * @param {Object} entry - The history entry to restore.
+     * @returns {Promise<void>} Resolves once the input is set.
+     */
+    async function restoreHistoryEntry(entry) {
+        if (entry.sourceLanguage) {
+            await selectLanguage('sourceLanguage', entry.sourceLanguage);
+        }
+        if (entry.targetLanguage) {
+            await selectLanguage('targetLanguage', entry.targetLanguage);
+        }
+        if (entry.tone) {
+            selectTone(entry.tone);
+        }
+        setInputText(entry.input);
+    }
+
+    /**
+     * Serializes history entries as CSV with a header row.
+     * @param {Object[]} entries - The entries to export.
+     * @returns {string} The CSV text.
+     */
+    function historyToCsv(entries) {
+        const lines = [HISTORY_CSV_COLUMNS.join(',')];
+        entries.forEach(entry => {
+            lines.push(HISTORY_CSV_COLUMNS.map(column => {
+                if (column === 'timestamp') {
+                    return toCsvCell(new Date(entry.timestamp).toISOString());
+                }
+                return toCsvCell(entry[column]);
+            }).join(','));
+        });
+        return lines.join('\r\n');
+    }
+
+    /**
+     * Parses history entries from exported JSON or CSV text.
+     * @param {string} text - The file content.
+     * @param {boolean} isCsv - Whether the content is CSV rather than JSON.
+     * @returns {Object[]} The valid entries found.
+     */
+    function parseHistoryImport(text, isCsv) {
+        let rawEntries;
+        if (isCsv) {
+            const rows = parseCsv(text);
+            const header = rows.shift() || [];
+            rawEntries = rows.map(row => {
+                const raw = {};
+                header.forEach((column, index) => {
+                    raw[column.trim()] = row[index] === undefined ? undefined : fromCsvCell(row[index]);
+                });
+                raw.timestamp = Date.parse(raw.timestamp);
+                raw.starred = raw.starred === 'true';
+                return raw;
+            });
+        } else {
+            rawEntries = JSON.parse(text);
+        }
+        return normalizeHistoryEntries(rawEntries);
+    }
+
+    /**
+     * Checks that imported data is a list of history entries, and normalizes the valid ones.
+     * @param {*} rawEntries - The parsed entries.
+     * @returns {Object[]} The valid entries found.
+     */
+    function normalizeHistoryEntries(rawEntries) {
+        if (!Array.isArray(rawEntries)) {
+            throw new Error('Expected a JSON array of history entries.');
+        }
+        return rawEntries
+            .filter(raw => raw && typeof raw.input === 'string' && typeof raw.output === 'string' && raw.input.trim())
+            .map(raw => ({
+                id: raw.id || Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                timestamp: Number.isFinite(raw.timestamp) ? raw.timestamp : Date.now(),
+                sourceLanguage: raw.sourceLanguage || '',
+                targetLanguage: raw.targetLanguage || '',
+                tone: raw.tone || '',
+                starred: Boolean(raw.starred),
+                input: raw.input,
+                output: raw.output
+            }));
+    }
+
+    /**
+     * Merges imported entries into the stored history, skipping exact duplicates.
+     * @param {Object[]} imported - The entries to add.
+     * @returns {number} How many entries were added.
+     */
+    function importHistoryEntries(imported) {
+        const entries = loadHistory();
+        const keyOf = entry => [entry.sourceLanguage, entry.targetLanguage, entry.input, entry.output].join('\u0000');
+        const existing = new Set(entries.map(keyOf));
+        const added = imported.filter(entry => !existing.has(keyOf(entry)));
+        const merged = entries.concat(added).sort((a, b) => b.timestamp - a.timestamp);
+        saveHistory(merged);
+        return added.length;
+    }
+
+    /**
+     * Creates the collapsible history side panel and its toggle button in the custom top bar.
+     */
+    function createHistoryPanel() {
+        const customTopBar = getCustomTopBar('place history button');
+        if (!customTopBar) {
+            return;
+        }
+
+        // Record each pair once Bing stops changing it
+        onBingEvent('output-settled', captureHistoryEntry);
+
+        const searchInput = buildElement('input', { type: 'search', placeholder: 'Search history', 'aria-label': 'Search history' });
+        const starredOnly = buildElement('input', { type: 'checkbox', id: 'custom_history_starred_only' });
+        const list = buildElement('ul', { className: 'custom_history_list' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const exportJsonButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Export JSON' });
+        const exportCsvButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Export CSV' });
+        const importButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Import' });
+        const clearButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Clear unstarred' });
+
+        const panel = buildElement('aside', { id: 'custom_history_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'History' }),
+            searchInput,
+            buildElement('label', { for: 'custom_history_starred_only' }, [starredOnly, ' Starred only']),
+            list,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [exportJsonButton, exportCsvButton, importButton, clearButton])
+        ]);
+
+        function renderList() {
+            if (panel.hidden) {
+                return;
+            }
+            const query = searchInput.value.trim().toLowerCase();
+            const entries = loadHistory().filter(entry => {
+                if (starredOnly.checked && !entry.starred) {
+                    return false;
+                }
+                return !query ||
+                    entry.input.toLowerCase().includes(query) ||
+                    entry.output.toLowerCase().includes(query);
+            });
+
+            list.replaceChildren(...entries.map(entry => {
+                const starButton = buildElement('button', {
+                    type: 'button',
+                    className: 'custom_history_star',
+                    title: entry.starred ? 'Unstar' : 'Star',
+                    'aria-label': 'Star',
+                    'aria-pressed': String(entry.starred),
+                    textContent: entry.starred ? '\u2605' : '\u2606'
+                });
+                starButton.addEventListener('click', event => {
+                    event.stopPropagation();
+                    saveHistory(loadHistory().map(stored => stored.id === entry.id ? Object.assign({}, stored, { starred: !stored.starred }) : stored));
+                });
+
+                const deleteButton = buildElement('button', { type: 'button', className: 'custom_history_delete', title: 'Delete', 'aria-label': 'Delete', textContent: '\u00d7' });
+                deleteButton.addEventListener('click', event => {
+                    event.stopPropagation();
+                    saveHistory(loadHistory().filter(stored => stored.id !== entry.id));
+                });
+
+                const item = buildElement('li', { className: 'custom_history_entry', tabindex: '0', title: 'Restore this translation' }, [
+                    buildElement('div', { className: 'custom_history_meta' }, [
+                        starButton,
+                        buildElement('span', {
+                            textContent: `${entry.sourceLanguage} \u2192 ${entry.targetLanguage}${entry.tone ? ` (${entry.tone})` : ''} \u00b7 ${new Date(entry.timestamp).toLocaleString()}`
+                        }),
+                        deleteButton
+                    ]),
+                    buildElement('div', { className: 'custom_history_input', textContent: entry.input }),
+                    buildElement('div', { className: 'custom_history_output', textContent: entry.output })
+                ]);
+                item.addEventListener('click', () => restoreHistoryEntry(entry));
+                item.addEventListener('keydown', event => {
+                    if (event.key === 'Enter') {
+                        restoreHistoryEntry(entry);
+                    }
+                });
+                return item;
+            }));
+            status.textContent = entries.length === 0 ? 'No matching translations.' : `${entries.length} translation(s)`;
+        }
+
+        onHistoryChanged = renderList;
+        searchInput.addEventListener('input', renderList);
+        starredOnly.addEventListener('change', renderList);
+
+        exportJsonButton.addEventListener('click', () => {
+            downloadFile('bing-translate-history.json', JSON.stringify(loadHistory(), null, 2), 'application/json');
+        });
+        exportCsvButton.addEventListener('click', () => {
+            downloadFile('bing-translate-history.csv', historyToCsv(loadHistory()), 'text/csv');
+        });
+        importButton.addEventListener('click', () => {
+            pickTextFile('.json,.csv,application/json,text/csv').then(file => {
+                const added = importHistoryEntries(parseHistoryImport(file.text, /\.csv$/i.test(file.name)));
+                status.textContent = `Imported ${added} new translation(s).`;
+            }).catch(err => {
+                if (isFileDialogCancelled(err)) {
+                    return;
+                }
+                logError('Failed to import history: ', err);
+                status.textContent = `Import failed: ${err.message}`;
+            });
+        });
+        clearButton.addEventListener('click', () => {
+            saveHistory(loadHistory().filter(entry => entry.starred));
+        });
+
+        const historyButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_history_button',
+            className: 'custom_top_bar_button',
+            title: 'History',
+            'aria-label': 'History',
+            textContent: '\u{1F552}'
+        });
+        function togglePanel() {
+            panel.hidden = !panel.hidden;
+            historyButton.setAttribute('aria-expanded', String(!panel.hidden));
+            if (!panel.hidden) {
+                // Both side panels sit along the right edge
+                const memoryPanel = document.getElementById('custom_memory_panel');
+                if (memoryPanel) {
+                    memoryPanel.hidden = true;
+                }
+                renderList();
+                searchInput.focus();
+            }
+        }
+        historyButton.addEventListener('click', togglePanel);
+        registerCommand('toggleHistory', 'Show / hide history', 'Alt+KeyH', togglePanel);
+
+        customTopBar.appendChild(historyButton);
+        document.body.appendChild(panel);
+    }
+
+    // Reports the result of the latest token pass, once the status indicator exists.
+    let updateTokenStatus = () => {};
+
+    /**
+     * Creates the top-bar indicator reporting protected tokens that were restored or are missing.
+     */
+    function createTokenStatusIndicator() {
+        const customTopBar = getCustomTopBar('place token status');
+        if (!customTopBar) {
+            return;
+        }
+        const indicator = buildElement('span', { id: 'custom_token_status', hidden: '' });
+        updateTokenStatus = result => {
+            const notes = [];
+            if (result.restored.length > 0) {
+                notes.push(`Restored: ${result.restored.join(', ')}`);
+            }
+            if (result.dropped.length > 0) {
+                notes.push(`Missing from the translation: ${result.dropped.join(', ')}`);
+            }
+            indicator.hidden = notes.length === 0;
+            indicator.textContent = result.dropped.length > 0
+                ? `\u26A0 ${result.dropped.length} token(s) missing`
+                : `${result.restored.length} token(s) restored`;
+            indicator.title = notes.join('\n');
+            indicator.classList.toggle('custom_token_status_error', result.dropped.length > 0);
+        };
+        customTopBar.appendChild(indicator);
+    }
+
+    const GLOSSARY_STORAGE_KEY = 'bingTranslateOverhaul.glossary';
+
+    // Glossary pair whose terms apply to every language pair.
+    const GLOSSARY_ALL_PAIRS = '*';
+
+    // Updates the glossary button with the result of the latest pass, once the button exists.
+    let updateGlossaryStatus = () => {};
+
+    /**
+     * Loads the glossary from localStorage.
+     * Shape: { [pairKey]: { terms: [{ source, target, variants }], doNotTranslate: [string] } }.
+     * @returns {Object} The glossary, keyed by language pair.
+     */
+    function loadGlossary() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(GLOSSARY_STORAGE_KEY));
+            if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+                return stored;
+            }
+        } catch (err) {
+            logWarning('Could not read glossary.', err);
+        }
+        return {};
+    }
+
+    /**
+     * Persists the glossary to localStorage.
+     * @param {Object} glossary - The glossary, keyed by language pair.
+     */
+    function saveGlossary(glossary) {
+        try {
+            localStorage.setItem(GLOSSARY_STORAGE_KEY, JSON.stringify(glossary));
+        } catch (err) {
+            logError('Failed to save glossary: ', err);
+        }
+    }
+
+    /**
+     * Checks that imported data has the glossary shape, and normalizes its entries.
+     * @param {*} data - The parsed JSON.
+     * @returns {Object} The validated glossary.
+     */
+    function validateGlossary(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Expected a JSON object keyed by language pair.');
+        }
+        const glossary = {};
+        Object.keys(data).forEach(pairKey => {
+            const pair = data[pairKey] || {};
+            glossary[pairKey] = {
+                terms: (Array.isArray(pair.terms) ? pair.terms : [])
+                    .filter(term => term && typeof term.source === 'string' && typeof term.target === 'string' && term.source.trim())
+                    .map(term => ({
+                        source: term.source.trim(),
+                        target: term.target.trim(),
+                        variants: (Array.isArray(term.variants) ? term.variants : []).filter(v => typeof v === 'string' && v.trim()).map(v => v.trim())
+                    })),
+                doNotTranslate: (Array.isArray(pair.doNotTranslate) ? pair.doNotTranslate : [])
+                    .filter(term => typeof term === 'string' && term.trim())
+                    .map(term => term.trim())
+            };
+        });
+        return glossary;
+    }
+
+    /**
+     * Collects the glossary rules that apply to a language pair, including those for every pair.
+     * "Never translate" terms become rules whose target is the term itself.
+     * @param {string} pairKey - The language pair key.
+     * @returns {Array<{source: string, target: string, variants: string[]}>} The rules.
+     */
+    function getGlossaryRules(pairKey) {
+        const glossary = loadGlossary();
+        const rules = [];
+        [GLOSSARY_ALL_PAIRS, pairKey].forEach(key => {
+            const pair = glossary[key];
+            if (!pair) {
+                return;
+            }
+            (pair.terms || []).forEach(term => rules.push(term));
+            (pair.doNotTranslate || []).forEach(term => rules.push({ source: term, target: term, variants: [] }));
+        });
+        return rules.filter(rule => rule.source && rule.target);
+    }
+
+    /**
+     * Formats a pair's rules as editable lines: "source = target | variant | variant".
+     * @param {Object} pair - The glossary pair.
+     * @returns {string} The term lines.
+     */
+    function formatGlossaryTerms(pair) {
+        return (pair.terms || []).map(term => [`${term.source} = ${term.target}`].concat(term.variants || []).join(' | ')).join('\n');
+    }
+
+    /**
+     * Parses term lines written as "source = target | variant | variant".
+     * @param {string} text - The edited lines.
+     * @returns {Object[]} The parsed terms; malformed lines are skipped.
+     */
+    function parseGlossaryTerms(text) {
+        return text.split('\n').map(line => {
+            const parts = line.split('|').map(part => part.trim());
+            const mapping = parts.shift().split('=');
+            if (mapping.length !== 2 || !mapping[0].trim() || !mapping[1].trim()) {
+                return null;
+            }
+            return { source: mapping[0].trim(), target: mapping[1].trim(), variants: parts.filter(Boolean) };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Creates the glossary editor panel and its button in the custom top bar. The button
+     * also reports how many terms the last pass fixed or could not find.
+     */
+    function createGlossaryPanel() {
+        const customTopBar = getCustomTopBar('place glossary button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const pairSelect = buildElement('select', { id: 'custom_glossary_pair' });
+        const termsInput = buildElement('textarea', {
+            id: 'custom_glossary_terms',
+            rows: '8',
+            placeholder: 'Contoso Cloud = Contoso Cloud\nsign-in = connexion | ouverture de session'
+        });
+        const doNotTranslateInput = buildElement('textarea', { id: 'custom_glossary_dnt', rows: '5', placeholder: 'One term per line' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const saveButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Save' });
+        const exportButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Export JSON' });
+        const importButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Import JSON' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+
+        const panel = buildElement('div', { id: 'custom_glossary_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Glossary' }),
+            buildElement('label', { for: 'custom_glossary_pair', textContent: 'Language pair' }),
+            pairSelect,
+            buildElement('label', { for: 'custom_glossary_terms', textContent: 'Required terms (source = target | wrong rendering | \u2026)' }),
+            termsInput,
+            buildElement('label', { for: 'custom_glossary_dnt', textContent: 'Never translate' }),
+            doNotTranslateInput,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [exportButton, importButton, closeButton, saveButton])
+        ]);
+
+        function fillForm() {
+            const pair = loadGlossary()[pairSelect.value] || {};
+            termsInput.value = formatGlossaryTerms(pair);
+            doNotTranslateInput.value = (pair.doNotTranslate || []).join('\n');
+        }
+
+        function openPanel() {
+            const glossary = loadGlossary();
+            const currentPair = getLanguagePairKey();
+            const pairKeys = Array.from(new Set([currentPair].concat(Object.keys(glossary).filter(key => key !== GLOSSARY_ALL_PAIRS))));
+            pairSelect.replaceChildren(
+                buildElement('option', { value: GLOSSARY_ALL_PAIRS, textContent: 'All language pairs' }),
+                ...pairKeys.map(key => buildElement('option', { value: key, textContent: key }))
+            );
+            pairSelect.value = currentPair;
+            status.textContent = '';
+            fillForm();
+            panel.hidden = false;
+            termsInput.focus();
+        }
+
+        function closePanel() {
+            panel.hidden = true;
+        }
+
+        pairSelect.addEventListener('change', fillForm);
+        saveButton.addEventListener('click', () => {
+            const glossary = loadGlossary();
+            glossary[pairSelect.value] = {
+                terms: parseGlossaryTerms(termsInput.value),
+                doNotTranslate: doNotTranslateInput.value.split('\n').map(term => term.trim()).filter(Boolean)
+            };
+            if (glossary[pairSelect.value].terms.length === 0 && glossary[pairSelect.value].doNotTranslate.length === 0) {
+                delete glossary[pairSelect.value];
+            }
+            saveGlossary(glossary);
+            fillForm();
+            status.textContent = 'Glossary saved.';
+        });
+        exportButton.addEventListener('click', () => {
+            downloadFile('bing-translate-glossary.json', JSON.stringify(loadGlossary(), null, 2), 'application/json');
+        });
+        importButton.addEventListener('click', () => {
+            pickTextFile('.json,application/json').then(file => {
+                const imported = validateGlossary(JSON.parse(file.text));
+                saveGlossary(Object.assign(loadGlossary(), imported));
+                openPanel();
+                status.textContent = `Imported ${Object.keys(imported).length} language pair(s).`;
+            }).catch(err => {
+                if (isFileDialogCancelled(err)) {
+                    return;
+                }
+                logError('Failed to import glossary: ', err);
+                status.textContent = `Import failed: ${err.message}`;
+            });
+        });
+        closeButton.addEventListener('click', closePanel);
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                closePanel();
+            }
+        });
+
+        const glossaryButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_glossary_button',
+            className: 'custom_top_bar_button',
+            title: 'Glossary',
+            'aria-label': 'Glossary',
+            textContent: '\u{1F4D6}'
+        });
+        glossaryButton.addEventListener('click', () => {
+            if (panel.hidden) {
+                openPanel();
+            } else {
+                closePanel();
+            }
+        });
+
+        updateGlossaryStatus = result => {
+            const notes = [];
+            if (result.fixed > 0) {
+                notes.push(`${result.fixed} term(s) fixed`);
+            }
+            if (result.missing.length > 0) {
+                notes.push(`missing: ${result.missing.join(', ')}`);
+            }
+            setButtonLabel(glossaryButton, notes.length > 0 ? `Glossary \u2013 ${notes.join('; ')}` : 'Glossary');
+            glossaryButton.classList.toggle('custom_glossary_warning', result.missing.length > 0);
+        };
+
+        customTopBar.appendChild(glossaryButton);
+        document.body.appendChild(panel);
+    }
+
+    // Used when Bing's input box does not state its own character limit.
+    const BATCH_DEFAULT_CHUNK_LIMIT = 1000;
+
+    // Give up on a chunk if Bing has not produced a translation within this time.
+    const BATCH_TRANSLATION_TIMEOUT = 30000;
+
+    const BATCH_FORMATS = {
+        txt: { mimeType: 'text/plain' },
+        md: { mimeType: 'text/markdown' },
+        srt: { mimeType: 'application/x-subrip' }
+    };
+
+    // True while a batch is feeding chunks through the input box.
+    let batchRunning = false;
+
+    /**
+     * Reads the character limit of Bing's input box.
+     * @returns {number} The maximum number of characters per chunk.
+     */
+    function getInputCharacterLimit() {
+        const inputTextarea = getBingElement('input');
+        const maxLength = inputTextarea ? parseInt(inputTextarea.getAttribute('maxlength'), 10) : NaN;
+        return maxLength > 0 ? maxLength : BATCH_DEFAULT_CHUNK_LIMIT;
+    }
+
+    /**
+     * Splits a document into units to translate, keeping everything needed to rebuild it.
+     * Text and Markdown are split into paragraphs (Markdown code fences are kept verbatim);
+     * subtitles are split into cues whose numbers and timecodes are kept verbatim.
+     * @param {string} text - The document content.
+     * @param {string} format - One of the BATCH_FORMATS keys.
+     * @returns {Array<{text: string, translate: boolean, before: string, after: string, joinWithPrevious: boolean}>}
+     *          The units in document order; `before` and `after` are kept around the translated text.
+     */
+    function parseBatchDocument(text, format) {
+        const normalized = text.replace(/\r\n?/g, '\n');
+        const units = [];
+
+        if (format === 'srt') {
+            normalized.split(/(\n[ \t]*\n+)/).forEach((part, index) => {
+                if (index % 2 === 1) {
+                    units.push({ text: part, translate: false, before: '', after: '', joinWithPrevious: false });
+                    return;
+                }
+                const lines = part.split('\n');
+                const timecodeIndex = lines.findIndex(line => line.includes('-->'));
+                const cueText = lines.slice(timecodeIndex + 1).join('\n');
+                if (timecodeIndex === -1 || !cueText.trim()) {
+                    units.push({ text: part, translate: false, before: '', after: '', joinWithPrevious: false });
+                    return;
+                }
+                const trailing = cueText.match(/\s*$/)[0];
+                units.push({
+                    text: cueText.slice(0, cueText.length - trailing.length),
+                    translate: true,
+                    before: lines.slice(0, timecodeIndex + 1).join('\n') + '\n',
+                    after: trailing,
+                    joinWithPrevious: false
+                });
+            });
+            return units;
+        }
+
+        // Keep Markdown code fences out of the paragraphs to translate
+        const blocks = format === 'md' ? normalized.split(/(^```[^\n]*\n[\s\S]*?^```[^\n]*$)/m) : [normalized];
+        blocks.forEach((block, blockIndex) => {
+            if (blockIndex % 2 === 1) {
+                units.push({ text: block, translate: false, before: '', after: '', joinWithPrevious: false });
+                return;
+            }
+            block.split(/(\n[ \t]*\n+)/).forEach((part, index) => {
+                const isSeparator = index % 2 === 1 || !part.trim();
+                units.push({ text: part, translate: !isSeparator, before: '', after: '', joinWithPrevious: false });
+            });
+        });
+        return units.filter(unit => unit.text !== '');
+    }
+
+    /**
+     * Splits units longer than the limit at sentence boundaries (or whitespace, for very long
+     * sentences) into pieces that are joined again after translation.
+     * @param {Object[]} units - The parsed document units.
+     * @param {number} limit - The maximum characters per piece.
+     * @returns {Object[]} The units, with oversized ones replaced by their pieces.
+     */
+    function splitOversizedUnits(units, limit) {
+        const result = [];
+        units.forEach(unit => {
+            if (!unit.translate || unit.text.length <= limit) {
+                result.push(unit);
+                return;
+            }
+            const pieces = [];
+            let current = '';
+            segmentSentences(unit.text).forEach(sentence => {
+                let sentenceText = sentence.text;
+                while (sentenceText.length > limit) {
+                    const cut = sentenceText.lastIndexOf(' ', limit) > 0 ? sentenceText.lastIndexOf(' ', limit) : limit;
+                    pieces.push(sentenceText.slice(0, cut).trim());
+                    sentenceText = sentenceText.slice(cut).trim();
+                }
+                if (current && current.length + 1 + sentenceText.length > limit) {
+                    pieces.push(current);
+                    current = '';
+                }
+                current = current ? `${current} ${sentenceText}` : sentenceText;
+            });
+            if (current) {
+                pieces.push(current);
+            }
+            pieces.forEach((piece, index) => {
+                result.push({
+                    text: piece,
+                    translate: true,
+                    before: index === 0 ? unit.before : '',
+                    after: index === pieces.length - 1 ? unit.after : '',
+                    joinWithPrevious: index > 0
+                });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Groups translatable units into chunks that fit the input box, separated by blank lines.
+     * @param {Object[]} units - The document units.
+     * @param {number} limit - The maximum characters per chunk.
+     * @returns {Array<{unitIndexes: number[], text: string}>} The chunks, in order.
+     */
+    function buildBatchChunks(units, limit) {
+        const chunks = [];
+        let current = null;
+        units.forEach((unit, index) => {
+            if (!unit.translate) {
+                return;
+            }
+            if (current && current.text.length + 2 + unit.text.length <= limit) {
+                current.unitIndexes.push(index);
+                current.text += '\n\n' + unit.text;
+            } else {
+                current = { unitIndexes: [index], text: unit.text };
+                chunks.push(current);
+            }
+        });
+        return chunks;
+    }
+
+    /**
+     * Splits a chunk's translation back into its units. Relies on the line alignment keeping
+     * one output line per input line, and falls back to blank-line paragraphs.
+     * @param {Object} chunk - The translated chunk.
+     * @param {Object[]} units - The document units.
+     * @param {string} outputText - The translation of the chunk.
+     * @returns {string[]|null} The translation of each unit in the chunk, or null if it cannot be split.
+     */
+    function splitChunkTranslation(chunk, units, outputText) {
+        const outputLines = outputText.replace(/\r\n?/g, '\n').split('\n');
+        const lineCounts = chunk.unitIndexes.map(index => units[index].text.split('\n').length);
+        const expectedLines = lineCounts.reduce((sum, count) => sum + count, 0) + chunk.unitIndexes.length - 1;
+        if (outputLines.length === expectedLines) {
+            let position = 0;
+            return lineCounts.map(count => {
+                const lines = outputLines.slice(position, position + count);
+                position += count + 1; // Skip the blank separator line
+                return lines.join('\n').trim();
+            });
+        }
+        const paragraphs = outputText.trim().split(/\n[ \t]*\n+/);
+        return paragraphs.length === chunk.unitIndexes.length ? paragraphs.map(paragraph => paragraph.trim()) : null;
+    }
+
+    /**
+     * Rebuilds the document from its units and their translations.
+     * @param {Object[]} units - The document units.
+     * @param {Array<string|undefined>} translations - The translation of each translatable unit, by index.
+     * @returns {string} The translated document.
+     */
+    function rebuildBatchDocument(units, translations) {
+        let result = '';
+        units.forEach((unit, index) => {
+            if (!unit.translate) {
+                result += unit.text;
+                return;
+            }
+            const translated = translations[index] !== undefined ? translations[index] : unit.text;
+            result += (unit.joinWithPrevious ? ' ' : '') + unit.before + translated + unit.after;
+        });
+        return result;
+    }
+
+    /**
+     * Waits until Bing has rewritten the output box and the new translation has stopped
+     * changing. Call it before setting the new input or language: the output only counts once
+     * Bing has changed it since, so a translation identical to the previous one is still
+     * detected, and the script's own rewrites of the old output are not.
+     * @param {Object} run - The running batch or multi-target run; receives a `stopWaiting`
+     *     function for cancelling.
+     * @param {string} [previousText] - Output that is still the old translation.
+     * @returns {Promise<string>} The settled translation.
+     */
+    function waitForSettledOutput(run, previousText) {
+        if (!getBingElement('output')) {
+            return Promise.reject(new Error('Output element (#tta_output_ta) not found.'));
+        }
+        const wait = waitForTranslation(onBingEvent, {
+            getOutput: () => getTranslatedText() || '',
+            timeout: BATCH_TRANSLATION_TIMEOUT,
+            previousText
+        });
+        run.stopWaiting = wait.stop;
+        return wait.promise;
+    }
+
+    /**
+     * Feeds each chunk of a batch through Bing's input box and collects the translations.
+     * Stops between chunks while paused, and as soon as the batch is cancelled.
+     * @param {Object} batch - The batch: units, chunks, translations and pause/cancel flags.
+     * @param {Function} onProgress - Called after each chunk with the number of chunks done.
+     * @returns {Promise<void>} Resolves when every chunk is translated or the batch is cancelled.
+     */
+    async function runBatch(batch, onProgress) {
+        batchRunning = true;
+        try {
+            let previousInput = null;
+            let previousOutput = '';
+            while (batch.nextChunk < batch.chunks.length && !batch.cancelled) {
+                if (batch.paused) {
+                    await new Promise(resume => {
+                        batch.resume = resume;
+                    });
+                    continue;
+                }
+                const chunk = batch.chunks[batch.nextChunk];
+                let outputText = previousOutput;
+                if (chunk.text !== previousInput) {
+                    const translation = waitForSettledOutput(batch);
+                    setInputText(chunk.text);
+                    outputText = await translation;
+                }
+                if (batch.cancelled) {
+                    break;
+                }
+                const pieces = splitChunkTranslation(chunk, batch.units, outputText);
+                chunk.unitIndexes.forEach((unitIndex, position) => {
+                    // If the output cannot be split back into units, keep it whole on the first one
+                    batch.translations[unitIndex] = pieces ? pieces[position] : (position === 0 ? outputText.trim() : '');
+                });
+                if (!pieces) {
+                    batch.warnings.push(`Chunk ${batch.nextChunk + 1} could not be split back into paragraphs.`);
+                }
+                previousInput = chunk.text;
+                previousOutput = outputText.trim();
+                batch.nextChunk++;
+                onProgress(batch.nextChunk);
+            }
+        } finally {
+            batchRunning = false;
+        }
+    }
+
+    /**
+     * Creates the batch translation panel and its top-bar button. Documents can be dropped on
+     * the page or loaded from a file; pasting more than the input box accepts opens the panel too.
+     */
+    function createBatchPanel() {
+        const customTopBar = getCustomTopBar('place batch button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const dropZone = buildElement('div', { className: 'custom_batch_dropzone', role: 'button', tabindex: '0', textContent: 'Drop a .txt, .md or .srt file here, or click to choose one' });
+        const documentInfo = buildElement('p', { className: 'custom_panel_status' });
+        const progress = buildElement('progress', { className: 'custom_batch_progress', max: '1', value: '0' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const startButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Start', disabled: '' });
+        const pauseButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Pause', disabled: '' });
+        const cancelButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Cancel', disabled: '' });
+        const downloadButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Download', disabled: '' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+
+        const panel = buildElement('div', { id: 'custom_batch_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Batch translation' }),
+            dropZone,
+            documentInfo,
+            progress,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [startButton, pauseButton, cancelButton, downloadButton, closeButton])
+        ]);
+
+        let batch = null;
+
+        function setRunningState(running) {
+            startButton.disabled = running || !batch;
+            pauseButton.disabled = !running;
+            cancelButton.disabled = !running;
+            pauseButton.textContent = batch && batch.paused ? 'Resume' : 'Pause';
+            downloadButton.disabled = running || !batch || batch.nextChunk === 0;
+        }
+
+        function loadDocument(name, text) {
+            if (batchRunning) {
+                status.textContent = 'Cancel the running batch before loading another document.';
+                return;
+            }
+            const extension = (name.match(/\.(\w+)$/) || [])[1];
+            const format = BATCH_FORMATS[(extension || '').toLowerCase()] ? extension.toLowerCase() : 'txt';
+            const limit = getInputCharacterLimit();
+            const units = splitOversizedUnits(parseBatchDocument(text, format), limit);
+            batch = {
+                name,
+                format,
+                units,
+                chunks: buildBatchChunks(units, limit),
+                translations: [],
+                warnings: [],
+                nextChunk: 0,
+                paused: false,
+                cancelled: false,
+                resume: () => {},
+                stopWaiting: () => {}
+            };
+            documentInfo.textContent = `${name}: ${text.length} characters in ${batch.chunks.length} chunk(s) of up to ${limit}.`;
+            progress.max = Math.max(1, batch.chunks.length);
+            progress.value = 0;
+            status.textContent = '';
+            panel.hidden = false;
+            setRunningState(false);
+        }
+
+        function loadFile(file) {
+            file.text().then(text => loadDocument(file.name, text)).catch(err => {
+                logError('Failed to read file for batch translation: ', err);
+                status.textContent = `Could not read ${file.name}.`;
+            });
+        }
+
+        startButton.addEventListener('click', () => {
+            if (describeRunningAutomation()) {
+                status.textContent = `Wait for the ${describeRunningAutomation()} to finish first.`;
+                return;
+            }
+            batch.cancelled = false;
+            batch.paused = false;
+            setRunningState(true);
+            status.textContent = 'Translating\u2026';
+            runBatch(batch, done => {
+                progress.value = done;
+                status.textContent = `Translated ${done} of ${batch.chunks.length} chunk(s).`;
+            }).then(() => {
+                status.textContent = batch.cancelled
+                    ? `Cancelled after ${batch.nextChunk} of ${batch.chunks.length} chunk(s).`
+                    : ['Done.'].concat(batch.warnings).join(' ');
+            }).catch(err => {
+                logError('Batch translation failed: ', err);
+                status.textContent = `Stopped at chunk ${batch.nextChunk + 1}: ${err.message}`;
+            }).finally(() => setRunningState(false));
+        });
+        pauseButton.addEventListener('click', () => {
+            batch.paused = !batch.paused;
+            if (!batch.paused) {
+                batch.resume();
+            }
+            status.textContent = batch.paused ? 'Paused after the current chunk.' : 'Translating\u2026';
+            setRunningState(true);
+        });
+        cancelButton.addEventListener('click', () => {
+            batch.cancelled = true;
+            batch.paused = false;
+            batch.resume();
+            batch.stopWaiting();
+        });
+        downloadButton.addEventListener('click', () => {
+            const baseName = batch.name.replace(/\.\w+$/, '');
+            const language = normalizeLanguageName(getSelectedLanguage('targetLanguage')).replace(/[^\w-]+/g, '_') || 'translated';
+            downloadFile(`${baseName}.${language}.${batch.format}`, rebuildBatchDocument(batch.units, batch.translations), BATCH_FORMATS[batch.format].mimeType);
+        });
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+
+        dropZone.addEventListener('click', () => {
+            pickTextFile('.txt,.md,.srt,text/plain,text/markdown').then(file => loadDocument(file.name, file.text)).catch(err => {
+                if (isFileDialogCancelled(err)) {
+                    return;
+                }
+                logError('Failed to load file for batch translation: ', err);
+            });
+        });
+        dropZone.addEventListener('keydown', event => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                dropZone.click();
+            }
+        });
+
+        // Accept documents dropped anywhere on the page
+        document.addEventListener('dragover', event => {
+            if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) {
+                event.preventDefault();
+            }
+        });
+        document.addEventListener('drop', event => {
+            const file = event.dataTransfer && event.dataTransfer.files[0];
+            if (file && /\.(txt|md|srt)$/i.test(file.name)) {
+                event.preventDefault();
+                loadFile(file);
+            }
+        });
+
+        // Pasting more than the input box accepts starts a batch instead.
+        // Listen on the document so the handler survives Bing replacing the input box.
+        document.addEventListener('paste', event => {
+            const inputTextarea = getBingElement('input');
+            if (!inputTextarea || !inputTextarea.contains(event.target)) {
+                return;
+            }
+            const pasted = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+            if (pasted.length > getInputCharacterLimit() && !batchRunning) {
+                event.preventDefault();
+                loadDocument('pasted-text.txt', pasted);
+            }
+        });
+
+        const batchButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_batch_button',
+            className: 'custom_top_bar_button',
+            title: 'Batch translation',
+            'aria-label': 'Batch translation',
+            textContent: '\u{1F4C4}'
+        });
+        batchButton.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+        });
+
+        customTopBar.appendChild(batchButton);
+        document.body.appendChild(panel);
+    }
+
+    // True while multi-target mode is switching the target language.
+    let multiTargetRunning = false;
+
+    /**
+     * Translates the current input into each language of a multi-target run in turn, by
+     * selecting it as Bing's target language and waiting for the output to settle.
+     * The original target language is selected again afterwards.
+     * @param {Object} run - The run: `languages`, plus `cancelled` and `stopWaiting` for cancelling.
+     * @param {Function} onResult - Called with the language's index and `{ language, text, error }`.
+     * @returns {Promise<void>} Resolves when every language is done or the run is cancelled.
+     */
+    async function runMultiTarget(run, onResult) {
+        multiTargetRunning = true;
+        const originalTarget = getSelectedLanguage('targetLanguage');
+        try {
+            for (let index = 0; index < run.languages.length && !run.cancelled; index++) {
+                const language = run.languages[index];
+                const result = { language, text: '', error: '' };
+                if (normalizeLanguageName(getSelectedLanguage('targetLanguage')) === normalizeLanguageName(language)) {
+                    // Already the target: the current output is this language's translation
+                    result.text = getTranslatedText() || '';
+                } else {
+                    // Listen before switching, so output changes during the switch are not missed
+                    const translation = waitForSettledOutput(run).then(text => ({ text }), err => ({ error: err.message }));
+                    if (!await selectLanguage('targetLanguage', language)) {
+                        run.stopWaiting();
+                        result.error = `${language} is not in Bing's language list.`;
+                    } else {
+                        Object.assign(result, await translation);
+                    }
+                }
+                if (run.cancelled) {
+                    break;
+                }
+                onResult(index, result);
+            }
+        } finally {
+            if (originalTarget) {
+                await selectLanguage('targetLanguage', originalTarget);
+            }
+            multiTargetRunning = false;
+        }
+    }
+
+    /**
+     * Formats multi-target results for the clipboard, each translation under its language name.
+     * @param {Object[]} results - The results passed to runMultiTarget()'s callback.
+     * @returns {string} The labelled translations, separated by blank lines.
+     */
+    function formatMultiTargetResults(results) {
+        return results
+            .filter(result => result && result.text)
+            .map(result => `${result.language}:\n${result.text.trim()}`)
+            .join('\n\n');
+    }
+
+    /**
+     * Creates the multi-target panel and its top-bar button: the input is translated into each
+     * of the user's target languages and shown as stacked cards, each with its own copy button.
+     */
+    function createMultiTargetPanel() {
+        const customTopBar = getCustomTopBar('place multi-target button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const languagesInput = buildElement('textarea', {
+            id: 'custom_multi_target_languages',
+            rows: '4',
+            placeholder: 'French (Canada)\nSpanish\nPortuguese (Brazil)'
+        });
+        const cardList = buildElement('div', { id: 'custom_multi_target_cards' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const translateButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Translate' });
+        const stopButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Stop', disabled: '' });
+        const copyAllButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Copy all', disabled: '' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+
+        const panel = buildElement('div', { id: 'custom_multi_target_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Multi-target translation' }),
+            buildElement('label', { for: 'custom_multi_target_languages', textContent: 'Target languages, one per line, as named in Bing\'s list' }),
+            languagesInput,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [stopButton, copyAllButton, closeButton, translateButton]),
+            cardList
+        ]);
+
+        let run = null;
+        let results = [];
+
+        function setRunningState(running) {
+            translateButton.disabled = running;
+            stopButton.disabled = !running;
+            copyAllButton.disabled = running || !results.some(result => result && result.text);
+            languagesInput.disabled = running;
+        }
+
+        function buildCard(language) {
+            const text = buildElement('p', { className: 'custom_result_card_text', textContent: 'Waiting\u2026' });
+            const copyButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Copy', disabled: '' });
+            const card = buildElement('article', { className: 'custom_result_card custom_result_card_pending' }, [
+                buildElement('header', {}, [buildElement('h3', { textContent: language }), copyButton]),
+                text
+            ]);
+            copyButton.addEventListener('click', () => {
+                copyPlainText(text.textContent).then(copied => {
+                    if (copied) {
+                        status.textContent = `Copied the ${language} translation.`;
+                    }
+                });
+            });
+            return card;
+        }
+
+        function showResult(index, result) {
+            results[index] = result;
+            const card = cardList.children[index];
+            card.classList.remove('custom_result_card_pending');
+            card.classList.toggle('custom_result_card_error', Boolean(result.error));
+            card.querySelector('.custom_result_card_text').textContent = result.error || result.text.trim();
+            card.querySelector('button').disabled = !result.text;
+            status.textContent = `Translated ${results.filter(Boolean).length} of ${run.languages.length} language(s).`;
+        }
+
+        translateButton.addEventListener('click', () => {
+            const languages = languagesInput.value.split('\n').map(language => language.trim()).filter(Boolean);
+            settings.multiTargetLanguages = languages;
+            saveSettings(settings);
+            if (languages.length === 0) {
+                status.textContent = 'Add at least one target language.';
+                return;
+            }
+            if (!(getInputText() || '').trim()) {
+                status.textContent = 'Enter the text to translate first.';
+                return;
+            }
+            if (describeRunningAutomation()) {
+                status.textContent = `Wait for the ${describeRunningAutomation()} to finish first.`;
+                return;
+            }
+            run = { languages, cancelled: false, stopWaiting: () => {} };
+            results = [];
+            cardList.replaceChildren(...languages.map(buildCard));
+            status.textContent = 'Translating\u2026';
+            setRunningState(true);
+            runMultiTarget(run, showResult).then(() => {
+                if (run.cancelled) {
+                    status.textContent = `Stopped after ${results.filter(Boolean).length} of ${languages.length} language(s).`;
+                }
+            }).catch(err => {
+                logError('Multi-target translation failed: ', err);
+                status.textContent = `Multi-target translation failed: ${err.message}`;
+            }).finally(() => setRunningState(false));
+        });
+        stopButton.addEventListener('click', () => {
+            run.cancelled = true;
+            run.stopWaiting();
+        });
+        copyAllButton.addEventListener('click', () => {
+            copyPlainText(formatMultiTargetResults(results)).then(copied => {
+                if (copied) {
+                    status.textContent = 'Copied every translation, labelled by language.';
+                }
+            });
+        });
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                panel.hidden = true;
+            }
+        });
+
+        const multiTargetButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_multi_target_button',
+            className: 'custom_top_bar_button',
+            title: 'Translate into several languages',
+            'aria-label': 'Translate into several languages',
+            textContent: '\u{1F310}'
+        });
+        function togglePanel() {
+            if (panel.hidden) {
+                languagesInput.value = settings.multiTargetLanguages.join('\n');
+                panel.hidden = false;
+                languagesInput.focus();
+            } else {
+                panel.hidden = true;
+            }
+        }
+        multiTargetButton.addEventListener('click', togglePanel);
+        registerCommand('toggleMultiTarget', 'Show / hide multi-target translation', 'Alt+KeyM', togglePanel);
+
+        customTopBar.appendChild(multiTargetButton);
+        document.body.appendChild(panel);
+    }
+
+    // True while compare mode is cycling through the tones.
+    let toneComparisonRunning = false;
+
+    // If the output has not started changing this long after a tone or language change, Bing
+    // gave the same text.
+    const RETRANSLATION_UNCHANGED_DELAY = 3000;
+
+    // Word diffs needing a bigger comparison table than this mark the whole differing middle as changed.
+    const DIFF_MAX_CELLS = 4000000;
+
+    /**
+     * Names the feature currently driving Bing's input, languages or tone, if any, so that
+     * the others can refuse to start alongside it.
+     * @returns {string} A description such as 'batch translation', or an empty string.
+     */
+    function describeRunningAutomation() {
+        if (batchRunning) {
+            return 'batch translation';
+        }
+        if (multiTargetRunning) {
+            return 'multi-target translation';
+        }
+        if (toneComparisonRunning) {
+            return 'tone comparison';
+        }
+        if (verificationRunning) {
+            return 'back-translation check';
+        }
+        return '';
+    }
+
+    /**
+     * Splits text into words, runs of whitespace and single punctuation marks for diffing.
+     * @param {string} text - The text to split.
+     * @returns {string[]} The tokens, which join back into the text.
+     */
+    function tokenizeForDiff(text) {
+        return text.match(/\s+|[\p{L}\p{N}\p{M}'\u2019_-]+|[^\s\p{L}\p{N}\p{M}]/gu) || [];
+    }
+
+    /**
+     * Compares two texts word by word.
+     * @param {string} before - The original text.
+     * @param {string} after - The changed text.
+     * @returns {Array<{type: string, text: string}>} Runs of 'same', 'removed' (only in `before`)
+     *     and 'added' (only in `after`) text, in order.
+     */
+    function diffWords(before, after) {
+        const a = tokenizeForDiff(before);
+        const b = tokenizeForDiff(after);
+        let prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+            suffix++;
+        }
+        const middleA = a.slice(prefix, a.length - suffix);
+        const middleB = b.slice(prefix, b.length - suffix);
+        const ops = a.slice(0, prefix).map(text => ({ type: 'same', text }));
+
+        if (middleA.length * middleB.length > DIFF_MAX_CELLS) {
+            middleA.forEach(text => ops.push({ type: 'removed', text }));
+            middleB.forEach(text => ops.push({ type: 'added', text }));
+        } else {
+            // Longest common subsequence, filled from the end so the walk below can go forwards
+            const width = middleB.length + 1;
+            const lengths = new Uint32Array((middleA.length + 1) * width);
+            for (let i = middleA.length - 1; i >= 0; i--) {
+                for (let j = middleB.length - 1; j >= 0; j--) {
+                    lengths[i * width + j] = middleA[i] === middleB[j]
+                        ? lengths[(i + 1) * width + j + 1] + 1
+                        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+                }
+            }
+            let i = 0;
+            let j = 0;
+            while (i < middleA.length || j < middleB.length) {
+                if (i < middleA.length && j < middleB.length && middleA[i] === middleB[j]) {
+                    ops.push({ type: 'same', text: middleA[i++] });
+                    j++;
+                } else if (i < middleA.length && (j === middleB.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                    ops.push({ type: 'removed', text: middleA[i++] });
+                } else {
+                    ops.push({ type: 'added', text: middleB[j++] });
+                }
+            }
+        }
+        a.slice(a.length - suffix).forEach(text => ops.push({ type: 'same', text }));
+
+        // Merge consecutive tokens of the same type into runs
+        return ops.reduce((runs, op) => {
+            const last = runs[runs.length - 1];
+            if (last && last.type === op.type) {
+                last.text += op.text;
+            } else {
+                runs.push({ type: op.type, text: op.text });
+            }
+            return runs;
+        }, []);
+    }
+
+    /**
+     * Turns one side of a word diff into text and highlight ranges for renderHighlightedText().
+     * Whitespace at the edges of a changed run is left unhighlighted.
+     * @param {Array<{type: string, text: string}>} runs - The output of diffWords().
+     * @param {string} side - 'added' to show the `after` text, 'removed' to show the `before` text.
+     * @param {string} className - The class of the highlight marks.
+     * @param {string} title - The tooltip of the highlight marks.
+     * @returns {{text: string, ranges: Array<{start: number, end: number, className: string, title: string}>}}
+     */
+    function diffToHighlights(runs, side, className, title) {
+        let text = '';
+        const ranges = [];
+        runs.forEach(run => {
+            if (run.type !== 'same' && run.type !== side) {
+                return;
+            }
+            if (run.type === side && run.text.trim()) {
+                const start = text.length + run.text.search(/\S/);
+                const end = text.length + run.text.trimEnd().length;
+                ranges.push({ start, end, className, title });
+            }
+            text += run.text;
+        });
+        return { text, ranges };
+    }
+
+    /**
+     * Waits for Bing to retranslate after a setting changed: resolves with the output once it
+     * settles, or as it is if Bing has not started changing it within RETRANSLATION_UNCHANGED_DELAY.
+     * @param {Object} run - The running comparison; receives a `stopWaiting` function for cancelling.
+     * @returns {Promise<string>} The translation.
+     */
+    function waitForRetranslation(run) {
+        const wait = waitForTranslation(onBingEvent, {
+            getOutput: () => getTranslatedText() || '',
+            timeout: BATCH_TRANSLATION_TIMEOUT,
+            unchangedDelay: RETRANSLATION_UNCHANGED_DELAY
+        });
+        run.stopWaiting = wait.stop;
+        return wait.promise;
+    }
+
+    /**
+     * Translates the current input with every tone Bing offers, selecting each in turn, then
+     * selects the original tone again.
+     * @param {Object} run - The run: `tones`, plus `cancelled` and `stopWaiting` for cancelling.
+     * @param {Function} onResult - Called with the tone's index and `{ tone, text, error }`.
+     * @returns {Promise<void>} Resolves when every tone is done or the run is cancelled.
+     */
+    async function runToneComparison(run, onResult) {
+        toneComparisonRunning = true;
+        const originalTone = getSelectedTone();
+        try {
+            for (let index = 0; index < run.tones.length && !run.cancelled; index++) {
+                const tone = run.tones[index];
+                const result = { tone, text: '', error: '' };
+                if (getSelectedTone() === tone) {
+                    result.text = getTranslatedText() || '';
+                } else {
+                    selectTone(tone);
+                    try {
+                        result.text = await waitForRetranslation(run);
+                    } catch (err) {
+                        result.error = err.message;
+                    }
+                }
+                if (run.cancelled) {
+                    break;
+                }
+                onResult(index, result);
+            }
+        } finally {
+            if (originalTone) {
+                selectTone(originalTone);
+            }
+            toneComparisonRunning = false;
+        }
+    }
+
+    /**
+     * Creates the tone comparison panel and its top-bar button. The input is translated with
+     * every tone in Bing's tone dropdown and the versions are shown side by side, with the
+     * words that differ from the tone selected beforehand highlighted.
+     */
+    function createToneComparePanel() {
+        const customTopBar = getCustomTopBar('place tone comparison button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const columns = buildElement('div', { id: 'custom_tone_compare_columns' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const compareButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Compare again' });
+        const stopButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Stop', disabled: '' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+
+        const panel = buildElement('div', { id: 'custom_tone_compare_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Compare tones' }),
+            columns,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [stopButton, closeButton, compareButton])
+        ]);
+
+        let run = null;
+        let results = [];
+
+        function setRunningState(running) {
+            compareButton.disabled = running;
+            stopButton.disabled = !running;
+            Array.from(columns.querySelectorAll('button')).forEach(button => {
+                button.disabled = running || !results[Number(button.closest('section').dataset.index)];
+            });
+        }
+
+        function buildColumn(tone, index) {
+            const copyButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Copy', disabled: '' });
+            const useButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Use tone', disabled: '' });
+            const column = buildElement('section', { className: 'custom_tone_column custom_result_card_pending', 'data-index': String(index) }, [
+                buildElement('h3', { textContent: tone }),
+                buildElement('p', { className: 'custom_result_card_text', textContent: 'Waiting\u2026' }),
+                buildElement('div', { className: 'custom_panel_actions' }, [useButton, copyButton])
+            ]);
+            copyButton.addEventListener('click', () => {
+                copyPlainText(results[index].text.trim()).then(copied => {
+                    if (copied) {
+                        status.textContent = `Copied the ${tone} version.`;
+                    }
+                });
+            });
+            useButton.addEventListener('click', () => {
+                selectTone(tone);
+                status.textContent = `Tone set to ${tone}.`;
+            });
+            return column;
+        }
+
+        // Highlights, in every version, the words that differ from the baseline version
+        function renderDiffs() {
+            const baselineIndex = run.tones.indexOf(run.baselineTone);
+            const baseline = results[baselineIndex];
+            results.forEach((result, index) => {
+                const column = columns.children[index];
+                const text = column.querySelector('.custom_result_card_text');
+                column.classList.toggle('custom_tone_baseline', index === baselineIndex);
+                if (!result || result.error || !baseline || baseline.error || index === baselineIndex) {
+                    text.textContent = result ? result.error || result.text.trim() : text.textContent;
+                    return;
+                }
+                const highlighted = diffToHighlights(diffWords(baseline.text.trim(), result.text.trim()), 'added', 'custom_diff_added', `Differs from ${baseline.tone}`);
+                renderHighlightedText(text, highlighted.text, highlighted.ranges);
+            });
+        }
+
+        function startComparison() {
+            if (describeRunningAutomation()) {
+                status.textContent = `Wait for the ${describeRunningAutomation()} to finish first.`;
+                return;
+            }
+            if (!(getInputText() || '').trim()) {
+                status.textContent = 'Enter the text to translate first.';
+                return;
+            }
+            const tones = getAvailableTones();
+            if (tones.length === 0) {
+                status.textContent = 'Tone selector (#tta_tonesl) not found, so there are no tones to compare.';
+                return;
+            }
+            // The tone selected when the comparison starts is the baseline, or Bing's first one
+            const baselineTone = tones.includes(getSelectedTone()) ? getSelectedTone() : tones[0];
+            run = { tones, baselineTone, cancelled: false, stopWaiting: () => {} };
+            results = [];
+            columns.replaceChildren(...tones.map(buildColumn));
+            status.textContent = 'Translating with each tone\u2026';
+            setRunningState(true);
+            runToneComparison(run, (index, result) => {
+                results[index] = result;
+                const column = columns.children[index];
+                column.classList.remove('custom_result_card_pending');
+                column.classList.toggle('custom_result_card_error', Boolean(result.error));
+                renderDiffs();
+            }).then(() => {
+                status.textContent = run.cancelled
+                    ? 'Stopped.'
+                    : `Words that differ from the ${run.baselineTone} version are highlighted.`;
+            }).catch(err => {
+                logError('Tone comparison failed: ', err);
+                status.textContent = `Tone comparison failed: ${err.message}`;
+            }).finally(() => setRunningState(false));
+        }
+
+        compareButton.addEventListener('click', startComparison);
+        stopButton.addEventListener('click', () => {
+            run.cancelled = true;
+            run.stopWaiting();
+        });
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                panel.hidden = true;
+            }
+        });
+
+        const compareToneButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_tone_compare_button',
+            className: 'custom_top_bar_button',
+            title: 'Compare tones side by side',
+            'aria-label': 'Compare tones side by side',
+            textContent: '\u2696'
+        });
+        function togglePanel() {
+            if (!panel.hidden) {
+                panel.hidden = true;
+                return;
+            }
+            panel.hidden = false;
+            if (!toneComparisonRunning) {
+                startComparison();
+            }
+        }
+        compareToneButton.addEventListener('click', togglePanel);
+        registerCommand('compareTones', 'Compare tones side by side', 'Alt+KeyC', togglePanel);
+
+        customTopBar.appendChild(compareToneButton);
+        document.body.appendChild(panel);
+    }
+
+    // Round-trip sentences less similar than this to the original are flagged.
+    const VERIFY_SIMILARITY_THRESHOLD = 0.6;
+
+    // True while the back-translation check has the languages swapped.
+    let verificationRunning = false;
+
+    /**
+     * Scores how alike two texts in the same language are, from the words they share in order.
+     * Case and punctuation are ignored.
+     * @param {string} a - One text.
+     * @param {string} b - The other text.
+     * @returns {number} The similarity, between 0 and 1.
+     */
+    function textSimilarity(a, b) {
+        const countWords = text => tokenizeForDiff(text).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+        const total = countWords(a) + countWords(b);
+        if (total === 0) {
+            return 1;
+        }
+        const shared = diffWords(a.toLowerCase(), b.toLowerCase())
+            .filter(run => run.type === 'same')
+            .reduce((count, run) => count + countWords(run.text), 0);
+        return (2 * shared) / total;
+    }
+
+    /**
+     * Pairs the sentences of an original text with those of its round trip and scores each pair.
+     * @param {string} originalText - The text that was translated.
+     * @param {string} roundTripText - The translation, translated back to the original language.
+     * @returns {Array<{original: string, roundTrip: string, similarity: number, flagged: boolean}>}
+     */
+    function compareRoundTrip(originalText, roundTripText) {
+        return pairSentences(originalText, roundTripText).map(pair => {
+            const similarity = textSimilarity(pair.source, pair.target);
+            return { original: pair.source, roundTrip: pair.target, similarity, flagged: similarity < VERIFY_SIMILARITY_THRESHOLD };
+        });
+    }
+
+    /**
+     * Waits for Bing to move the translation into the input box after a swap, for at most
+     * RETRANSLATION_UNCHANGED_DELAY. Resolves in a later task, so that the output changes the
+     * swap itself made have been reported by then.
+     * @param {string} expectedInput - The trimmed text the swap moves into the input box.
+     * @returns {Promise<void>} Resolves once the input holds it, or the delay is over.
+     */
+    function waitForSwappedInput(expectedInput) {
+        return new Promise(resolve => {
+            const unsubscribe = onBingEvent('input-changed', () => {
+                if ((getInputText() || '').trim() === expectedInput) {
+                    finish();
+                }
+            });
+            const timer = setTimeout(finish, RETRANSLATION_UNCHANGED_DELAY);
+
+            function finish() {
+                unsubscribe();
+                clearTimeout(timer);
+                setTimeout(resolve);
+            }
+
+            if ((getInputText() || '').trim() === expectedInput) {
+                finish();
+            }
+        });
+    }
+
+    /**
+     * Translates the current output back into the source language with Bing's swap button,
+     * then swaps back and restores the original input and languages.
+     * @param {Object} run - The check: `cancelled` and `stopWaiting` for cancelling.
+     * @returns {Promise<{original: string, roundTrip: string}>} The input and its round trip.
+     */
+    async function runBackTranslation(run) {
+        if (!getBingElement('swapButton')) {
+            throw new Error('Swap button (#tta_revIcon) not found.');
+        }
+        const originalInput = getInputText() || '';
+        const originalOutput = (getTranslatedText() || '').trim();
+        const originalSource = getSelectedLanguage('sourceLanguage');
+        const originalTarget = getSelectedLanguage('targetLanguage');
+        verificationRunning = true;
+        try {
+            swapLanguages();
+            // Bing normally moves the translation into the input box; do it if it did not
+            await waitForSwappedInput(originalOutput);
+            // Until Bing answers, the output still holds the text from before the swap
+            const roundTrip = waitForSettledOutput(run, originalOutput);
+            if ((getInputText() || '').trim() !== originalOutput) {
+                setInputText(originalOutput);
+            }
+            return { original: originalInput.trim(), roundTrip: (await roundTrip).trim() };
+        } finally {
+            const roundTripText = (getTranslatedText() || '').trim();
+            swapLanguages();
+            await waitForSwappedInput(roundTripText);
+            if (getInputText() !== originalInput) {
+                setInputText(originalInput);
+            }
+            // Swapping replaces auto-detection with the detected language
+            if (originalSource && getSelectedLanguage('sourceLanguage') !== originalSource) {
+                await selectLanguage('sourceLanguage', originalSource);
+            }
+            if (originalTarget && getSelectedLanguage('targetLanguage') !== originalTarget) {
+                await selectLanguage('targetLanguage', originalTarget);
+            }
+            verificationRunning = false;
+        }
+    }
+
+    /**
+     * Creates the back-translation check panel and its top-bar button. The round trip is shown
+     * sentence by sentence next to the original, with the differing words highlighted and the
+     * sentences below VERIFY_SIMILARITY_THRESHOLD flagged.
+     */
+    function createVerifyPanel() {
+        const customTopBar = getCustomTopBar('place verify button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const summary = buildElement('p', { className: 'custom_panel_status' });
+        const tableBody = buildElement('tbody');
+        const table = buildElement('table', { id: 'custom_verify_table', hidden: '' }, [
+            buildElement('thead', {}, [buildElement('tr', {}, [
+                buildElement('th', { textContent: 'Original' }),
+                buildElement('th', { textContent: 'Round trip' }),
+                buildElement('th', { textContent: 'Similarity' })
+            ])]),
+            tableBody
+        ]);
+        const verifyButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Verify again' });
+        const stopButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Stop', disabled: '' });
+        const copyButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Copy round trip', disabled: '' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+
+        const panel = buildElement('div', { id: 'custom_verify_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Back-translation check' }),
+            summary,
+            table,
+            buildElement('div', { className: 'custom_panel_actions' }, [stopButton, copyButton, closeButton, verifyButton])
+        ]);
+
+        let run = null;
+        let roundTripText = '';
+
+        function setRunningState(running) {
+            verifyButton.disabled = running;
+            stopButton.disabled = !running;
+            copyButton.disabled = running || !roundTripText;
+        }
+
+        function buildDiffCell(runs, side, className, title) {
+            const cell = buildElement('td');
+            const highlighted = diffToHighlights(runs, side, className, title);
+            renderHighlightedText(cell, highlighted.text, highlighted.ranges);
+            return cell;
+        }
+
+        function showResult(result) {
+            roundTripText = result.roundTrip;
+            const rows = compareRoundTrip(result.original, result.roundTrip);
+            tableBody.replaceChildren(...rows.map(row => {
+                const runs = diffWords(row.original, row.roundTrip);
+                return buildElement('tr', { className: row.flagged ? 'custom_verify_flagged' : '' }, [
+                    buildDiffCell(runs, 'removed', 'custom_diff_removed', 'Missing from the round trip'),
+                    buildDiffCell(runs, 'added', 'custom_diff_added', 'Not in the original'),
+                    buildElement('td', { textContent: `${Math.round(row.similarity * 100)}%` })
+                ]);
+            }));
+            table.hidden = rows.length === 0;
+            const flagged = rows.filter(row => row.flagged).length;
+            summary.textContent = flagged > 0
+                ? `\u26A0 ${flagged} of ${rows.length} sentence(s) below ${Math.round(VERIFY_SIMILARITY_THRESHOLD * 100)}% similarity: check their meaning.`
+                : `All ${rows.length} sentence(s) survived the round trip.`;
+        }
+
+        function startVerification() {
+            if (describeRunningAutomation()) {
+                summary.textContent = `Wait for the ${describeRunningAutomation()} to finish first.`;
+                return;
+            }
+            if (!(getTranslatedText() || '').trim()) {
+                summary.textContent = 'There is no translation to verify yet.';
+                return;
+            }
+            run = { cancelled: false, stopWaiting: () => {} };
+            roundTripText = '';
+            table.hidden = true;
+            summary.textContent = 'Translating back\u2026';
+            setRunningState(true);
+            runBackTranslation(run).then(result => {
+                if (run.cancelled) {
+                    summary.textContent = 'Stopped.';
+                } else {
+                    showResult(result);
+                }
+            }).catch(err => {
+                logError('Back-translation check failed: ', err);
+                summary.textContent = `Back-translation check failed: ${err.message}`;
+            }).finally(() => setRunningState(false));
+        }
+
+        verifyButton.addEventListener('click', startVerification);
+        stopButton.addEventListener('click', () => {
+            run.cancelled = true;
+            run.stopWaiting();
+        });
+        copyButton.addEventListener('click', () => {
+            copyPlainText(roundTripText).then(copied => {
+                if (copied) {
+                    summary.textContent = 'Round trip copied.';
+                }
+            });
+        });
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                panel.hidden = true;
+            }
+        });
+
+        const verifyToolbarButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_verify_button',
+            className: 'custom_top_bar_button',
+            title: 'Verify by translating back',
+            'aria-label': 'Verify by translating back',
+            textContent: '\u{1F501}'
+        });
+        function togglePanel() {
+            if (!panel.hidden) {
+                panel.hidden = true;
+                return;
+            }
+            panel.hidden = false;
+            if (!verificationRunning) {
+                startVerification();
+            }
+        }
+        verifyToolbarButton.addEventListener('click', togglePanel);
+        registerCommand('verifyTranslation', 'Verify by translating back', 'Alt+KeyV', togglePanel);
+
+        customTopBar.appendChild(verifyToolbarButton);
+        document.body.appendChild(panel);
+    }
+
+    const POST_EDIT_STORAGE_KEY = 'bingTranslateOverhaul.postEdits';
+
+    // Oldest remembered corrections of a language pair are dropped beyond this many.
+    const POST_EDIT_MAX_PER_PAIR = 200;
+
+    // Edits are remembered once the user has stopped typing for this long.
+    const POST_EDIT_SAVE_DELAY = 800;
+
+    /**
+     * Loads the remembered corrections from localStorage.
+     * @returns {Object} Language pair key -> array of { machineOutput, text, timestamp }, newest first.
+     */
+    function loadPostEdits() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(POST_EDIT_STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (err) {
+            logWarning('Could not read remembered corrections.', err);
+            return {};
+        }
+    }
+
+    /**
+     * Persists the remembered corrections.
+     * @param {Object} postEdits - Language pair key -> array of corrections.
+     */
+    function savePostEdits(postEdits) {
+        try {
+            localStorage.setItem(POST_EDIT_STORAGE_KEY, JSON.stringify(postEdits));
+        } catch (err) {
+            logError('Failed to save remembered corrections: ', err);
+        }
+    }
+
+    /**
+     * Remembers a correction of a machine output for a language pair, replacing any earlier
+     * one for the same output. A "correction" identical to the output forgets it instead.
+     * @param {string} pairKey - The language pair, from getLanguagePairKey().
+     * @param {string} machineOutput - The machine output, trimmed.
+     * @param {string} text - The corrected text.
+     */
+    function rememberPostEdit(pairKey, machineOutput, text) {
+        const postEdits = loadPostEdits();
+        const entries = (postEdits[pairKey] || []).filter(entry => entry.machineOutput !== machineOutput);
+        if (text.trim() !== machineOutput) {
+            entries.unshift({ machineOutput, text, timestamp: Date.now() });
+        }
+        postEdits[pairKey] = entries.slice(0, POST_EDIT_MAX_PER_PAIR);
+        if (postEdits[pairKey].length === 0) {
+            delete postEdits[pairKey];
+        }
+        savePostEdits(postEdits);
+    }
+
+    /**
+     * Finds the remembered correction of a machine output.
+     * @param {string} pairKey - The language pair, from getLanguagePairKey().
+     * @param {string} machineOutput - The machine output, trimmed.
+     * @returns {Object|null} The correction, { machineOutput, text, timestamp }, if there is one.
+     */
+    function findPostEdit(pairKey, machineOutput) {
+        return (loadPostEdits()[pairKey] || []).find(entry => entry.machineOutput === machineOutput) || null;
+    }
+
+    /**
+     * Creates the post-edit panel and its top-bar button. The user edits a copy of the output,
+     * which every copy action then uses for as long as Bing shows the same output; the panel
+     * shows the changes from the machine output and offers remembered corrections again.
+     */
+    function createPostEditPanel() {
+        const customTopBar = getCustomTopBar('place post-edit button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const suggestionText = buildElement('span', { textContent: 'You corrected this translation before.' });
+        const applyButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Apply correction' });
+        const suggestion = buildElement('div', { id: 'custom_post_edit_suggestion', hidden: '' }, [suggestionText, applyButton]);
+        const editor = buildElement('textarea', { id: 'custom_post_edit_text', rows: '8' });
+        const diffView = buildElement('div', { id: 'custom_post_edit_diff' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const revertButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Revert to machine output' });
+        const copyButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Copy' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+
+        const panel = buildElement('div', { id: 'custom_post_edit_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Post-edit' }),
+            suggestion,
+            buildElement('label', { for: 'custom_post_edit_text', textContent: 'Your version of the translation' }),
+            editor,
+            buildElement('label', { textContent: 'Changes from the machine output' }),
+            diffView,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [revertButton, copyButton, closeButton])
+        ]);
+
+        const postEditButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_post_edit_button',
+            className: 'custom_top_bar_button',
+            title: 'Edit the translation',
+            'aria-label': 'Edit the translation',
+            textContent: '\u270E'
+        });
+
+        let saveTimer = null;
+        let suggested = null; // Remembered correction of the current output, if any
+
+        function currentMachineOutput() {
+            return (getTranslatedText() || '').trim();
+        }
+
+        function isEditActive() {
+            return Boolean(postEdit) && postEdit.machineOutput === currentMachineOutput();
+        }
+
+        function renderDiff() {
+            const machineOutput = currentMachineOutput();
+            if (!isEditActive()) {
+                diffView.textContent = 'No changes.';
+                return;
+            }
+            // Both sides inline: removed words struck through, added words highlighted
+            let text = '';
+            const ranges = [];
+            diffWords(machineOutput, postEdit.text.trim()).forEach(run => {
+                if (run.type !== 'same' && run.text.trim()) {
+                    ranges.push({
+                        start: text.length,
+                        end: text.length + run.text.length,
+                        className: run.type === 'added' ? 'custom_diff_added' : 'custom_diff_removed',
+                        title: run.type === 'added' ? 'Added in your edit' : 'Removed in your edit'
+                    });
+                }
+                text += run.text;
+            });
+            renderHighlightedText(diffView, text, ranges);
+        }
+
+        function renderState() {
+            const active = isEditActive();
+            postEditButton.classList.toggle('custom_post_edit_active', active);
+            postEditButton.classList.toggle('custom_post_edit_suggestion', !active && Boolean(suggested));
+            postEditButton.setAttribute('aria-pressed', String(active));
+            setButtonLabel(postEditButton, active ? 'Edit the translation \u2013 your edited version is copied'
+                : suggested ? 'Edit the translation \u2013 you corrected this output before' : 'Edit the translation');
+            suggestion.hidden = active || !suggested;
+            if (!panel.hidden) {
+                renderDiff();
+            }
+        }
+
+        function fillEditor() {
+            editor.value = isEditActive() ? postEdit.text : currentMachineOutput();
+            status.textContent = '';
+            renderState();
+        }
+
+        // Called when Bing's output stops changing: drops a stale edit and looks for a remembered one
+        function onOutputSettled() {
+            const machineOutput = currentMachineOutput();
+            if (postEdit && postEdit.machineOutput !== machineOutput) {
+                postEdit = null;
+            }
+            suggested = machineOutput && !isEditActive() ? findPostEdit(getLanguagePairKey(), machineOutput) : null;
+            if (!panel.hidden && document.activeElement !== editor) {
+                fillEditor();
+            } else {
+                renderState();
+            }
+        }
+
+        editor.addEventListener('input', () => {
+            const machineOutput = currentMachineOutput();
+            postEdit = editor.value.trim() === machineOutput ? null : { machineOutput, text: editor.value };
+            suggested = null;
+            renderState();
+            clearTimeout(saveTimer);
+            const pairKey = getLanguagePairKey();
+            saveTimer = setTimeout(() => rememberPostEdit(pairKey, machineOutput, editor.value), POST_EDIT_SAVE_DELAY);
+        });
+        applyButton.addEventListener('click', () => {
+            postEdit = { machineOutput: suggested.machineOutput, text: suggested.text };
+            suggested = null;
+            fillEditor();
+            status.textContent = 'Remembered correction applied.';
+        });
+        revertButton.addEventListener('click', () => {
+            clearTimeout(saveTimer);
+            if (postEdit) {
+                rememberPostEdit(getLanguagePairKey(), postEdit.machineOutput, postEdit.machineOutput);
+            }
+            postEdit = null;
+            fillEditor();
+            status.textContent = 'Reverted to the machine output.';
+        });
+        copyButton.addEventListener('click', () => {
+            copyTranslation();
+            status.textContent = isEditActive() ? 'Edited translation copied.' : 'Translation copied.';
+        });
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                panel.hidden = true;
+            }
+        });
+
+        function togglePanel() {
+            if (!panel.hidden) {
+                panel.hidden = true;
+                return;
+            }
+            panel.hidden = false;
+            fillEditor();
+            editor.focus();
+        }
+        postEditButton.addEventListener('click', togglePanel);
+        registerCommand('togglePostEdit', 'Show / hide the post-edit panel', 'Alt+KeyE', togglePanel);
+        onBingEvent('output-settled', onOutputSettled);
+
+        customTopBar.appendChild(postEditButton);
+        document.body.appendChild(panel);
+    }
+
+    const MEMORY_DB_NAME = 'bingTranslateOverhaul';
+    const MEMORY_DB_VERSION = 1;
+    const MEMORY_STORE_NAME = 'translationMemory';
+
+    // Memory entries whose source is less similar than this to an input sentence are not shown.
+    const MEMORY_FUZZY_THRESHOLD = 0.7;
+
+    // Matches shown per input sentence.
+    const MEMORY_MAX_MATCHES = 3;
+
+    // The memory is searched once the user has stopped typing for this long.
+    const MEMORY_LOOKUP_DELAY = 400;
+
+    // Language codes written to TMX files for the language names Bing shows. Names without a
+    // code are kept in a property, so the file still round-trips.
+    const LANGUAGE_CODES = {
+        'Arabic': 'ar',
+        'Chinese Simplified': 'zh-Hans',
+        'Chinese Traditional': 'zh-Hant',
+        'Czech': 'cs',
+        'Danish': 'da',
+        'Dutch': 'nl',
+        'English': 'en',
+        'Finnish': 'fi',
+        'French': 'fr',
+        'French (Canada)': 'fr-CA',
+        'German': 'de',
+        'Greek': 'el',
+        'Hebrew': 'he',
+        'Hindi': 'hi',
+        'Hungarian': 'hu',
+        'Indonesian': 'id',
+        'Italian': 'it',
+        'Japanese': 'ja',
+        'Korean': 'ko',
+        'Norwegian': 'nb',
+        'Polish': 'pl',
+        'Portuguese (Brazil)': 'pt-BR',
+        'Portuguese (Portugal)': 'pt-PT',
+        'Romanian': 'ro',
+        'Russian': 'ru',
+        'Spanish': 'es',
+        'Swedish': 'sv',
+        'Thai': 'th',
+        'Turkish': 'tr',
+        'Ukrainian': 'uk',
+        'Vietnamese': 'vi'
+    };
+
+    // Notifies the memory panel that entries changed, once the panel exists.
+    let onMemoryChanged = () => {};
+
+    let memoryDbPromise = null;
+
+    /**
+     * Opens the translation memory database, creating it on first use.
+     * @returns {Promise<IDBDatabase>} The database.
+     */
+    function openMemoryDb() {
+        if (!memoryDbPromise) {
+            memoryDbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser.'));
+                    return;
+                }
+                const request = indexedDB.open(MEMORY_DB_NAME, MEMORY_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(MEMORY_STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('pairKey', 'pairKey');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again
+            memoryDbPromise.catch(() => {
+                memoryDbPromise = null;
+            });
+        }
+        return memoryDbPromise;
+    }
+
+    /**
+     * Runs a function against the memory store in one transaction.
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {Function} callback - Called with the object store; may return an IDBRequest whose
+     *     result the promise resolves with.
+     * @returns {Promise<*>} Resolves once the transaction completes.
+     */
+    function withMemoryStore(mode, callback) {
+        return openMemoryDb().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(MEMORY_STORE_NAME, mode);
+            const request = callback(transaction.objectStore(MEMORY_STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Translation memory transaction aborted.'));
+        }));
+    }
+
+    /**
+     * Normalizes a source sentence for use as a memory key: Unicode composition, case,
+     * whitespace and quote styles are evened out.
+     * @param {string} text - The sentence.
+     * @returns {string} The normalized sentence.
+     */
+    function normalizeSegment(text) {
+        return text.normalize('NFC')
+            .replace(/[\u2018\u2019]/g, '\'')
+            .replace(/[\u201C\u201D\u00AB\u00BB]/g, '"')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    /**
+     * Builds the key of a memory entry.
+     * @param {string} pairKey - The language pair, from getLanguagePairKey().
+     * @param {string} tone - The tone the translation was made with.
+     * @param {string} normalizedSource - The source sentence, from normalizeSegment().
+     * @returns {string} The entry id.
+     */
+    function getMemoryId(pairKey, tone, normalizedSource) {
+        return `${pairKey}\u0000${tone}\u0000${normalizedSource}`;
+    }
+
+    /**
+     * Adds sentence pairs to the memory, replacing the stored translation of sentences already there.
+     * @param {string} pairKey - The language pair, from getLanguagePairKey().
+     * @param {string} tone - The tone the translations were made with.
+     * @param {Array<{source: string, target: string}>} pairs - The sentence pairs.
+     * @returns {Promise<number>} The number of pairs stored.
+     */
+    function storeMemorySegments(pairKey, tone, pairs) {
+        const now = Date.now();
+        const usable = pairs.filter(pair => pair.source.trim() && pair.target.trim());
+        return withMemoryStore('readwrite', store => {
+            usable.forEach(pair => {
+                const normalizedSource = normalizeSegment(pair.source);
+                const id = getMemoryId(pairKey, tone, normalizedSource);
+                const lookup = store.get(id);
+                lookup.onsuccess = () => {
+                    const existing = lookup.result;
+                    store.put({
+                        id,
+                        pairKey,
+                        tone,
+                        source: pair.source.trim(),
+                        normalizedSource,
+                        target: pair.target.trim(),
+                        createdAt: existing ? existing.createdAt : now,
+                        updatedAt: now,
+                        uses: existing ? existing.uses + 1 : 1
+                    });
+                };
+            });
+        }).then(() => {
+            onMemoryChanged();
+            return usable.length;
+        });
+    }
+
+    /**
+     * Reads the memory entries of one language pair, or of every pair.
+     * @param {string} [pairKey] - The language pair; omit for all entries.
+     * @returns {Promise<Object[]>} The entries.
+     */
+    function getMemoryEntries(pairKey) {
+        return withMemoryStore('readonly', store => pairKey === undefined ? store.getAll() : store.index('pairKey').getAll(pairKey));
+    }
+
+    /**
+     * Deletes every memory entry.
+     * @returns {Promise<void>} Resolves once the memory is empty.
+     */
+    function clearMemory() {
+        return withMemoryStore('readwrite', store => {
+            store.clear();
+        }).then(() => onMemoryChanged());
+    }
+
+    /**
+     * Stores the current input and translation in the memory, sentence by sentence. Copying a
+     * translation approves it, so every copy action calls this.
+     * @returns {Promise<number>} The number of sentence pairs stored.
+     */
+    function approveCurrentTranslation() {
+        const source = getInputText() || '';
+        const target = getFinalTranslation() || '';
+        if (!window.indexedDB || !source.trim() || !target.trim()) {
+            return Promise.resolve(0);
+        }
+        return storeMemorySegments(getLanguagePairKey(), getSelectedTone(), pairSentences(source, target));
+    }
+
+    /**
+     * Splits input text into the sentences looked up in the memory, the same way the alignment
+     * engine splits it, list markers excluded.
+     * @param {string} text - The input text.
+     * @returns {string[]} The sentences.
+     */
+    function segmentForMemory(text) {
+        const segments = [];
+        text.split('\n').forEach(line => {
+            const body = splitListMarker(line).body.trim();
+            if (body) {
+                segmentSentences(body).forEach(sentence => segments.push(sentence.text));
+            }
+        });
+        return segments;
+    }
+
+    /**
+     * Computes the edit distance between two strings, giving up beyond a maximum.
+     * @param {string} a - One string.
+     * @param {string} b - The other string.
+     * @param {number} maxDistance - Distances above this are not computed exactly.
+     * @returns {number} The Levenshtein distance, or maxDistance + 1 if it is larger.
+     */
+    function levenshteinDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMinimum = Math.min(rowMinimum, current[j]);
+            }
+            if (rowMinimum > maxDistance) {
+                return maxDistance + 1;
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Finds the memory entries matching a sentence exactly or closely.
+     * @param {Object[]} entries - The memory entries of the current language pair.
+     * @param {string} sentence - The input sentence.
+     * @param {string} tone - The current tone; entries made with it rank first.
+     * @returns {Array<{entry: Object, similarity: number}>} Up to MEMORY_MAX_MATCHES matches,
+     *     best first. A similarity of 1 is an exact match.
+     */
+    function findMemoryMatches(entries, sentence, tone) {
+        const normalized = normalizeSegment(sentence);
+        const matches = [];
+        entries.forEach(entry => {
+            const longest = Math.max(normalized.length, entry.normalizedSource.length);
+            const maxDistance = Math.floor(longest * (1 - MEMORY_FUZZY_THRESHOLD));
+            const distance = levenshteinDistance(normalized, entry.normalizedSource, maxDistance);
+            if (distance <= maxDistance) {
+                matches.push({ entry, similarity: longest === 0 ? 1 : 1 - distance / longest });
+            }
+        });
+        return matches
+            .sort((a, b) => b.similarity - a.similarity ||
+                (b.entry.tone === tone) - (a.entry.tone === tone) ||
+                b.entry.updatedAt - a.entry.updatedAt)
+            .slice(0, MEMORY_MAX_MATCHES);
+    }
+
+    /**
+     * Formats a timestamp the way TMX expects, e.g. 20240131T093000Z.
+     * @param {number} timestamp - Milliseconds since the epoch.
+     * @returns {string} The TMX date.
+     */
+    function toTmxDate(timestamp) {
+        return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    }
+
+    /**
+     * Serializes memory entries as a TMX 1.4 document. Language names and tones are kept in
+     * properties so the memory can be imported again without loss.
+     * @param {Object[]} entries - The memory entries.
+     * @returns {string} The TMX document.
+     */
+    function memoryToTmx(entries) {
+        const units = entries.map(entry => {
+            const [sourceLanguage, targetLanguage] = entry.pairKey.split('\u2192');
+            return [
+                `    <tu creationdate="${toTmxDate(entry.createdAt)}" changedate="${toTmxDate(entry.updatedAt)}" usagecount="${entry.uses}">`,
+                `      <prop type="x-source-language">${escapeHtml(sourceLanguage)}</prop>`,
+                `      <prop type="x-target-language">${escapeHtml(targetLanguage)}</prop>`,
+                `      <prop type="x-tone">${escapeHtml(entry.tone)}</prop>`,
+                `      <tuv xml:lang="${escapeHtml(LANGUAGE_CODES[sourceLanguage] || 'und')}"><seg>${escapeHtml(entry.source)}</seg></tuv>`,
+                `      <tuv xml:lang="${escapeHtml(LANGUAGE_CODES[targetLanguage] || 'und')}"><seg>${escapeHtml(entry.target)}</seg></tuv>`,
+                '    </tu>'
+            ].join('\n');
+        });
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<tmx version="1.4">',
+            '  <header creationtool="Bing Translate UI Overhaul" creationtoolversion="2.0" segtype="sentence" o-tmf="none" adminlang="en" srclang="*all*" datatype="plaintext"/>',
+            '  <body>',
+            ...units,
+            '  </body>',
+            '</tmx>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Reads translation units from a TMX document. The first variant of each unit is taken as
+     * the source, unless the header names a source language.
+     * @param {string} text - The TMX document.
+     * @returns {Array<{pairKey: string, tone: string, source: string, target: string, createdAt: number}>}
+     *     The units that have a source and a target.
+     */
+    function parseTmx(text) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not valid XML.');
+        }
+        const header = xml.getElementsByTagName('header')[0];
+        const headerSource = header ? (header.getAttribute('srclang') || '').toLowerCase() : '';
+        const codeToName = {};
+        Object.keys(LANGUAGE_CODES).forEach(name => {
+            codeToName[LANGUAGE_CODES[name].toLowerCase()] = codeToName[LANGUAGE_CODES[name].toLowerCase()] || name;
+        });
+        const languageOf = variant => (variant.getAttribute('xml:lang') || variant.getAttribute('lang') || '').toLowerCase();
+        const units = [];
+        Array.from(xml.getElementsByTagName('tu')).forEach(unit => {
+            const props = {};
+            Array.from(unit.getElementsByTagName('prop')).forEach(prop => {
+                props[prop.getAttribute('type')] = prop.textContent.trim();
+            });
+            const variants = Array.from(unit.getElementsByTagName('tuv')).filter(variant => variant.getElementsByTagName('seg')[0]);
+            if (variants.length < 2) {
+                return;
+            }
+            const sourceIndex = Math.max(0, headerSource && headerSource !== '*all*' ? variants.findIndex(variant => languageOf(variant) === headerSource) : 0);
+            const source = variants[sourceIndex];
+            const target = variants.find((variant, index) => index !== sourceIndex);
+            const nameOf = (variant, prop) => props[prop] || codeToName[languageOf(variant)] || codeToName[languageOf(variant).split('-')[0]] || languageOf(variant);
+            const creationDate = (unit.getAttribute('creationdate') || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+            units.push({
+                pairKey: `${nameOf(source, 'x-source-language')}\u2192${nameOf(target, 'x-target-language')}`,
+                tone: props['x-tone'] || '',
+                source: source.getElementsByTagName('seg')[0].textContent,
+                target: target.getElementsByTagName('seg')[0].textContent,
+                createdAt: creationDate ? Date.UTC(creationDate[1], creationDate[2] - 1, creationDate[3], creationDate[4], creationDate[5], creationDate[6]) : Date.now()
+            });
+        });
+        return units;
+    }
+
+    /**
+     * Adds imported units to the memory, replacing entries with the same key.
+     * @param {Object[]} units - The output of parseTmx().
+     * @returns {Promise<number>} The number of units stored.
+     */
+    function importMemoryUnits(units) {
+        const now = Date.now();
+        const usable = units.filter(unit => unit.source.trim() && unit.target.trim());
+        return withMemoryStore('readwrite', store => {
+            usable.forEach(unit => {
+                const normalizedSource = normalizeSegment(unit.source);
+                store.put({
+                    id: getMemoryId(unit.pairKey, unit.tone, normalizedSource),
+                    pairKey: unit.pairKey,
+                    tone: unit.tone,
+                    source: unit.source.trim(),
+                    normalizedSource,
+                    target: unit.target.trim(),
+                    createdAt: unit.createdAt,
+                    updatedAt: now,
+                    uses: 1
+                });
+            });
+        }).then(() => {
+            onMemoryChanged();
+            return usable.length;
+        });
+    }
+
+    /**
+     * Creates the translation memory side panel and its top-bar button. While text is typed,
+     * each input sentence is looked up in the memory and its exact and fuzzy matches are
+     * listed, with the differences from the stored source highlighted.
+     */
+    function createMemoryPanel() {
+        const customTopBar = getCustomTopBar('place translation memory button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const list = buildElement('ul', { className: 'custom_history_list', id: 'custom_memory_list' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const saveButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Save translation' });
+        const exportButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Export TMX' });
+        const importButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Import TMX' });
+        const clearButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Clear' });
+
+        const panel = buildElement('aside', { id: 'custom_memory_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Translation memory' }),
+            buildElement('p', { className: 'custom_panel_status', textContent: 'Translations you copy or save are remembered sentence by sentence.' }),
+            list,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [saveButton, exportButton, importButton, clearButton])
+        ]);
+
+        const memoryButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_memory_button',
+            className: 'custom_top_bar_button',
+            title: 'Translation memory',
+            'aria-label': 'Translation memory',
+            textContent: '\u{1F5C3}'
+        });
+
+        let lookupTimer = null;
+        let lookupId = 0; // Ignores lookups overtaken by a newer one
+
+        function buildMatch(sentence, match) {
+            const exact = match.similarity === 1;
+            const sourceLine = buildElement('div', { className: 'custom_history_input' });
+            if (exact) {
+                sourceLine.textContent = match.entry.source;
+            } else {
+                const highlighted = diffToHighlights(diffWords(sentence, match.entry.source), 'added', 'custom_diff_added', 'Differs from your sentence');
+                renderHighlightedText(sourceLine, highlighted.text, highlighted.ranges);
+            }
+            const copyButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Copy' });
+            copyButton.addEventListener('click', () => {
+                copyPlainText(match.entry.target).then(copied => {
+                    if (copied) {
+                        status.textContent = 'Stored translation copied.';
+                    }
+                });
+            });
+            return buildElement('li', { className: `custom_memory_match ${exact ? 'custom_memory_exact' : 'custom_memory_fuzzy'}` }, [
+                buildElement('div', { className: 'custom_history_meta' }, [
+                    buildElement('span', { textContent: `${exact ? 'Exact' : `${Math.round(match.similarity * 100)}% fuzzy`}${match.entry.tone ? ` \u00b7 ${match.entry.tone}` : ''} \u00b7 used ${match.entry.uses}\u00d7` }),
+                    copyButton
+                ]),
+                sourceLine,
+                buildElement('div', { className: 'custom_history_output', textContent: match.entry.target })
+            ]);
+        }
+
+        function lookUp() {
+            const id = ++lookupId;
+            const sentences = segmentForMemory(getInputText() || '');
+            const tone = getSelectedTone();
+            getMemoryEntries(getLanguagePairKey()).then(entries => {
+                if (id !== lookupId) {
+                    return;
+                }
+                let exactCount = 0;
+                let fuzzyCount = 0;
+                const items = [];
+                sentences.forEach(sentence => {
+                    const matches = findMemoryMatches(entries, sentence, tone);
+                    if (matches.length === 0) {
+                        return;
+                    }
+                    if (matches[0].similarity === 1) {
+                        exactCount++;
+                    } else {
+                        fuzzyCount++;
+                    }
+                    items.push(buildElement('li', { className: 'custom_memory_sentence' }, [
+                        buildElement('p', { className: 'custom_memory_sentence_text', textContent: sentence }),
+                        buildElement('ul', {}, matches.map(match => buildMatch(sentence, match)))
+                    ]));
+                });
+                list.replaceChildren(...items);
+                const summary = `${exactCount} exact, ${fuzzyCount} fuzzy match(es) for ${sentences.length} sentence(s)`;
+                status.textContent = sentences.length > 0 ? `${summary}; ${entries.length} stored for this language pair.` : `${entries.length} sentence(s) stored for this language pair.`;
+                setButtonLabel(memoryButton, exactCount + fuzzyCount > 0 ? `Translation memory \u2013 ${summary}` : 'Translation memory');
+                memoryButton.classList.toggle('custom_memory_has_matches', exactCount + fuzzyCount > 0);
+            }).catch(err => {
+                logWarning('Translation memory lookup failed.', err);
+                status.textContent = `Translation memory unavailable: ${err.message}`;
+            });
+        }
+
+        function scheduleLookup() {
+            clearTimeout(lookupTimer);
+            lookupTimer = setTimeout(lookUp, MEMORY_LOOKUP_DELAY);
+        }
+
+        saveButton.addEventListener('click', () => {
+            approveCurrentTranslation().then(count => {
+                status.textContent = count > 0 ? `Saved ${count} sentence pair(s).` : 'There is no translation to save.';
+            }).catch(err => {
+                logError('Failed to save to the translation memory: ', err);
+                status.textContent = `Save failed: ${err.message}`;
+            });
+        });
+        exportButton.addEventListener('click', () => {
+            getMemoryEntries().then(entries => {
+                downloadFile('bing-translate-memory.tmx', memoryToTmx(entries), 'application/x-tmx+xml');
+            }).catch(err => {
+                logError('Failed to export the translation memory: ', err);
+                status.textContent = `Export failed: ${err.message}`;
+            });
+        });
+        importButton.addEventListener('click', () => {
+            pickTextFile('.tmx,application/x-tmx+xml,text/xml').then(file => importMemoryUnits(parseTmx(file.text))).then(count => {
+                status.textContent = `Imported ${count} translation unit(s).`;
+            }).catch(err => {
+                if (isFileDialogCancelled(err)) {
+                    return;
+                }
+                logError('Failed to import the translation memory: ', err);
+                status.textContent = `Import failed: ${err.message}`;
+            });
+        });
+        clearButton.addEventListener('click', () => {
+            if (window.confirm('Delete every sentence stored in the translation memory?')) {
+                clearMemory().catch(err => logError('Failed to clear the translation memory: ', err));
+            }
+        });
+
+        function togglePanel() {
+            panel.hidden = !panel.hidden;
+            memoryButton.setAttribute('aria-expanded', String(!panel.hidden));
+            if (!panel.hidden) {
+                // Both side panels sit along the right edge
+                const historyPanel = document.getElementById('custom_history_panel');
+                if (historyPanel) {
+                    historyPanel.hidden = true;
+                }
+                lookUp();
+            }
+        }
+        memoryButton.addEventListener('click', togglePanel);
+        registerCommand('toggleMemory', 'Show / hide translation memory', 'Alt+KeyT', togglePanel);
+
+        onMemoryChanged = scheduleLookup;
+        onBingEvent('input-changed', scheduleLookup);
+        onBingEvent('languages-changed', scheduleLookup);
+        onBingEvent('tone-changed', scheduleLookup);
+
+        customTopBar.appendChild(memoryButton);
+        document.body.appendChild(panel);
+        scheduleLookup();
+    }
+
+    // Computed styles copied from the input box onto its highlight backdrop so the text lines up.
+    const BACKDROP_MIRRORED_STYLES = [
+        'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'wordSpacing',
+        'textAlign', 'textIndent', 'whiteSpace', 'overflowWrap', 'wordBreak', 'tabSize',
+        'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+        'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'
+    ];
+
+    /**
+     * Returns the alignment of the current input and output, reusing the one made by the
+     * line-break pass when it is still current.
+     * @param {string} inputText - The current input text.
+     * @param {string} outputText - The current output text.
+     * @returns {Object} The alignment, as returned by alignTranslation().
+     */
+    function getCurrentAlignment(inputText, outputText) {
+        if (latestAlignment && latestAlignment.inputText === inputText) {
+            return latestAlignment.alignment;
+        }
+        return alignTranslation(inputText.split('\n'), outputText);
+    }
+
+    /**
+     * Pairs input sentences with output sentences, as character ranges in each full text.
+     * Lines are paired as the alignment paired them; within a line, sentences are paired one to
+     * one when both sides have the same count, otherwise the whole lines are paired.
+     * @param {string} inputText - The input text.
+     * @param {string} outputText - The output text, one line per input line.
+     * @param {Object} alignment - The alignment of the two, as returned by alignTranslation().
+     * @returns {Array<{input: {start: number, end: number}, output: {start: number, end: number}}>} The pairs, in order.
+     */
+    function buildSentencePairs(inputText, outputText, alignment) {
+        const inputLines = inputText.split('\n');
+        const outputLines = outputText.split('\n');
+        const pairs = [];
+        let inputOffset = 0;
+        let outputOffset = 0;
+        inputLines.forEach((line, index) => {
+            const group = alignment.groups[index];
+            const outputLine = outputLines[index] || '';
+            if (group && outputLine.trim() && group.inputSentences.length > 0) {
+                const body = splitListMarker(line).body;
+                const bodyOffset = inputOffset + line.length - body.length + (body.length - body.trimStart().length);
+                const inputRanges = group.inputSentences.map(sentence => ({ start: bodyOffset + sentence.start, end: bodyOffset + sentence.end }));
+                const outputSentences = segmentSentences(outputLine);
+                const outputRanges = outputSentences.length === group.outputSentences.length
+                    ? outputSentences.map(sentence => ({ start: outputOffset + sentence.start, end: outputOffset + sentence.end }))
+                    : [{ start: outputOffset, end: outputOffset + outputLine.length }];
+                if (inputRanges.length === outputRanges.length) {
+                    inputRanges.forEach((range, position) => pairs.push({ input: range, output: outputRanges[position] }));
+                } else {
+                    pairs.push({
+                        input: { start: inputRanges[0].start, end: inputRanges[inputRanges.length - 1].end },
+                        output: { start: outputRanges[0].start, end: outputRanges[outputRanges.length - 1].end }
+                    });
+                }
+            }
+            inputOffset += line.length + 1;
+            outputOffset += outputLine.length + 1;
+        });
+        return pairs;
+    }
+
+    /**
+     * Creates a DOM range covering character offsets of an element's text, counting each
+     * <br> as one line break.
+     * @param {HTMLElement} element - The element containing the text.
+     * @param {number} start - The start offset.
+     * @param {number} end - The end offset.
+     * @returns {Range|null} The range, or null if the offsets are outside the text.
+     */
+    function createRangeAtOffsets(element, start, end) {
+        const range = document.createRange();
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+        let position = 0;
+        let startSet = false;
+        let node;
+        while ((node = walker.nextNode()) !== null) {
+            const isText = node.nodeType === Node.TEXT_NODE;
+            if (!isText && node.tagName !== 'BR') {
+                continue;
+            }
+            const length = isText ? node.length : 1;
+            if (!startSet && start <= position + length) {
+                if (isText) {
+                    range.setStart(node, start - position);
+                } else {
+                    range.setStartAfter(node);
+                }
+                startSet = true;
+            }
+            if (startSet && end <= position + length) {
+                if (isText) {
+                    range.setEnd(node, end - position);
+                } else {
+                    range.setEndBefore(node);
+                }
+                return range;
+            }
+            position += length;
+        }
+        return null;
+    }
+
+    /**
+     * Converts a DOM position inside an element into a character offset of its text,
+     * counting each <br> as one line break.
+     * @param {HTMLElement} element - The element containing the text.
+     * @param {Node} targetNode - The node of the position.
+     * @param {number} targetOffset - The offset within that node.
+     * @returns {number|null} The character offset, or null if the position is outside the element.
+     */
+    function getTextOffset(element, targetNode, targetOffset) {
+        if (!element.contains(targetNode)) {
+            return null;
+        }
+        if (targetNode.nodeType !== Node.TEXT_NODE) {
+            // A position between child nodes: measure up to the child at that index
+            const child = targetNode.childNodes[targetOffset];
+            if (child) {
+                targetNode = child;
+                targetOffset = 0;
+            }
+        }
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+        let position = 0;
+        let node;
+        while ((node = walker.nextNode()) !== null) {
+            if (node === targetNode) {
+                return position + (node.nodeType === Node.TEXT_NODE ? targetOffset : 0);
+            }
+            if (node.nodeType === Node.TEXT_NODE) {
+                position += node.length;
+            } else if (node.tagName === 'BR') {
+                position += 1;
+            }
+        }
+        return position;
+    }
+
+    /**
+     * Finds the caret position under the mouse pointer.
+     * @param {number} x - The client x coordinate.
+     * @param {number} y - The client y coordinate.
+     * @returns {{node: Node, offset: number}|null} The DOM position, if the browser can tell.
+     */
+    function getCaretPositionFromPoint(x, y) {
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            return position ? { node: position.offsetNode, offset: position.offset } : null;
+        }
+        if (document.caretRangeFromPoint) {
+            const range = document.caretRangeFromPoint(x, y);
+            return range ? { node: range.startContainer, offset: range.startOffset } : null;
+        }
+        return null;
+    }
+
+    /**
+     * Creates the review mode, in which sentences of the input and output are paired: hovering
+     * or moving the caret in one pane highlights the matching sentence in the other and scrolls
+     * it into view, and the panes scroll together.
+     */
+    function createReviewMode() {
+        const customTopBar = getCustomTopBar('place review button');
+        if (!customTopBar) {
+            return;
+        }
+        const supportsHighlights = typeof Highlight === 'function' && window.CSS && CSS.highlights;
+
+        let active = false;
+        let pairs = [];
+        let pairsSource = null; // The input and output texts the pairs were built for
+        let backdrop = null;
+        let pendingHover = null;
+        // Pane -> the scrollTop the script last scrolled it to, until its scroll event arrives
+        const scriptScrolls = new Map();
+
+        function getPanes() {
+            return { input: getBingElement('input'), output: getBingElement('output') };
+        }
+
+        function isTextControl(element) {
+            return element && typeof element.value === 'string';
+        }
+
+        function currentPairs() {
+            const inputText = getInputText() || '';
+            const outputText = getTranslatedText() || '';
+            if (!pairsSource || pairsSource.inputText !== inputText || pairsSource.outputText !== outputText) {
+                pairs = buildSentencePairs(inputText, outputText, getCurrentAlignment(inputText, outputText));
+                pairsSource = { inputText, outputText };
+            }
+            return pairs;
+        }
+
+        // Keeps the backdrop behind the input box the same size and scroll position as the box
+        function syncBackdrop(input) {
+            if (!backdrop) {
+                backdrop = buildElement('div', { className: 'custom_review_backdrop', 'aria-hidden': 'true' });
+            }
+            if (backdrop.parentNode !== input.parentNode) {
+                input.parentNode.insertBefore(backdrop, input);
+                input.parentNode.classList.add('custom_review_backdrop_host');
+            }
+            const style = getComputedStyle(input);
+            BACKDROP_MIRRORED_STYLES.forEach(name => {
+                backdrop.style[name] = style[name];
+            });
+            backdrop.style.top = `${input.offsetTop}px`;
+            backdrop.style.left = `${input.offsetLeft}px`;
+            backdrop.style.width = `${input.offsetWidth}px`;
+            backdrop.style.height = `${input.offsetHeight}px`;
+            backdrop.scrollTop = input.scrollTop;
+        }
+
+        function renderBackdrop(input, ranges) {
+            syncBackdrop(input);
+            renderHighlightedText(backdrop, input.value, ranges);
+            backdrop.append('\n'); // Keep a trailing line break from collapsing, as the textarea does
+            backdrop.scrollTop = input.scrollTop;
+        }
+
+        function clearHighlights() {
+            if (supportsHighlights) {
+                CSS.highlights.delete('custom-review-source');
+                CSS.highlights.delete('custom-review-counterpart');
+            }
+            if (backdrop) {
+                backdrop.replaceChildren();
+            }
+        }
+
+        // Highlights a pair: the sentence under the caret or pointer, and its counterpart
+        function highlightPair(pair, fromSide) {
+            const { input, output } = getPanes();
+            const sourceHighlights = [];
+            const counterpartHighlights = [];
+            [['input', input], ['output', output]].forEach(([side, element]) => {
+                if (!element) {
+                    return;
+                }
+                const range = pair[side];
+                const className = side === fromSide ? 'custom_review_source' : 'custom_review_counterpart';
+                if (isTextControl(element)) {
+                    renderBackdrop(element, [{ start: range.start, end: range.end, className, title: '' }]);
+                    if (side !== fromSide) {
+                        scrollBackdropRangeIntoView(element);
+                    }
+                    return;
+                }
+                const domRange = createRangeAtOffsets(element, range.start, range.end);
+                if (!domRange) {
+                    return;
+                }
+                (side === fromSide ? sourceHighlights : counterpartHighlights).push(domRange);
+                if (side !== fromSide) {
+                    scrollRangeIntoView(element, domRange);
+                }
+            });
+            if (supportsHighlights) {
+                CSS.highlights.set('custom-review-source', new Highlight(...sourceHighlights));
+                CSS.highlights.set('custom-review-counterpart', new Highlight(...counterpartHighlights));
+            }
+        }
+
+        // Scrolls a pane on the script's behalf. Only a scroll that moved the pane is noted, as
+        // only that one fires the scroll event that must not be synced back to the other pane.
+        function scrollPaneTo(pane, scrollTop) {
+            const previousScrollTop = pane.scrollTop;
+            pane.scrollTop = scrollTop;
+            if (pane.scrollTop !== previousScrollTop) {
+                scriptScrolls.set(pane, pane.scrollTop);
+            }
+        }
+
+        function scrollRangeIntoView(container, domRange) {
+            const rangeRect = domRange.getBoundingClientRect();
+            const containerRect = container.getBoundingClientRect();
+            if (rangeRect.top < containerRect.top || rangeRect.bottom > containerRect.bottom) {
+                scrollPaneTo(container, container.scrollTop + rangeRect.top - containerRect.top - container.clientHeight / 3);
+            }
+        }
+
+        function scrollBackdropRangeIntoView(input) {
+            const mark = backdrop && backdrop.querySelector('mark');
+            if (!mark) {
+                return;
+            }
+            if (mark.offsetTop < input.scrollTop || mark.offsetTop + mark.offsetHeight > input.scrollTop + input.clientHeight) {
+                scrollPaneTo(input, mark.offsetTop - input.clientHeight / 3);
+                backdrop.scrollTop = input.scrollTop;
+            }
+        }
+
+        function activateAt(side, offset) {
+            if (offset === null) {
+                return;
+            }
+            const pair = currentPairs().find(candidate => offset >= candidate[side].start && offset <= candidate[side].end);
+            if (pair) {
+                highlightPair(pair, side);
+            } else {
+                clearHighlights();
+            }
+        }
+
+        function offsetFromCaret(side) {
+            const element = getPanes()[side];
+            if (!element) {
+                return null;
+            }
+            if (isTextControl(element)) {
+                return document.activeElement === element ? element.selectionStart : null;
+            }
+            const selection = document.getSelection();
+            if (!selection || selection.rangeCount === 0) {
+                return null;
+            }
+            return getTextOffset(element, selection.focusNode, selection.focusOffset);
+        }
+
+        function onSelectionChange() {
+            if (!active) {
+                return;
+            }
+            ['input', 'output'].some(side => {
+                const offset = offsetFromCaret(side);
+                if (offset !== null) {
+                    activateAt(side, offset);
+                    return true;
+                }
+                return false;
+            });
+        }
+
+        // A textarea does not expose its text nodes, so find the character under the pointer in
+        // the backdrop, which lays out the same text in the same place
+        function offsetFromPointInTextControl(input, x, y) {
+            if (!backdrop || backdrop.parentNode !== input.parentNode || backdrop.textContent !== `${input.value}\n`) {
+                renderBackdrop(input, []);
+            }
+            backdrop.scrollTop = input.scrollTop;
+            backdrop.classList.add('custom_review_backdrop_probe');
+            const position = getCaretPositionFromPoint(x, y);
+            backdrop.classList.remove('custom_review_backdrop_probe');
+            return position ? getTextOffset(backdrop, position.node, position.offset) : null;
+        }
+
+        function onMouseMove(event) {
+            if (!active) {
+                return;
+            }
+            const { input, output } = getPanes();
+            const side = output && output.contains(event.target) ? 'output'
+                : input && input.contains(event.target) ? 'input' : null;
+            if (!side) {
+                return;
+            }
+            const firstEvent = !pendingHover;
+            pendingHover = { side, x: event.clientX, y: event.clientY };
+            if (firstEvent) {
+                requestAnimationFrame(() => {
+                    const hover = pendingHover;
+                    pendingHover = null;
+                    const element = getPanes()[hover.side];
+                    if (!element) {
+                        return;
+                    }
+                    if (isTextControl(element)) {
+                        activateAt(hover.side, offsetFromPointInTextControl(element, hover.x, hover.y));
+                        return;
+                    }
+                    const position = getCaretPositionFromPoint(hover.x, hover.y);
+                    if (position) {
+                        activateAt(hover.side, getTextOffset(element, position.node, position.offset));
+                    }
+                });
+            }
+        }
+
+        // Scrolls the other pane to the same relative position
+        function onScroll(event) {
+            if (!active) {
+                return;
+            }
+            const source = event.target;
+            // A pane the script scrolled, unless the user has scrolled it further since
+            if (scriptScrolls.has(source)) {
+                const scriptScrollTop = scriptScrolls.get(source);
+                scriptScrolls.delete(source);
+                if (scriptScrollTop === source.scrollTop) {
+                    return;
+                }
+            }
+            const { input, output } = getPanes();
+            const target = source === input ? output : source === output ? input : null;
+            if (!target) {
+                return;
+            }
+            const sourceRange = source.scrollHeight - source.clientHeight;
+            scrollPaneTo(target, sourceRange > 0 ? (source.scrollTop / sourceRange) * (target.scrollHeight - target.clientHeight) : 0);
+            if (backdrop && input) {
+                backdrop.scrollTop = input.scrollTop;
+            }
+        }
+
+        function setActive(enabled) {
+            active = enabled;
+            document.body.classList.toggle('custom_review_mode', active);
+            reviewButton.setAttribute('aria-pressed', String(active));
+            pairsSource = null;
+            if (!active) {
+                clearHighlights();
+                if (backdrop && backdrop.parentNode) {
+                    backdrop.parentNode.classList.remove('custom_review_backdrop_host');
+                    backdrop.remove();
+                }
+            }
+        }
+
+        document.addEventListener('selectionchange', onSelectionChange);
+        document.addEventListener('mousemove', onMouseMove);
+        // Scroll events do not bubble, so listen in the capture phase
+        document.addEventListener('scroll', onScroll, true);
+        // Textareas do not always report caret moves through selectionchange
+        ['keyup', 'click'].forEach(type => document.addEventListener(type, event => {
+            const { input } = getPanes();
+            if (input && input.contains(event.target)) {
+                onSelectionChange();
+            }
+        }));
+
+        const reviewButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_review_button',
+            className: 'custom_top_bar_button',
+            title: 'Review mode: match sentences between input and output',
+            'aria-label': 'Review mode: match sentences between input and output',
+            'aria-pressed': 'false',
+            textContent: '\u21C6'
+        });
+        reviewButton.addEventListener('click', () => setActive(!active));
+        registerCommand('toggleReviewMode', 'Toggle review mode', 'Alt+KeyR', () => setActive(!active));
+
+        customTopBar.appendChild(reviewButton);
+    }
+
+    // How long to wait for the browser to load its speech synthesis voices.
+    const SPEECH_VOICES_TIMEOUT = 1000;
+
+    /**
+     * Finds the language code for a language name shown by Bing, ignoring a "(detected)" suffix.
+     * @param {string} languageName - The language name.
+     * @returns {string|null} The code, or null for names without a known code, such as Auto-detect.
+     */
+    function getLanguageCode(languageName) {
+        return LANGUAGE_CODES[languageName.replace(/\s*\(detected\)$/i, '').trim()] || null;
+    }
+
+    /**
+     * Resolves the speech synthesis voices, waiting briefly for browsers that load them lazily.
+     * @returns {Promise<SpeechSynthesisVoice[]>} The available voices, possibly none.
+     */
+    function loadSpeechVoices() {
+        const voices = speechSynthesis.getVoices();
+        if (voices.length > 0) {
+            return Promise.resolve(voices);
+        }
+        return new Promise(resolve => {
+            const finish = () => {
+                speechSynthesis.removeEventListener('voiceschanged', finish);
+                resolve(speechSynthesis.getVoices());
+            };
+            speechSynthesis.addEventListener('voiceschanged', finish);
+            setTimeout(finish, SPEECH_VOICES_TIMEOUT);
+        });
+    }
+
+    /**
+     * Picks the voice for a language: one for the exact language and region if there is one,
+     * otherwise one for the same base language, preferring the browser's default voice.
+     * @param {SpeechSynthesisVoice[]} voices - The available voices.
+     * @param {string} languageCode - The language code, e.g. "fr-CA".
+     * @returns {SpeechSynthesisVoice|null} The voice, or null if none speaks the language.
+     */
+    function pickSpeechVoice(voices, languageCode) {
+        const normalize = code => code.toLowerCase().replace(/_/g, '-');
+        const wanted = normalize(languageCode);
+        const baseLanguage = wanted.split('-')[0];
+        const byPreference = (a, b) => Number(b.default) - Number(a.default);
+        const exact = voices.filter(voice => normalize(voice.lang) === wanted).sort(byPreference);
+        if (exact.length > 0) {
+            return exact[0];
+        }
+        const sameBase = voices.filter(voice => normalize(voice.lang).split('-')[0] === baseLanguage).sort(byPreference);
+        return sameBase[0] || null;
+    }
+
+    /**
+     * Adds top-bar buttons to read the translation, or the selected text, aloud sentence by
+     * sentence with a voice for its language, and to dictate into the input box. Each button
+     * is disabled, with a note why, where the browser lacks the Web Speech API it needs.
+     */
+    function createSpeechControls() {
+        const customTopBar = getCustomTopBar('place speech controls');
+        if (!customTopBar) {
+            return;
+        }
+        const SpeechRecognitionApi = window.SpeechRecognition || window.webkitSpeechRecognition;
+        const supportsSynthesis = 'speechSynthesis' in window && typeof SpeechSynthesisUtterance === 'function';
+        const supportsHighlights = typeof Highlight === 'function' && window.CSS && CSS.highlights;
+
+        const speakButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_speak_button',
+            className: 'custom_top_bar_button',
+            'aria-pressed': 'false',
+            textContent: '\u{1F50A}'
+        });
+        const dictateButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_dictate_button',
+            className: 'custom_top_bar_button',
+            'aria-pressed': 'false',
+            textContent: '\u{1F3A4}'
+        });
+
+        let speechSession = 0; // Bumped on every start and stop, so events from a stopped reading are ignored
+        let speaking = false;
+        let recognition = null;
+        let pressedInputSelection = null; // The input's selection when the speak button was pressed
+
+        function setSpeaking(value) {
+            speaking = value;
+            speakButton.setAttribute('aria-pressed', String(value));
+            setButtonLabel(speakButton, value ? 'Stop reading aloud' : 'Read the translation or selection aloud');
+            if (!value && supportsHighlights) {
+                CSS.highlights.delete('custom-speech');
+            }
+        }
+
+        function stopSpeaking() {
+            speechSession++;
+            speechSynthesis.cancel();
+            setSpeaking(false);
+        }
+
+        // A selection in the input text box, which only reports it while focused
+        function getInputSelection() {
+            const input = getBingElement('input');
+            if (input && document.activeElement === input && typeof input.value === 'string' && input.selectionEnd > input.selectionStart) {
+                return { text: input.value.slice(input.selectionStart, input.selectionEnd), language: getSelectedLanguage('sourceLanguage') };
+            }
+            return null;
+        }
+
+        // The text to read: a selection in the input or output if there is one, otherwise the
+        // whole output. Sentences in the output come with their offsets, for highlighting.
+        function getTextToSpeak() {
+            const output = getBingElement('output');
+            const input = getBingElement('input');
+            const inputSelection = pressedInputSelection || getInputSelection();
+            if (inputSelection) {
+                return inputSelection;
+            }
+            const selection = window.getSelection();
+            if (selection && !selection.isCollapsed && selection.rangeCount > 0 && selection.toString().trim()) {
+                const range = selection.getRangeAt(0);
+                if (output && output.contains(range.commonAncestorContainer)) {
+                    const start = getTextOffset(output, range.startContainer, range.startOffset);
+                    const end = getTextOffset(output, range.endContainer, range.endOffset);
+                    if (start !== null && end !== null) {
+                        return { text: (getTranslatedText() || '').slice(start, end), offset: start, element: output, language: getSelectedLanguage('targetLanguage') };
+                    }
+                }
+                const inInput = input && input.contains(range.commonAncestorContainer);
+                return { text: selection.toString(), language: getSelectedLanguage(inInput ? 'sourceLanguage' : 'targetLanguage') };
+            }
+            return { text: getTranslatedText() || '', offset: 0, element: output, language: getSelectedLanguage('targetLanguage') };
+        }
+
+        function highlightSentence(element, start, end) {
+            // Text boxes cannot be highlighted without moving the user's selection
+            if (!supportsHighlights || !element || typeof element.value === 'string') {
+                return;
+            }
+            const domRange = createRangeAtOffsets(element, start, end);
+            if (domRange) {
+                CSS.highlights.set('custom-speech', new Highlight(domRange));
+            }
+        }
+
+        async function startSpeaking() {
+            const target = getTextToSpeak();
+            const sentences = segmentSentences(target.text);
+            if (sentences.length === 0) {
+                notify('warning', 'Nothing to read aloud yet');
+                return;
+            }
+            const session = ++speechSession;
+            setSpeaking(true);
+            const languageCode = getLanguageCode(target.language);
+            const voice = languageCode ? pickSpeechVoice(await loadSpeechVoices(), languageCode) : null;
+            if (session !== speechSession) {
+                return; // Stopped while the voices loaded
+            }
+            if (!voice) {
+                notify('warning', `No voice for ${target.language || 'this language'}, using the default voice`);
+            }
+            speechSynthesis.cancel(); // Drop anything left queued by other pages or scripts
+            sentences.forEach((sentence, index) => {
+                const utterance = new SpeechSynthesisUtterance(sentence.text);
+                if (voice) {
+                    utterance.voice = voice;
+                    utterance.lang = voice.lang;
+                } else if (languageCode) {
+                    utterance.lang = languageCode;
+                }
+                utterance.rate = settings.speechRate;
+                utterance.pitch = settings.speechPitch;
+                utterance.addEventListener('start', () => {
+                    if (session === speechSession && target.element) {
+                        highlightSentence(target.element, target.offset + sentence.start, target.offset + sentence.end);
+                    }
+                });
+                if (index === sentences.length - 1) {
+                    utterance.addEventListener('end', () => {
+                        if (session === speechSession) {
+                            setSpeaking(false);
+                        }
+                    });
+                }
+                utterance.addEventListener('error', event => {
+                    if (session !== speechSession || event.error === 'interrupted' || event.error === 'canceled') {
+                        return;
+                    }
+                    logWarning('Speech synthesis failed: ', event.error);
+                    notify('error', `Could not read aloud: ${event.error}`);
+                    stopSpeaking();
+                });
+                speechSynthesis.speak(utterance);
+            });
+        }
+
+        function toggleSpeaking() {
+            if (!supportsSynthesis) {
+                notify('error', 'Read aloud is not available in this browser');
+            } else if (speaking) {
+                stopSpeaking();
+            } else {
+                startSpeaking().catch(err => {
+                    logError('Failed to read aloud: ', err);
+                    stopSpeaking();
+                });
+            }
+        }
+
+        function setDictating(value) {
+            dictateButton.setAttribute('aria-pressed', String(value));
+            setButtonLabel(dictateButton, value ? 'Stop dictation' : 'Dictate into the input');
+        }
+
+        function startDictation() {
+            const sourceLanguage = getSelectedLanguage('sourceLanguage').replace(/\s*\(detected\)$/i, '');
+            // With Auto-detect there is no language to give, so assume the user speaks the browser's
+            const languageCode = getLanguageCode(sourceLanguage) || navigator.language;
+            const baseText = getInputText() || '';
+            const separator = baseText && !/\s$/.test(baseText) ? ' ' : '';
+
+            recognition = new SpeechRecognitionApi();
+            recognition.lang = languageCode;
+            recognition.continuous = true;
+            recognition.interimResults = true;
+            recognition.addEventListener('result', event => {
+                // The results cover everything said since dictation started, interim ones last
+                const transcript = Array.from(event.results).map(result => result[0].transcript).join('').trim();
+                setInputText(baseText + (transcript ? separator + transcript : ''));
+            });
+            recognition.addEventListener('error', event => {
+                if (event.error === 'aborted') {
+                    return;
+                }
+                logWarning('Dictation failed: ', event.error);
+                if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+                    notify('error', 'Dictation needs microphone access');
+                } else if (event.error === 'no-speech') {
+                    notify('warning', 'No speech heard, dictation stopped');
+                } else {
+                    notify('error', `Dictation failed: ${event.error}`);
+                }
+            });
+            recognition.addEventListener('end', () => {
+                recognition = null;
+                setDictating(false);
+            });
+            try {
+                recognition.start();
+            } catch (err) {
+                logError('Failed to start dictation: ', err);
+                notify('error', 'Could not start dictation');
+                recognition = null;
+                return;
+            }
+            setDictating(true);
+            notify('success', `Dictating in ${getLanguageCode(sourceLanguage) ? sourceLanguage : languageCode}`);
+        }
+
+        function toggleDictation() {
+            if (!SpeechRecognitionApi) {
+                notify('error', 'Dictation is not available in this browser');
+            } else if (recognition) {
+                recognition.stop(); // Keeps what was heard; the end event resets the button
+            } else {
+                startDictation();
+            }
+        }
+
+        if (supportsSynthesis) {
+            setSpeaking(false);
+            // A new translation makes the sentences being read, and their highlight, stale
+            onBingEvent('output-changed', () => {
+                if (speaking) {
+                    stopSpeaking();
+                }
+            });
+        } else {
+            speakButton.disabled = true;
+            setButtonLabel(speakButton, 'Read aloud is not available in this browser');
+        }
+        if (SpeechRecognitionApi) {
+            setDictating(false);
+        } else {
+            dictateButton.disabled = true;
+            setButtonLabel(dictateButton, 'Dictation is not available in this browser');
+        }
+
+        // Pressing the button takes focus from the input and with it the selection, so note it first
+        speakButton.addEventListener('mousedown', () => {
+            pressedInputSelection = getInputSelection();
+        });
+        speakButton.addEventListener('click', () => {
+            toggleSpeaking();
+            pressedInputSelection = null;
+        });
+        dictateButton.addEventListener('click', toggleDictation);
+        registerCommand('readAloud', 'Read aloud / stop reading', 'Alt+KeyP', toggleSpeaking);
+        registerCommand('dictate', 'Start / stop dictation', 'Alt+KeyI', toggleDictation);
+
+        customTopBar.appendChild(speakButton);
+        customTopBar.appendChild(dictateButton);
+    }
+
+    // Colors of each theme, applied as CSS custom properties (--custom-<name>).
+    const THEMES = {
+        light: {
+            'page-background': '#ffffff',
+            'pane-background': '#ffffff',
+            'text-color': '#1b1b1b',
+            'muted-text-color': '#666666',
+            'bar-background': '#f0f0f0',
+            'button-background': '#dcdcdc',
+            'button-hover-background': '#cccccc',
+            'button-text-color': '#1b1b1b',
+            'button-border': 'none',
+            'pressed-background': '#b9cdef',
+            'border-color': '#cccccc',
+            'separator-color': '#eeeeee',
+            'panel-background': '#ffffff',
+            'panel-shadow': '0 4px 12px rgba(0, 0, 0, 0.15)',
+            'side-panel-shadow': '-4px 0 12px rgba(0, 0, 0, 0.1)',
+            'overlay-backdrop': 'rgba(0, 0, 0, 0.4)',
+            'hover-background': '#f5f5f5',
+            'kbd-background': '#f0f0f0',
+            'accent-color': 'rgb(105, 151, 224)',
+            'accent-text-color': '#2a5db0',
+            'error-color': '#b00020',
+            'error-background': '#fde0dd',
+            'star-color': '#e0a000',
+            'glossary-background': '#fff3b0',
+            'glossary-underline': '#e0a000',
+            'token-background': '#d7ecff',
+            'token-underline': '#2a7de1',
+            'warning-underline': '#e07000',
+            'review-source-background': '#e3edfb',
+            'review-counterpart-background': '#ffe58f',
+            'speech-highlight-background': '#c8f0d2',
+            'dropzone-border': '#aaaaaa'
+        },
+        dark: {
+            'page-background': '#1e1f22',
+            'pane-background': '#26282c',
+            'text-color': '#e3e3e3',
+            'muted-text-color': '#a0a0a0',
+            'bar-background': '#2b2d31',
+            'button-background': '#3a3d42',
+            'button-hover-background': '#4a4e55',
+            'button-text-color': '#e3e3e3',
+            'button-border': 'none',
+            'pressed-background': '#2d4a7a',
+            'border-color': '#4a4e55',
+            'separator-color': '#3a3d42',
+            'panel-background': '#2b2d31',
+            'panel-shadow': '0 4px 12px rgba(0, 0, 0, 0.5)',
+            'side-panel-shadow': '-4px 0 12px rgba(0, 0, 0, 0.4)',
+            'overlay-backdrop': 'rgba(0, 0, 0, 0.6)',
+            'hover-background': '#34373c',
+            'kbd-background': '#3a3d42',
+            'accent-color': 'rgb(125, 170, 240)',
+            'accent-text-color': '#8ab4f8',
+            'error-color': '#f28b82',
+            'error-background': '#5c2b29',
+            'star-color': '#fdd663',
+            'glossary-background': '#5c4d00',
+            'glossary-underline': '#fdd663',
+            'token-background': '#1f3b5c',
+            'token-underline': '#8ab4f8',
+            'warning-underline': '#ffb74d',
+            'review-source-background': '#2d3f5c',
+            'review-counterpart-background': '#6b5800',
+            'speech-highlight-background': '#1f5230',
+            'dropzone-border': '#6a6e75'
+        },
+        'high-contrast': {
+            'page-background': '#000000',
+            'pane-background': '#000000',
+            'text-color': '#ffffff',
+            'muted-text-color': '#ffffff',
+            'bar-background': '#000000',
+            'button-background': '#000000',
+            'button-hover-background': '#333333',
+            'button-text-color': '#ffff00',
+            'button-border': '2px solid #ffffff',
+            'pressed-background': '#004080',
+            'border-color': '#ffffff',
+            'separator-color': '#ffffff',
+            'panel-background': '#000000',
+            'panel-shadow': 'none',
+            'side-panel-shadow': 'none',
+            'overlay-backdrop': 'rgba(0, 0, 0, 0.8)',
+            'hover-background': '#333333',
+            'kbd-background': '#000000',
+            'accent-color': '#00ffff',
+            'accent-text-color': '#00ffff',
+            'error-color': '#ff6060',
+            'error-background': '#000000',
+            'star-color': '#ffff00',
+            'glossary-background': '#000000',
+            'glossary-underline': '#ffff00',
+            'token-background': '#000000',
+            'token-underline': '#00ffff',
+            'warning-underline': '#ff8000',
+            'review-source-background': '#003366',
+            'review-counterpart-background': '#806600',
+            'speech-highlight-background': '#006622',
+            'dropzone-border': '#ffffff'
+        }
+    };
+
+    // Labels for the theme choices, in the order the top-bar toggle cycles through them.
+    const THEME_LABELS = { auto: 'Automatic', light: 'Light', dark: 'Dark', 'high-contrast': 'High contrast' };
+
+    /**
+     * Formats a theme's colors as CSS custom property declarations.
+     * @param {string} themeName - A THEMES key.
+     * @returns {string} The declarations.
+     */
+    function getThemeDeclarations(themeName) {
+        const theme = THEMES[themeName];
+        return Object.keys(theme).map(name => `--custom-${name}: ${theme[name]};`).join(' ');
+    }
+
+    /**
+     * Applies the theme and text font from the settings to the page.
+     */
+    function applyThemeSettings() {
+        const root = document.documentElement;
+        if (THEMES[settings.theme]) {
+            root.setAttribute('data-custom-theme', settings.theme);
+        } else {
+            root.removeAttribute('data-custom-theme'); // Follow prefers-color-scheme
+        }
+        root.style.setProperty('--custom-text-font-size', `${settings.textFontSize}px`);
+        root.style.setProperty('--custom-text-font-family', settings.textFontFamily || 'inherit');
+
+        const themeButton = document.getElementById('custom_theme_button');
+        if (themeButton) {
+            setButtonLabel(themeButton, `Theme: ${THEME_LABELS[settings.theme] || THEME_LABELS.auto}`);
+        }
+    }
+
+    /**
+     * Adds a top-bar button cycling through the themes: automatic, light, dark and high contrast.
+     */
+    function createThemeToggle() {
+        const customTopBar = getCustomTopBar('place theme toggle');
+        if (!customTopBar) {
+            return;
+        }
+        const themeButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_theme_button',
+            className: 'custom_top_bar_button',
+            textContent: '\u25D0'
+        });
+
+        function cycleTheme() {
+            const themeNames = Object.keys(THEME_LABELS);
+            settings.theme = themeNames[(themeNames.indexOf(settings.theme) + 1) % themeNames.length];
+            saveSettings(settings);
+            applyThemeSettings();
+        }
+
+        themeButton.addEventListener('click', cycleTheme);
+        registerCommand('cycleTheme', 'Switch theme', null, cycleTheme);
+        customTopBar.appendChild(themeButton);
+        applyThemeSettings(); // Sets the button's title
+    }
+
+    const LAYOUT_STORAGE_KEY = 'bingTranslateOverhaul.layouts';
+
+    // Pane layouts, in the order the layout command cycles through them.
+    const LAYOUTS = { horizontal: 'Side by side', vertical: 'Stacked', focus: 'Output only' };
+
+    // Limits for the input pane's share of the space and for the text zoom.
+    const LAYOUT_SPLIT_RANGE = { min: 0.15, max: 0.85, step: 0.05 };
+    const LAYOUT_ZOOM_RANGE = { min: 0.5, max: 3, step: 0.1 };
+
+    // Windows narrower than this count as narrow, whatever their shape.
+    const LAYOUT_NARROW_WIDTH = 900;
+
+    // The layout is switched once the window has stopped resizing for this long.
+    const LAYOUT_RESIZE_DELAY = 200;
+
+    // Names of the window size classes that layout preferences are kept for.
+    const WINDOW_SIZE_LABELS = { wide: 'wide windows', portrait: 'portrait windows', narrow: 'narrow windows' };
+
+    // Re-applies the saved layout after it is replaced, once the layout manager exists.
+    let onLayoutsChanged = () => {};
+
+    /**
+     * Classifies the window size, so each kind of window keeps its own layout.
+     * @returns {string} A WINDOW_SIZE_LABELS key.
+     */
+    function getWindowSizeClass() {
+        if (window.innerWidth < LAYOUT_NARROW_WIDTH) {
+            return 'narrow';
+        }
+        return window.innerHeight > window.innerWidth ? 'portrait' : 'wide';
+    }
+
+    /**
+     * Loads the layout preferences saved for each window size class.
+     * @returns {Object} Size class -> { layout, split, zoom }.
+     */
+    function loadLayouts() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (err) {
+            logWarning('Could not read saved layouts.', err);
+            return {};
+        }
+    }
+
+    /**
+     * Returns the layout a window size class starts with: side by side for wide windows and
+     * stacked otherwise, with an even split and no zoom.
+     * @param {string} sizeClass - A WINDOW_SIZE_LABELS key.
+     * @returns {{layout: string, split: number, zoom: number}} The default preferences.
+     */
+    function getDefaultLayout(sizeClass) {
+        return { layout: sizeClass === 'wide' ? 'horizontal' : 'vertical', split: 0.5, zoom: 1 };
+    }
+
+    /**
+     * Checks stored or imported layout preferences: an unknown layout is replaced with the
+     * window size class's default, and the split and zoom are kept within their ranges.
+     * @param {string} sizeClass - A WINDOW_SIZE_LABELS key.
+     * @param {*} value - The preferences as stored or imported.
+     * @returns {{layout: string, split: number, zoom: number}} Preferences safe to apply.
+     */
+    function normalizeLayoutPreferences(sizeClass, value) {
+        const defaults = getDefaultLayout(sizeClass);
+        const preferences = value && typeof value === 'object' ? value : {};
+        return {
+            layout: LAYOUTS[preferences.layout] ? preferences.layout : defaults.layout,
+            split: clampSetting(preferences.split, LAYOUT_SPLIT_RANGE.min, LAYOUT_SPLIT_RANGE.max, defaults.split),
+            zoom: clampSetting(preferences.zoom, LAYOUT_ZOOM_RANGE.min, LAYOUT_ZOOM_RANGE.max, defaults.zoom)
+        };
+    }
+
+    /**
+     * Retrieves the layout preferences saved for a window size class, or its defaults.
+     * @param {string} sizeClass - A WINDOW_SIZE_LABELS key.
+     * @returns {{layout: string, split: number, zoom: number}} The layout preferences.
+     */
+    function getLayoutPreferences(sizeClass) {
+        return normalizeLayoutPreferences(sizeClass, loadLayouts()[sizeClass]);
+    }
+
+    /**
+     * Persists the layout preferences of a window size class.
+     * @param {string} sizeClass - A WINDOW_SIZE_LABELS key.
+     * @param {{layout: string, split: number, zoom: number}} preferences - The preferences.
+     */
+    function saveLayoutPreferences(sizeClass, preferences) {
+        const layouts = loadLayouts();
+        layouts[sizeClass] = preferences;
+        saveLayouts(layouts);
+    }
+
+    /**
+     * Persists the layout preferences of every window size class.
+     * @param {Object} layouts - Size class -> { layout, split, zoom }.
+     */
+    function saveLayouts(layouts) {
+        try {
+            localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(layouts));
+        } catch (err) {
+            logError('Failed to save layout: ', err);
+        }
+    }
+
+    /**
+     * Applies a layout to the page through the data-custom-layout attribute and the pane
+     * share and zoom custom properties.
+     * @param {{layout: string, split: number, zoom: number}} preferences - The layout to apply.
+     */
+    function applyLayout(preferences) {
+        const root = document.documentElement;
+        root.setAttribute('data-custom-layout', preferences.layout);
+        root.style.setProperty('--custom-input-share', String(preferences.split));
+        root.style.setProperty('--custom-output-share', String(Number((1 - preferences.split).toFixed(3))));
+        root.style.setProperty('--custom-text-zoom', String(preferences.zoom));
+    }
+
+    /**
+     * Creates the layout manager: a draggable splitter between the input and output panes, a
+     * top-bar panel to switch between side-by-side, stacked and output-only layouts and to zoom
+     * the text, and commands for both. Preferences are kept per window size class and switched
+     * when the window changes class.
+     */
+    function createLayoutManager() {
+        const customTopBar = getCustomTopBar('place layout button');
+        if (!customTopBar) {
+            return;
+        }
+
+        let sizeClass = getWindowSizeClass();
+        let preferences = getLayoutPreferences(sizeClass);
+
+        const splitter = buildElement('td', {
+            className: 'custom_splitter',
+            role: 'separator',
+            tabindex: '0',
+            'aria-label': 'Resize the input and output panes',
+            'aria-valuemin': String(LAYOUT_SPLIT_RANGE.min * 100),
+            'aria-valuemax': String(LAYOUT_SPLIT_RANGE.max * 100),
+            title: 'Drag to resize, double-click to reset'
+        });
+        const layoutInputs = Object.keys(LAYOUTS).map(name =>
+            buildElement('input', { type: 'radio', name: 'custom_layout', id: `custom_layout_${name}`, value: name }));
+        const zoomOutButton = buildElement('button', { type: 'button', className: 'custom_panel_button', title: 'Zoom out', 'aria-label': 'Zoom out', textContent: '\u2212' });
+        const zoomLevel = buildElement('output', { id: 'custom_layout_zoom', 'aria-live': 'polite' });
+        const zoomInButton = buildElement('button', { type: 'button', className: 'custom_panel_button', title: 'Zoom in', 'aria-label': 'Zoom in', textContent: '+' });
+        const resetButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Reset' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+
+        const panel = buildElement('div', { id: 'custom_layout_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Layout' }),
+            buildElement('fieldset', { className: 'custom_layout_choices' }, [buildElement('legend', { textContent: 'Panes' })]
+                .concat(layoutInputs.map(input => buildElement('label', { for: input.id }, [input, ` ${LAYOUTS[input.value]}`])))),
+            buildElement('div', { className: 'custom_layout_zoom_row' }, ['Text zoom ', zoomOutButton, zoomLevel, zoomInButton]),
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [resetButton, closeButton])
+        ]);
+
+        function render() {
+            layoutInputs.forEach(input => {
+                input.checked = input.value === preferences.layout;
+            });
+            zoomLevel.textContent = `${Math.round(preferences.zoom * 100)}%`;
+            zoomOutButton.disabled = preferences.zoom <= LAYOUT_ZOOM_RANGE.min;
+            zoomInButton.disabled = preferences.zoom >= LAYOUT_ZOOM_RANGE.max;
+            status.textContent = `Saved for ${WINDOW_SIZE_LABELS[sizeClass]}.`;
+            // A side-by-side layout is split by a vertical line, a stacked one by a horizontal line
+            splitter.setAttribute('aria-orientation', preferences.layout === 'vertical' ? 'horizontal' : 'vertical');
+            splitter.setAttribute('aria-valuenow', String(Math.round(preferences.split * 100)));
+        }
+
+        // Applies changed preferences; they are saved unless a drag is still under way
+        function update(changes, save = true) {
+            preferences = Object.assign({}, preferences, changes);
+            applyLayout(preferences);
+            if (save) {
+                saveLayoutPreferences(sizeClass, preferences);
+            }
+            render();
+        }
+
+        function clampSplit(split) {
+            return Number(Math.min(LAYOUT_SPLIT_RANGE.max, Math.max(LAYOUT_SPLIT_RANGE.min, split)).toFixed(3));
+        }
+
+        function setZoom(zoom) {
+            // Round to whole steps so repeated zooming does not collect floating-point noise
+            const rounded = Math.round(zoom / LAYOUT_ZOOM_RANGE.step) * LAYOUT_ZOOM_RANGE.step;
+            update({ zoom: Number(Math.min(LAYOUT_ZOOM_RANGE.max, Math.max(LAYOUT_ZOOM_RANGE.min, rounded)).toFixed(2)) });
+        }
+
+        function cycleLayout() {
+            const names = Object.keys(LAYOUTS);
+            const layout = names[(names.indexOf(preferences.layout) + 1) % names.length];
+            update({ layout });
+            notify('success', `Layout: ${LAYOUTS[layout]}`);
+        }
+
+        // Keeps the splitter between the two panes, including after Bing re-renders them
+        function placeSplitter() {
+            const outputCell = document.querySelector('td.tta_outcell');
+            if (outputCell && splitter.nextElementSibling !== outputCell) {
+                outputCell.parentNode.insertBefore(splitter, outputCell);
+            }
+        }
+
+        let dragging = false;
+        splitter.addEventListener('pointerdown', event => {
+            if (event.button !== 0) {
+                return;
+            }
+            event.preventDefault();
+            dragging = true;
+            splitter.setPointerCapture(event.pointerId);
+            splitter.classList.add('custom_splitter_dragging');
+        });
+        splitter.addEventListener('pointermove', event => {
+            if (!dragging) {
+                return;
+            }
+            const rowRect = splitter.parentNode.getBoundingClientRect();
+            const split = preferences.layout === 'vertical'
+                ? (event.clientY - rowRect.top) / rowRect.height
+                : (event.clientX - rowRect.left) / rowRect.width;
+            if (Number.isFinite(split)) {
+                update({ split: clampSplit(split) }, false);
+            }
+        });
+        function endDrag() {
+            if (dragging) {
+                dragging = false;
+                splitter.classList.remove('custom_splitter_dragging');
+                saveLayoutPreferences(sizeClass, preferences);
+            }
+        }
+        splitter.addEventListener('pointerup', endDrag);
+        splitter.addEventListener('pointercancel', endDrag);
+        splitter.addEventListener('dblclick', () => update({ split: 0.5 }));
+        splitter.addEventListener('keydown', event => {
+            const step = LAYOUT_SPLIT_RANGE.step;
+            const splits = {
+                ArrowLeft: preferences.split - step,
+                ArrowUp: preferences.split - step,
+                ArrowRight: preferences.split + step,
+                ArrowDown: preferences.split + step,
+                Home: LAYOUT_SPLIT_RANGE.min,
+                End: LAYOUT_SPLIT_RANGE.max
+            };
+            if (Object.prototype.hasOwnProperty.call(splits, event.key)) {
+                event.preventDefault();
+                update({ split: clampSplit(splits[event.key]) });
+            } else if (event.key === 'Enter') {
+                update({ split: 0.5 });
+            }
+        });
+
+        layoutInputs.forEach(input => input.addEventListener('change', () => update({ layout: input.value })));
+        zoomOutButton.addEventListener('click', () => setZoom(preferences.zoom - LAYOUT_ZOOM_RANGE.step));
+        zoomInButton.addEventListener('click', () => setZoom(preferences.zoom + LAYOUT_ZOOM_RANGE.step));
+        resetButton.addEventListener('click', () => update(getDefaultLayout(sizeClass)));
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                panel.hidden = true;
+            }
+        });
+
+        // Switch to the preferences of the new size class once a resize has settled
+        let resizeTimer = null;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimer);
+            resizeTimer = setTimeout(() => {
+                const newSizeClass = getWindowSizeClass();
+                if (newSizeClass !== sizeClass) {
+                    sizeClass = newSizeClass;
+                    preferences = getLayoutPreferences(sizeClass);
+                    applyLayout(preferences);
+                    render();
+                }
+            }, LAYOUT_RESIZE_DELAY);
+        });
+
+        onLayoutsChanged = () => {
+            preferences = getLayoutPreferences(sizeClass);
+            applyLayout(preferences);
+            render();
+        };
+
+        onBingEvent('element-bound', ({ name }) => {
+            if (name === 'input' || name === 'output') {
+                placeSplitter();
+            }
+        });
+
+        const layoutButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_layout_button',
+            className: 'custom_top_bar_button',
+            title: 'Layout and zoom',
+            'aria-label': 'Layout and zoom',
+            textContent: '\u229E'
+        });
+        layoutButton.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            if (!panel.hidden) {
+                render();
+                (layoutInputs.find(input => input.checked) || layoutInputs[0]).focus();
+            }
+        });
+        registerCommand('cycleLayout', 'Switch layout (side by side / stacked / output only)', 'Alt+KeyL', cycleLayout);
+        registerCommand('zoomIn', 'Zoom in on the text', 'Alt+Equal', () => setZoom(preferences.zoom + LAYOUT_ZOOM_RANGE.step));
+        registerCommand('zoomOut', 'Zoom out of the text', 'Alt+Minus', () => setZoom(preferences.zoom - LAYOUT_ZOOM_RANGE.step));
+        registerCommand('resetZoom', 'Reset text zoom', 'Alt+Digit0', () => setZoom(1));
+
+        applyLayout(preferences);
+        placeSplitter();
+        render();
+        customTopBar.appendChild(layoutButton);
+        document.body.appendChild(panel);
+    }
+
+    // Identifies export files of this script.
+    const EXPORT_FILE_FORMAT = 'bing-translate-ui-overhaul';
+
+    /**
+     * Checks that imported data is a JSON object, as opposed to an array or a plain value.
+     * @param {*} value - The parsed value.
+     * @param {string} description - What the object should hold, for the error message.
+     * @returns {Object} The value.
+     */
+    function requireObject(value, description) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`Expected a JSON object of ${description}.`);
+        }
+        return value;
+    }
+
+    /**
+     * Checks that imported data is a JSON array.
+     * @param {*} value - The parsed value.
+     * @param {string} description - What the array should hold, for the error message.
+     * @returns {Array} The value.
+     */
+    function requireArray(value, description) {
+        if (!Array.isArray(value)) {
+            throw new Error(`Expected a JSON array of ${description}.`);
+        }
+        return value;
+    }
+
+    /**
+     * Keeps a number within its range, using the default for anything that is not a number.
+     * @param {number} value - The number.
+     * @param {number} min - The smallest allowed value.
+     * @param {number} max - The largest allowed value.
+     * @param {number} fallback - Used when the value is not a finite number.
+     * @returns {number} The number in range.
+     */
+    function clampSetting(value, min, max, fallback) {
+        return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    }
+
+    // Checks of imported settings beyond having the default's kind, by setting name. Each returns
+    // the value to keep, repaired where it can be, or undefined to keep the default instead.
+    const SETTING_VALIDATORS = {
+        shortcuts: value => {
+            // null unbinds a command; anything else must be a chord string
+            const shortcuts = {};
+            Object.entries(value).forEach(([id, chord]) => {
+                if (chord === null || (typeof chord === 'string' && chord.trim())) {
+                    shortcuts[id] = chord;
+                }
+            });
+            return shortcuts;
+        },
+        theme: value => (value === 'auto' || Object.prototype.hasOwnProperty.call(THEMES, value) ? value : undefined),
+        textFontSize: value => clampSetting(Math.round(value), 10, 72, DEFAULT_SETTINGS.textFontSize),
+        multiTargetLanguages: value => value.filter(language => typeof language === 'string' && language.trim()),
+        mutedNotifications: value => value.filter(category => Object.prototype.hasOwnProperty.call(NOTIFICATION_CATEGORIES, category)),
+        speechRate: value => clampSetting(value, 0.5, 2, DEFAULT_SETTINGS.speechRate),
+        speechPitch: value => clampSetting(value, 0, 2, DEFAULT_SETTINGS.speechPitch),
+        outputProcessors: value => {
+            // Only known processors, each with a language -> enabled map of booleans
+            const overrides = {};
+            OUTPUT_PROCESSORS.filter(processor => value[processor.id] && typeof value[processor.id] === 'object').forEach(processor => {
+                const languages = {};
+                Object.entries(value[processor.id]).forEach(([language, enabled]) => {
+                    if (typeof enabled === 'boolean') {
+                        languages[language] = enabled;
+                    }
+                });
+                if (Object.keys(languages).length > 0) {
+                    overrides[processor.id] = languages;
+                }
+            });
+            return overrides;
+        }
+    };
+
+    // The data included in exports, by storage name: how to describe, check, read and replace it.
+    // normalize() throws on data of the wrong shape and drops entries it cannot use.
+    const EXPORTED_DATA = {
+        settings: {
+            label: 'Preferences and shortcuts',
+            normalize: value => {
+                const imported = requireObject(value, 'settings');
+                const normalized = {};
+                // Keep known settings whose value has the same kind as the default and passes its validator
+                Object.keys(DEFAULT_SETTINGS).filter(name => name in imported).forEach(name => {
+                    const fallback = DEFAULT_SETTINGS[name];
+                    const candidate = imported[name];
+                    const sameKind = Array.isArray(fallback)
+                        ? Array.isArray(candidate)
+                        : typeof candidate === typeof fallback && candidate !== null && !Array.isArray(candidate);
+                    if (!sameKind) {
+                        return;
+                    }
+                    const validated = SETTING_VALIDATORS[name] ? SETTING_VALIDATORS[name](candidate) : candidate;
+                    if (validated !== undefined) {
+                        normalized[name] = validated;
+                    }
+                });
+                return Object.assign({}, DEFAULT_SETTINGS, normalized);
+            },
+            load: () => settings,
+            save: value => {
+                settings = value;
+                saveSettings(settings);
+                applyThemeSettings();
+                setDefaultLanguages();
+                selectTone(settings.tone);
+            }
+        },
+        history: {
+            label: 'Translation history',
+            unit: 'translation(s)',
+            normalize: normalizeHistoryEntries,
+            load: loadHistory,
+            save: saveHistory
+        },
+        glossary: {
+            label: 'Glossary',
+            unit: 'language pair(s)',
+            normalize: validateGlossary,
+            load: loadGlossary,
+            save: saveGlossary
+        },
+        outputRules: {
+            label: 'Custom output rules',
+            unit: 'rule(s)',
+            normalize: value => requireArray(value, 'output rules').filter(rule => {
+                if (!rule || typeof rule.pattern !== 'string' || typeof rule.flags !== 'string' || typeof rule.replacement !== 'string') {
+                    return false;
+                }
+                try {
+                    new RegExp(rule.pattern, rule.flags);
+                    return true;
+                } catch (err) {
+                    return false;
+                }
+            }),
+            load: loadOutputRules,
+            save: saveOutputRules
+        },
+        postEdits: {
+            label: 'Remembered corrections',
+            unit: 'language pair(s)',
+            normalize: value => {
+                const postEdits = {};
+                Object.entries(requireObject(value, 'corrections keyed by language pair')).forEach(([pairKey, entries]) => {
+                    const valid = (Array.isArray(entries) ? entries : [])
+                        .filter(entry => entry && typeof entry.machineOutput === 'string' && typeof entry.text === 'string')
+                        .slice(0, POST_EDIT_MAX_PER_PAIR);
+                    if (valid.length > 0) {
+                        postEdits[pairKey] = valid;
+                    }
+                });
+                return postEdits;
+            },
+            load: loadPostEdits,
+            save: savePostEdits
+        },
+        layouts: {
+            label: 'Layouts',
+            unit: 'window size(s)',
+            normalize: value => {
+                const layouts = {};
+                const imported = requireObject(value, 'layouts keyed by window size');
+                Object.keys(WINDOW_SIZE_LABELS).filter(sizeClass => imported[sizeClass]).forEach(sizeClass => {
+                    layouts[sizeClass] = normalizeLayoutPreferences(sizeClass, imported[sizeClass]);
+                });
+                return layouts;
+            },
+            load: loadLayouts,
+            save: value => {
+                saveLayouts(value);
+                onLayoutsChanged();
+            }
+        },
+        recentCommands: {
+            label: 'Recent commands',
+            unit: 'command(s)',
+            normalize: value => requireArray(value, 'command ids').filter(id => typeof id === 'string').slice(0, RECENT_COMMANDS_MAX),
+            load: loadRecentCommands,
+            save: saveRecentCommands
+        },
+        translationMemory: {
+            label: 'Translation memory',
+            unit: 'sentence pair(s)',
+            merges: true, // Can be large, so imports add to it rather than replace it
+            normalize: value => requireArray(value, 'memory entries')
+                .filter(entry => entry && ['pairKey', 'tone', 'source', 'target'].every(field => typeof entry[field] === 'string'))
+                .map(entry => ({
+                    pairKey: entry.pairKey,
+                    tone: entry.tone,
+                    source: entry.source,
+                    target: entry.target,
+                    createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : Date.now()
+                })),
+            load: () => getMemoryEntries().catch(err => {
+                logWarning('Could not read the translation memory.', err);
+                return [];
+            }),
+            save: importMemoryUnits
+        }
+    };
+
+    /**
+     * Collects all of the script's data in the export file format.
+     * @returns {Promise<Object>} The export, with the schema version it was made with.
+     */
+    function buildDataExport() {
+        const names = Object.keys(EXPORTED_DATA);
+        return Promise.all(names.map(name => EXPORTED_DATA[name].load())).then(values => {
+            const data = {};
+            names.forEach((name, index) => {
+                data[name] = values[index];
+            });
+            return { format: EXPORT_FILE_FORMAT, schemaVersion: STORAGE_SCHEMA_VERSION, exportedAt: new Date().toISOString(), data };
+        });
+    }
+
+    /**
+     * Validates an export file and brings its data up to the current schema version.
+     * @param {string} text - The file content.
+     * @returns {{data: Object, skipped: string[]}} The normalized data by storage name, and the
+     *          names of any data this version of the script does not know.
+     */
+    function parseDataImport(text) {
+        const file = requireObject(JSON.parse(text), 'exported data');
+        if (file.format !== EXPORT_FILE_FORMAT) {
+            throw new Error('This is not a Bing Translate UI Overhaul export.');
+        }
+        if (!Number.isInteger(file.schemaVersion) || file.schemaVersion < 0) {
+            throw new Error('The export has no valid schema version.');
+        }
+        if (file.schemaVersion > STORAGE_SCHEMA_VERSION) {
+            throw new Error('The export was made by a newer version of the script. Update the script to import it.');
+        }
+        const migrated = migrateStoredData(requireObject(file.data, 'data'), file.schemaVersion);
+        const data = {};
+        const skipped = [];
+        Object.keys(migrated).forEach(name => {
+            if (!EXPORTED_DATA[name]) {
+                skipped.push(name);
+                return;
+            }
+            try {
+                data[name] = EXPORTED_DATA[name].normalize(migrated[name]);
+            } catch (err) {
+                throw new Error(`${EXPORTED_DATA[name].label}: ${err.message}`);
+            }
+        });
+        return { data, skipped };
+    }
+
+    /**
+     * Counts the entries of stored data, for data kept as a list or a keyed object.
+     * @param {Array|Object} value - The data.
+     * @returns {number} The number of entries.
+     */
+    function countEntries(value) {
+        return Array.isArray(value) ? value.length : Object.keys(value).length;
+    }
+
+    /**
+     * Describes what importing data would change compared to what is stored now.
+     * @param {string} name - The storage name, an EXPORTED_DATA key.
+     * @param {*} current - The stored data.
+     * @param {*} incoming - The normalized imported data.
+     * @returns {string} A one-line summary, "No changes" when they are the same.
+     */
+    function describeImportChanges(name, current, incoming) {
+        const type = EXPORTED_DATA[name];
+        if (!type.unit) {
+            // Settings: list each one that would change
+            const formatValue = value => {
+                const text = JSON.stringify(value);
+                return text.length > 40 ? `${text.slice(0, 39)}\u2026` : text;
+            };
+            const changed = Object.keys(incoming).filter(setting => JSON.stringify(current[setting]) !== JSON.stringify(incoming[setting]));
+            return changed.length === 0
+                ? 'No changes'
+                : changed.map(setting => `${setting}: ${formatValue(current[setting])} \u2192 ${formatValue(incoming[setting])}`).join('; ');
+        }
+        if (type.merges) {
+            return countEntries(incoming) === 0
+                ? 'No changes'
+                : `Adds or updates ${countEntries(incoming)} ${type.unit}, keeping the rest of the ${countEntries(current)} stored`;
+        }
+        if (JSON.stringify(current) === JSON.stringify(incoming)) {
+            return 'No changes';
+        }
+        return `Replaces the current ${countEntries(current)} ${type.unit} with ${countEntries(incoming)}`;
+    }
+
+    /**
+     * Creates the data panel and its top-bar button, to export all of the script's data to one
+     * JSON file and to import such a file. Imports are validated and their changes previewed,
+     * per kind of data, before anything is replaced.
+     */
+    function createDataTransferPanel() {
+        const customTopBar = getCustomTopBar('place data button');
+        if (!customTopBar) {
+            return;
+        }
+
+        const preview = buildElement('ul', { className: 'custom_data_preview', hidden: '' });
+        const status = buildElement('p', { className: 'custom_panel_status' });
+        const exportButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Export all data' });
+        const importButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Import\u2026' });
+        const applyButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Apply import', hidden: '' });
+        const closeButton = buildElement('button', { type: 'button', className: 'custom_panel_button', textContent: 'Close' });
+
+        const panel = buildElement('div', { id: 'custom_data_panel', className: 'custom_popup_panel', hidden: '' }, [
+            buildElement('h2', { textContent: 'Export and import' }),
+            buildElement('p', { textContent: 'Share preferences, shortcuts, glossaries and other saved lists as one JSON file.' }),
+            preview,
+            status,
+            buildElement('div', { className: 'custom_panel_actions' }, [exportButton, importButton, applyButton, closeButton])
+        ]);
+
+        // The validated data waiting to be applied, by storage name
+        let pendingImport = null;
+
+        function clearPreview() {
+            pendingImport = null;
+            preview.replaceChildren();
+            preview.hidden = true;
+            applyButton.hidden = true;
+        }
+
+        function openPanel() {
+            clearPreview();
+            status.textContent = '';
+            panel.hidden = false;
+            exportButton.focus();
+        }
+
+        function closePanel() {
+            clearPreview();
+            panel.hidden = true;
+        }
+
+        function exportAllData() {
+            buildDataExport().then(exported => {
+                downloadFile('bing-translate-overhaul-data.json', JSON.stringify(exported, null, 2), 'application/json');
+                status.textContent = 'Exported.';
+            }).catch(err => {
+                logError('Failed to export data: ', err);
+                status.textContent = `Export failed: ${err.message}`;
+            });
+        }
+
+        function showPreview(imported) {
+            const names = Object.keys(imported.data);
+            return Promise.all(names.map(name => EXPORTED_DATA[name].load())).then(currentValues => {
+                pendingImport = imported.data;
+                preview.replaceChildren(...names.map((name, index) => {
+                    const summary = describeImportChanges(name, currentValues[index], imported.data[name]);
+                    const toggle = buildElement('input', { type: 'checkbox', id: `custom_data_import_${name}`, value: name });
+                    toggle.checked = summary !== 'No changes';
+                    return buildElement('li', {}, [
+                        buildElement('label', { for: toggle.id }, [toggle, ` ${EXPORTED_DATA[name].label}`]),
+                        buildElement('small', { textContent: summary })
+                    ]);
+                }));
+                preview.hidden = false;
+                applyButton.hidden = false;
+                const notes = ['Check what to import, then apply.'];
+                if (imported.skipped.length > 0) {
+                    notes.push(`Ignored unknown data: ${imported.skipped.join(', ')}.`);
+                }
+                status.textContent = notes.join(' ');
+                applyButton.focus();
+            });
+        }
+
+        function applyImport() {
+            const names = Array.from(preview.querySelectorAll('input:checked')).map(toggle => toggle.value);
+            const data = pendingImport;
+            clearPreview();
+            // One kind at a time, so a failure leaves the rest as they were
+            names.reduce((done, name) => done.then(() => EXPORTED_DATA[name].save(data[name])), Promise.resolve()).then(() => {
+                status.textContent = names.length > 0
+                    ? `Imported ${names.map(name => EXPORTED_DATA[name].label.toLowerCase()).join(', ')}.`
+                    : 'Nothing was imported.';
+            }).catch(err => {
+                logError('Failed to import data: ', err);
+                status.textContent = `Import failed: ${err.message}`;
+            });
+        }
+
+        exportButton.addEventListener('click', exportAllData);
+        importButton.addEventListener('click', () => {
+            clearPreview();
+            pickTextFile('.json,application/json').then(file => showPreview(parseDataImport(file.text))).catch(err => {
+                if (isFileDialogCancelled(err)) {
+                    return;
+                }
+                logError('Failed to read the import: ', err);
+                status.textContent = `Import failed: ${err.message}`;
+            });
+        });
+        applyButton.addEventListener('click', applyImport);
+        closeButton.addEventListener('click', closePanel);
+        panel.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                closePanel();
+            }
+        });
+
+        const dataButton = buildElement('button', {
+            type: 'button',
+            id: 'custom_data_button',
+            className: 'custom_top_bar_button',
+            title: 'Export and import data',
+            'aria-label': 'Export and import data',
+            textContent: '\u21C5'
+        });
+        function togglePanel() {
+            if (panel.hidden) {
+                openPanel();
+            } else {
+                closePanel();
+            }
+        }
+        dataButton.addEventListener('click', togglePanel);
+        registerCommand('toggleDataTransfer', 'Show / hide export and import', null, togglePanel);
+        registerCommand('exportAllData', 'Export all data', null, exportAllData);
+
+        customTopBar.appendChild(dataButton);
+        document.body.appendChild(panel);
     }
 
-
     /**
      * Applies custom CSS styles to the Bing Translate page.
      */
@@ -428,11 +7021,52 @@
         const style = document.createElement('style');
         style.type = 'text/css';
         style.innerHTML = `
-            /* Hide Bing's default header, specific navigation bar, footer, and phrasebook for a cleaner interface */
-            #theader, nav, .t_navlinkitem, #b_footerItems, #tta_phrasebook {
+            /* Theme colors: light by default, dark when the system prefers it, or the theme picked by the user */
+            :root {
+                ${getThemeDeclarations('light')}
+                --custom-text-font-size: 24px;
+                --custom-text-font-family: inherit;
+                --custom-input-share: 0.5;
+                --custom-output-share: 0.5;
+                --custom-text-zoom: 1;
+            }
+            @media (prefers-color-scheme: dark) {
+                :root:not([data-custom-theme]) {
+                    ${getThemeDeclarations('dark')}
+                }
+            }
+            ${Object.keys(THEMES).map(name => `:root[data-custom-theme="${name}"] { ${getThemeDeclarations(name)} }`).join('\n            ')}
+
+            /* Hide Bing's footer and phrasebook for a cleaner interface */
+            #b_footerItems, #tta_phrasebook {
                 display: none !important;
             }
 
+            /* Bing's header and navigation are collapsed out of sight but stay in the tab order and
+               the accessibility tree; they show over the top bar while focus is inside them */
+            #theader:not(:focus-within),
+            nav:not(#theader nav):not(:focus-within),
+            .t_navlinkitem:not(#theader .t_navlinkitem):not(nav .t_navlinkitem):not(:focus-within) {
+                position: absolute !important;
+                width: 1px !important;
+                height: 1px !important;
+                margin: -1px !important;
+                padding: 0 !important;
+                overflow: hidden !important;
+                clip: rect(0 0 0 0) !important;
+                white-space: nowrap !important;
+                border: 0 !important;
+            }
+            #theader:focus-within, nav:not(#theader nav):focus-within {
+                position: fixed !important;
+                top: 0 !important;
+                left: 0 !important;
+                right: 0 !important;
+                z-index: 10004 !important;
+                background-color: var(--custom-panel-background) !important;
+                box-shadow: var(--custom-panel-shadow) !important;
+            }
+
             /* Global layout for full screen and proper flex stacking */
             html, body {
                 width: 100% !important;
@@ -449,7 +7083,7 @@
             #custom_top_bar {
                 width: 100% !important;
                 height: 50px !important; /* Define height for the bar */
-                background-color: #f0f0f0 !important; /* Light grey background */
+                background-color: var(--custom-bar-background) !important;
                 display: flex !important;
                 align-items: center !important; /* Vertically center content */
                 justify-content: center !important; /* Center the copy button horizontally */
@@ -485,26 +7119,102 @@
                 display: flex !important; /* Make table a flex container */
                 flex-direction: column !important; /* Stack tbody vertically */
             }
-            table.tta_tbl > tbody {
-                flex: 1 !important; /* Take remaining space in flex column layout */
-                display: flex !important; /* Make tbody a flex container */
-                flex-direction: column !important; /* Stack tr vertically */
+            table.tta_tbl > tbody {
+                flex: 1 !important; /* Take remaining space in flex column layout */
+                display: flex !important; /* Make tbody a flex container */
+                flex-direction: column !important; /* Stack tr vertically */
+            }
+            tr.tta_tableRow, table.tta_tbl > tbody > tr {
+                width: 100% !important;
+                height: 100% !important; /* Rows should fill table height */
+                display: flex !important; /* Make tr a flex container */
+                flex: 1 !important; /* Allows cells to stretch in height */
+            }
+
+            /* Input and output cells share the row as the layout manager's splitter sets, at full height */
+            td.tta_incell, td.tta_outcell {
+                flex-basis: 0 !important;
+                flex-shrink: 1 !important;
+                height: 100% !important; /* Take full height of parent row */
+                padding: 5px !important;
+                box-sizing: border-box;
+                vertical-align: top !important;
+                min-width: 0 !important; /* Ensure they can shrink horizontally */
+            }
+            td.tta_incell {
+                flex-grow: var(--custom-input-share) !important;
+            }
+            td.tta_outcell {
+                flex-grow: var(--custom-output-share) !important;
+            }
+
+            /* Stacked layout: input above output */
+            :root[data-custom-layout="vertical"] tr.tta_tableRow, :root[data-custom-layout="vertical"] table.tta_tbl > tbody > tr {
+                flex-direction: column !important;
+            }
+            :root[data-custom-layout="vertical"] td.tta_incell, :root[data-custom-layout="vertical"] td.tta_outcell {
+                width: 100% !important;
+                height: auto !important;
+                min-height: 0 !important;
+            }
+
+            /* Output-only layout */
+            :root[data-custom-layout="focus"] td.tta_incell, :root[data-custom-layout="focus"] .custom_splitter {
+                display: none !important;
+            }
+            :root[data-custom-layout="focus"] td.tta_outcell {
+                flex-grow: 1 !important;
+            }
+
+            /* Splitter between the input and output cells */
+            .custom_splitter {
+                flex: 0 0 8px !important;
+                padding: 0 !important;
+                cursor: col-resize !important;
+                background-color: var(--custom-separator-color) !important;
+                touch-action: none !important; /* Dragging must not scroll the page */
+            }
+            :root[data-custom-layout="vertical"] .custom_splitter {
+                cursor: row-resize !important;
+                width: 100% !important;
+            }
+            .custom_splitter:hover, .custom_splitter:focus-visible, .custom_splitter_dragging {
+                background-color: var(--custom-accent-color) !important;
+                outline: none !important;
+            }
+            .custom_processors_list, .custom_data_preview {
+                list-style: none !important;
+                margin: 0 !important;
+                padding: 0 !important;
+                display: flex !important;
+                flex-direction: column !important;
+                gap: 6px !important;
+            }
+            .custom_data_preview[hidden] {
+                display: none !important;
             }
-            tr.tta_tableRow, table.tta_tbl > tbody > tr {
-                width: 100% !important;
-                height: 100% !important; /* Rows should fill table height */
-                display: flex !important; /* Make tr a flex container */
-                flex: 1 !important; /* Allows cells to stretch in height */
+            .custom_processors_list small, .custom_data_preview small {
+                display: block !important;
+                margin-left: 22px !important;
+                color: var(--custom-muted-text-color) !important;
             }
-
-            /* Input and output cells should each take 50% width and full height */
-            td.tta_incell, td.tta_outcell {
-                flex: 1 !important; /* Take equal remaining horizontal space */
-                height: 100% !important; /* Take full height of parent row */
-                padding: 5px !important;
-                box-sizing: border-box;
-                vertical-align: top !important;
-                min-width: 0 !important; /* Ensure they can shrink horizontally */
+            #custom_processors_rules {
+                font-family: monospace !important;
+            }
+            .custom_layout_choices {
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 4px !important;
+                display: flex !important;
+                gap: 12px !important;
+            }
+            .custom_layout_zoom_row {
+                display: flex !important;
+                align-items: center !important;
+                gap: 8px !important;
+            }
+            #custom_layout_zoom {
+                min-width: 48px !important;
+                text-align: center !important;
             }
 
             /* Flexbox for input/output containers to manage height */
@@ -521,9 +7231,18 @@
                 min-width: 0 !important; /* Ensure they can shrink horizontally */
             }
 
+            /* Page and pane colors follow the theme */
+            html, body, #tta_in, #tta_out, td.tta_incell, td.tta_outcell, .tta_inputbox, .tta_outputbox {
+                background-color: var(--custom-page-background) !important;
+                color: var(--custom-text-color) !important;
+            }
+
             /* Text areas (input and output) to fill available space dynamically */
             #tta_input_ta, #tta_output_ta {
-                font-size: 24px !important;
+                font-size: calc(var(--custom-text-font-size) * var(--custom-text-zoom)) !important;
+                font-family: var(--custom-text-font-family) !important;
+                background-color: var(--custom-pane-background) !important;
+                color: var(--custom-text-color) !important;
                 flex: 1 !important; /* Allow them to grow and shrink dynamically */
                 height: 100% !important; /* Take full height within their flex parent */
                 width: 100% !important;
@@ -553,7 +7272,7 @@
                 position: relative !important; /* Positioned within its flex parent (custom_top_bar) */
                 top: unset !important; /* Remove fixed positioning */
                 left: unset !important;
-                background-color: #dcdcdc !important; /* Light grey */
+                background-color: var(--custom-button-background) !important;
                 width: 48px !important; /* Adjusted size for top bar */
                 height: 48px !important;
                 padding: 8px !important;
@@ -565,13 +7284,736 @@
                 justify-content: center !important;
                 cursor: pointer !important;
             }
+            #fixed_tta_copyIcon {
+                border: var(--custom-button-border) !important;
+                color: inherit !important;
+                font: inherit !important;
+            }
             #fixed_tta_copyIcon:hover {
-                background-color: #cccccc !important; /* Slightly darker on hover */
+                background-color: var(--custom-button-hover-background) !important;
             }
             #fixed_tta_copyIcon svg {
                 width: 32px !important; /* Adjusted icon size to fit the smaller button */
                 height: 32px !important;
-                fill: rgb(105, 151, 224) !important; /* New blue color for the icon */
+                fill: var(--custom-accent-color) !important;
+            }
+
+            /* Additional buttons in the custom top bar */
+            #custom_top_bar {
+                gap: 8px !important;
+            }
+            .custom_top_bar_button {
+                background-color: var(--custom-button-background) !important;
+                color: var(--custom-button-text-color) !important;
+                border: var(--custom-button-border) !important;
+                border-radius: 4px !important;
+                height: 48px !important;
+                min-width: 48px !important;
+                padding: 0 12px !important;
+                font-size: 20px !important;
+                cursor: pointer !important;
+                flex-shrink: 0 !important;
+            }
+            .custom_top_bar_button:hover {
+                background-color: var(--custom-button-hover-background) !important;
+            }
+
+            /* A visible keyboard focus ring on everything the overhaul adds, and on Bing's text boxes */
+            #custom_top_bar button:focus-visible, .custom_popup_panel :focus-visible, #custom_settings_panel :focus-visible,
+            .custom_shortcut_dialog :focus-visible, #custom_history_panel :focus-visible, #custom_memory_panel :focus-visible,
+            #custom_copy_menu :focus-visible, .custom_batch_dropzone:focus-visible,
+            #tta_input_ta:focus-visible, #tta_output_ta:focus-visible {
+                outline: 3px solid var(--custom-accent-color) !important;
+                outline-offset: 2px !important;
+            }
+
+            /* Toasts, stacked below the right end of the top bar */
+            #custom_top_bar {
+                position: relative !important;
+            }
+            #custom_notifications {
+                position: absolute !important;
+                top: 56px !important;
+                right: 15px !important;
+                z-index: 10003 !important;
+                display: flex !important;
+                flex-direction: column !important;
+                align-items: flex-end !important;
+                gap: 6px !important;
+                pointer-events: none !important; /* Only the toasts themselves take clicks */
+            }
+            .custom_notification {
+                display: flex !important;
+                align-items: center !important;
+                gap: 8px !important;
+                max-width: 360px !important;
+                padding: 8px 10px !important;
+                border-radius: 4px !important;
+                border-left: 4px solid var(--custom-accent-color) !important;
+                background-color: var(--custom-panel-background) !important;
+                color: var(--custom-text-color) !important;
+                box-shadow: var(--custom-panel-shadow) !important;
+                font-size: 14px !important;
+                pointer-events: auto !important;
+            }
+            .custom_notification_warning {
+                border-left-color: var(--custom-warning-underline) !important;
+            }
+            .custom_notification_error {
+                border-left-color: var(--custom-error-color) !important;
+                background-color: var(--custom-error-background) !important;
+            }
+            .custom_notification_dismiss {
+                background: none !important;
+                border: none !important;
+                color: inherit !important;
+                font-size: 16px !important;
+                cursor: pointer !important;
+                padding: 0 4px !important;
+            }
+            .custom_settings_notifications {
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 4px !important;
+                display: flex !important;
+                flex-direction: column !important;
+                gap: 4px !important;
+            }
+            #custom_settings_panel .custom_settings_notifications input {
+                margin: 0 4px 0 0 !important;
+            }
+
+            /* Skip link: first in the tab order, shown only while focused */
+            #custom_skip_link:not(:focus) {
+                position: absolute !important;
+                width: 1px !important;
+                height: 1px !important;
+                overflow: hidden !important;
+                clip: rect(0 0 0 0) !important;
+            }
+            #custom_skip_link:focus {
+                position: fixed !important;
+                top: 8px !important;
+                left: 8px !important;
+                z-index: 10005 !important;
+                padding: 6px 10px !important;
+                background-color: var(--custom-panel-background) !important;
+                color: var(--custom-accent-text-color) !important;
+                box-shadow: var(--custom-panel-shadow) !important;
+            }
+
+            /* Read by screen readers but not shown */
+            .custom_visually_hidden {
+                position: absolute !important;
+                width: 1px !important;
+                height: 1px !important;
+                margin: -1px !important;
+                padding: 0 !important;
+                overflow: hidden !important;
+                clip: rect(0 0 0 0) !important;
+                white-space: nowrap !important;
+                border: 0 !important;
+            }
+
+            /* Panels, dialogs and their form controls follow the theme */
+            #custom_settings_panel, .custom_shortcut_dialog, #custom_history_panel, .custom_popup_panel, #custom_copy_menu {
+                color: var(--custom-text-color) !important;
+            }
+            #custom_settings_panel input, #custom_settings_panel select,
+            #custom_history_panel input, .custom_popup_panel input, .custom_popup_panel select, .custom_popup_panel textarea {
+                background-color: var(--custom-pane-background) !important;
+                color: var(--custom-text-color) !important;
+                border: 1px solid var(--custom-border-color) !important;
+            }
+            .custom_panel_button, .custom_history_star, .custom_history_delete {
+                color: var(--custom-button-text-color) !important;
+            }
+
+            /* Settings panel, shown below the custom top bar */
+            #custom_settings_panel {
+                position: fixed !important;
+                top: 56px !important;
+                right: 15px !important;
+                z-index: 10000 !important;
+                width: 320px !important;
+                max-height: calc(100% - 72px) !important;
+                overflow-y: auto !important;
+                background-color: var(--custom-panel-background) !important;
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 4px !important;
+                box-shadow: var(--custom-panel-shadow) !important;
+                padding: 15px !important;
+                box-sizing: border-box;
+                display: flex !important;
+                flex-direction: column !important;
+                gap: 6px !important;
+                font-size: 14px !important;
+            }
+            #custom_settings_panel[hidden] {
+                display: none !important;
+            }
+            #custom_settings_panel h2 {
+                font-size: 18px !important;
+                margin: 0 0 6px 0 !important;
+            }
+            #custom_settings_panel input, #custom_settings_panel select {
+                font-size: 14px !important;
+                padding: 4px !important;
+                margin-bottom: 6px !important;
+            }
+            .custom_panel_actions {
+                display: flex !important;
+                justify-content: flex-end !important;
+                gap: 8px !important;
+            }
+            .custom_panel_button {
+                background-color: var(--custom-button-background) !important;
+                border: var(--custom-button-border) !important;
+                border-radius: 4px !important;
+                padding: 6px 14px !important;
+                cursor: pointer !important;
+            }
+            .custom_panel_button:hover {
+                background-color: var(--custom-button-hover-background) !important;
+            }
+
+            /* Keyboard shortcut overlay, centered over a dimmed page */
+            #custom_shortcut_overlay {
+                position: fixed !important;
+                inset: 0 !important;
+                z-index: 10001 !important;
+                background-color: var(--custom-overlay-backdrop) !important;
+                display: flex !important;
+                align-items: center !important;
+                justify-content: center !important;
+            }
+            #custom_shortcut_overlay[hidden], #custom_command_palette[hidden] {
+                display: none !important;
+            }
+
+            /* Command palette, near the top of a dimmed page */
+            #custom_command_palette {
+                position: fixed !important;
+                inset: 0 !important;
+                z-index: 10002 !important;
+                background-color: var(--custom-overlay-backdrop) !important;
+                display: flex !important;
+                align-items: flex-start !important;
+                justify-content: center !important;
+                padding-top: 12vh !important;
+            }
+            #custom_command_palette .custom_shortcut_dialog {
+                width: 560px !important;
+                max-width: calc(100% - 30px) !important;
+                padding: 8px !important;
+            }
+            #custom_command_palette_input {
+                width: 100% !important;
+                box-sizing: border-box !important;
+                font-size: 16px !important;
+                padding: 8px !important;
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 4px !important;
+                background-color: var(--custom-pane-background) !important;
+                color: var(--custom-text-color) !important;
+            }
+            #custom_command_palette_list {
+                list-style: none !important;
+                margin: 6px 0 0 0 !important;
+                padding: 0 !important;
+                max-height: 50vh !important;
+                overflow-y: auto !important;
+            }
+            #custom_command_palette_list li {
+                display: flex !important;
+                align-items: center !important;
+                gap: 8px !important;
+                padding: 6px 8px !important;
+                border-radius: 4px !important;
+                cursor: pointer !important;
+            }
+            #custom_command_palette_list li span {
+                flex: 1 !important;
+            }
+            #custom_command_palette_list li[aria-selected="true"] {
+                background-color: var(--custom-pressed-background) !important;
+            }
+            #custom_command_palette_list mark {
+                background: none !important;
+                color: inherit !important;
+                font-weight: bold !important;
+                text-decoration: underline !important;
+            }
+            #custom_command_palette_list kbd {
+                background-color: var(--custom-kbd-background) !important;
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 3px !important;
+                padding: 1px 5px !important;
+                font-size: 12px !important;
+            }
+            .custom_command_palette_recent, .custom_command_palette_empty {
+                color: var(--custom-muted-text-color) !important;
+            }
+            .custom_shortcut_dialog {
+                background-color: var(--custom-panel-background) !important;
+                border-radius: 4px !important;
+                padding: 20px !important;
+                min-width: 420px !important;
+                max-height: 80% !important;
+                overflow-y: auto !important;
+                font-size: 14px !important;
+            }
+            .custom_shortcut_dialog h2 {
+                font-size: 18px !important;
+                margin: 0 0 12px 0 !important;
+            }
+            .custom_shortcut_list {
+                width: 100% !important;
+                border-collapse: collapse !important;
+            }
+            .custom_shortcut_list td {
+                padding: 4px 8px !important;
+                border-bottom: 1px solid var(--custom-separator-color) !important;
+            }
+            .custom_shortcut_list .custom_panel_button {
+                margin-left: 4px !important;
+                padding: 2px 8px !important;
+            }
+            .custom_shortcut_chord kbd {
+                background-color: var(--custom-kbd-background) !important;
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 3px !important;
+                padding: 1px 6px !important;
+                font-family: inherit !important;
+            }
+            .custom_shortcut_message {
+                min-height: 1em !important;
+                color: var(--custom-error-color) !important;
+            }
+
+            /* Collapsible history side panel along the right edge */
+            #custom_history_panel, #custom_memory_panel {
+                position: fixed !important;
+                top: 50px !important;
+                right: 0 !important;
+                bottom: 0 !important;
+                z-index: 9999 !important;
+                width: 360px !important;
+                background-color: var(--custom-panel-background) !important;
+                border-left: 1px solid var(--custom-border-color) !important;
+                box-shadow: var(--custom-side-panel-shadow) !important;
+                padding: 12px !important;
+                box-sizing: border-box;
+                display: flex !important;
+                flex-direction: column !important;
+                gap: 6px !important;
+                font-size: 14px !important;
+            }
+            #custom_history_panel[hidden], #custom_memory_panel[hidden] {
+                display: none !important;
+            }
+            #custom_history_panel h2, #custom_memory_panel h2 {
+                font-size: 18px !important;
+                margin: 0 !important;
+            }
+            #custom_history_panel input[type="search"] {
+                font-size: 14px !important;
+                padding: 4px !important;
+            }
+            #custom_history_panel .custom_panel_actions, #custom_memory_panel .custom_panel_actions {
+                flex-wrap: wrap !important;
+            }
+
+            /* Translation memory matches, grouped by input sentence */
+            .custom_memory_sentence {
+                border-bottom: 1px solid var(--custom-separator-color) !important;
+                padding: 6px 4px !important;
+            }
+            .custom_memory_sentence ul {
+                list-style: none !important;
+                margin: 0 !important;
+                padding: 0 0 0 8px !important;
+            }
+            .custom_memory_sentence_text {
+                margin: 0 0 4px 0 !important;
+                font-weight: bold !important;
+            }
+            .custom_memory_match {
+                padding: 4px 0 !important;
+            }
+            .custom_memory_exact .custom_history_meta span {
+                color: var(--custom-accent-text-color) !important;
+            }
+            #custom_memory_button.custom_memory_has_matches {
+                box-shadow: inset 0 -3px 0 var(--custom-accent-color) !important;
+            }
+            .custom_history_list {
+                flex: 1 !important;
+                overflow-y: auto !important;
+                list-style: none !important;
+                margin: 0 !important;
+                padding: 0 !important;
+            }
+            .custom_history_entry {
+                border-bottom: 1px solid var(--custom-separator-color) !important;
+                padding: 6px 4px !important;
+                cursor: pointer !important;
+            }
+            .custom_history_entry:hover, .custom_history_entry:focus {
+                background-color: var(--custom-hover-background) !important;
+            }
+            .custom_history_meta {
+                display: flex !important;
+                align-items: center !important;
+                gap: 4px !important;
+                font-size: 12px !important;
+                color: var(--custom-muted-text-color) !important;
+            }
+            .custom_history_meta span {
+                flex: 1 !important;
+            }
+            .custom_history_star, .custom_history_delete {
+                background: none !important;
+                border: none !important;
+                cursor: pointer !important;
+                font-size: 16px !important;
+                padding: 0 4px !important;
+            }
+            .custom_history_star[aria-pressed="true"] {
+                color: var(--custom-star-color) !important;
+            }
+            .custom_history_input, .custom_history_output {
+                white-space: pre-wrap !important;
+                overflow: hidden !important;
+                display: -webkit-box !important;
+                -webkit-line-clamp: 2 !important;
+                -webkit-box-orient: vertical !important;
+            }
+            .custom_history_output {
+                color: var(--custom-accent-text-color) !important;
+            }
+
+            /* Status line of a panel, reporting the outcome of its last action */
+            .custom_panel_status {
+                margin: 0 !important;
+                font-size: 12px !important;
+                color: var(--custom-muted-text-color) !important;
+            }
+
+            /* Popup panels opened from the top bar, such as the glossary editor */
+            .custom_popup_panel {
+                position: fixed !important;
+                top: 56px !important;
+                right: 15px !important;
+                z-index: 10000 !important;
+                width: 420px !important;
+                max-height: calc(100% - 72px) !important;
+                overflow-y: auto !important;
+                background-color: var(--custom-panel-background) !important;
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 4px !important;
+                box-shadow: var(--custom-panel-shadow) !important;
+                padding: 15px !important;
+                box-sizing: border-box;
+                display: flex !important;
+                flex-direction: column !important;
+                gap: 6px !important;
+                font-size: 14px !important;
+            }
+            .custom_popup_panel[hidden] {
+                display: none !important;
+            }
+            .custom_popup_panel h2 {
+                font-size: 18px !important;
+                margin: 0 0 6px 0 !important;
+            }
+            .custom_popup_panel textarea, .custom_popup_panel select, .custom_popup_panel input {
+                font-size: 14px !important;
+                padding: 4px !important;
+                font-family: inherit !important;
+            }
+
+            /* Glossary terms corrected in the output */
+            mark.custom_glossary_fix {
+                background-color: var(--custom-glossary-background) !important;
+                color: inherit !important;
+                border-bottom: 2px solid var(--custom-glossary-underline) !important;
+            }
+            #custom_glossary_button.custom_glossary_warning {
+                box-shadow: inset 0 -3px 0 var(--custom-error-color) !important;
+            }
+
+            /* Protected tokens (URLs, emails, placeholders...) restored in the output */
+            mark.custom_token_fix {
+                background-color: var(--custom-token-background) !important;
+                color: inherit !important;
+                border-bottom: 2px solid var(--custom-token-underline) !important;
+            }
+            #custom_token_status {
+                font-size: 13px !important;
+                padding: 4px 8px !important;
+                border-radius: 4px !important;
+                background-color: var(--custom-token-background) !important;
+                cursor: help !important;
+            }
+            #custom_token_status[hidden] {
+                display: none !important;
+            }
+            #custom_token_status.custom_token_status_error {
+                background-color: var(--custom-error-background) !important;
+                color: var(--custom-error-color) !important;
+            }
+
+            /* Diagnostics badge and panel */
+            #custom_diagnostics_button.custom_diagnostics_warning {
+                box-shadow: inset 0 -3px 0 var(--custom-warning-underline) !important;
+            }
+            #custom_diagnostics_button.custom_diagnostics_error {
+                background-color: var(--custom-error-background) !important;
+                color: var(--custom-error-color) !important;
+            }
+            #custom_diagnostics_elements, #custom_diagnostics_log {
+                margin: 0 0 6px 0 !important;
+                padding-left: 20px !important;
+                font-size: 13px !important;
+            }
+            #custom_diagnostics_log {
+                max-height: 200px !important;
+                overflow-y: auto !important;
+                font-family: monospace !important;
+            }
+            .custom_diagnostics_missing, .custom_diagnostics_log_error {
+                color: var(--custom-error-color) !important;
+            }
+            .custom_diagnostics_fallback {
+                color: var(--custom-accent-text-color) !important;
+            }
+
+            /* Review mode: matching sentences highlighted in both panes */
+            ::highlight(custom-review-source) {
+                background-color: var(--custom-review-source-background);
+            }
+            ::highlight(custom-review-counterpart) {
+                background-color: var(--custom-review-counterpart-background);
+            }
+
+            /* The sentence being read aloud */
+            ::highlight(custom-speech) {
+                background-color: var(--custom-speech-highlight-background);
+            }
+            .custom_review_backdrop_host {
+                position: relative !important;
+            }
+            .custom_review_backdrop {
+                position: absolute !important;
+                overflow: hidden !important;
+                color: transparent !important;
+                border-color: transparent !important;
+                border-style: solid !important;
+                pointer-events: none !important;
+                z-index: 0 !important;
+            }
+            .custom_review_backdrop.custom_review_backdrop_probe {
+                pointer-events: auto !important;
+                z-index: 2 !important;
+            }
+            .custom_review_backdrop mark {
+                color: transparent !important;
+            }
+            .custom_review_backdrop mark.custom_review_source {
+                background-color: var(--custom-review-source-background) !important;
+            }
+            .custom_review_backdrop mark.custom_review_counterpart {
+                background-color: var(--custom-review-counterpart-background) !important;
+            }
+            body.custom_review_mode #tta_input_ta {
+                position: relative !important;
+                z-index: 1 !important;
+                background-color: transparent !important;
+            }
+            #custom_review_button[aria-pressed="true"] {
+                background-color: var(--custom-pressed-background) !important;
+            }
+
+            /* Copy format menu below its top-bar button */
+            #custom_copy_menu_button {
+                min-width: 28px !important;
+                padding: 0 6px !important;
+                margin-left: -6px !important;
+            }
+            #custom_copy_menu {
+                position: fixed !important;
+                z-index: 10000 !important;
+                list-style: none !important;
+                margin: 0 !important;
+                padding: 4px 0 !important;
+                background-color: var(--custom-panel-background) !important;
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 4px !important;
+                box-shadow: var(--custom-panel-shadow) !important;
+                font-size: 14px !important;
+            }
+            #custom_copy_menu[hidden] {
+                display: none !important;
+            }
+            #custom_copy_menu li {
+                padding: 6px 16px !important;
+                cursor: pointer !important;
+                white-space: nowrap !important;
+            }
+            #custom_copy_menu li:hover, #custom_copy_menu li:focus {
+                background-color: var(--custom-hover-background) !important;
+                outline: none !important;
+            }
+
+            /* Batch translation panel */
+            .custom_batch_dropzone {
+                border: 2px dashed var(--custom-dropzone-border) !important;
+                border-radius: 4px !important;
+                padding: 24px 12px !important;
+                text-align: center !important;
+                color: var(--custom-muted-text-color) !important;
+                cursor: pointer !important;
+            }
+            .custom_batch_dropzone:hover, .custom_batch_dropzone:focus {
+                border-color: var(--custom-accent-color) !important;
+            }
+            .custom_batch_progress {
+                width: 100% !important;
+            }
+
+            /* Multi-target result cards */
+            #custom_multi_target_cards {
+                display: flex !important;
+                flex-direction: column !important;
+                gap: 8px !important;
+            }
+            .custom_result_card {
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 4px !important;
+                padding: 8px !important;
+            }
+            .custom_result_card header {
+                display: flex !important;
+                justify-content: space-between !important;
+                align-items: center !important;
+            }
+            .custom_result_card h3 {
+                font-size: 14px !important;
+                margin: 0 !important;
+            }
+            .custom_result_card_text {
+                margin: 6px 0 0 0 !important;
+                white-space: pre-wrap !important;
+            }
+            .custom_result_card_pending .custom_result_card_text {
+                color: var(--custom-muted-text-color) !important;
+            }
+            .custom_result_card_error .custom_result_card_text {
+                color: var(--custom-error-color) !important;
+            }
+
+            /* Tone comparison: one column per tone */
+            #custom_tone_compare_panel {
+                width: min(960px, calc(100% - 30px)) !important;
+            }
+            #custom_tone_compare_columns {
+                display: grid !important;
+                grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)) !important;
+                gap: 8px !important;
+            }
+            .custom_tone_column {
+                display: flex !important;
+                flex-direction: column !important;
+                border: 1px solid var(--custom-border-color) !important;
+                border-radius: 4px !important;
+                padding: 8px !important;
+            }
+            .custom_tone_column h3 {
+                font-size: 14px !important;
+                margin: 0 !important;
+            }
+            .custom_tone_column.custom_tone_baseline h3::after {
+                content: ' (baseline)';
+                font-weight: normal;
+                color: var(--custom-muted-text-color);
+            }
+            .custom_tone_column .custom_result_card_text {
+                flex: 1 !important;
+            }
+            mark.custom_diff_added {
+                background-color: var(--custom-review-counterpart-background) !important;
+                color: inherit !important;
+            }
+            mark.custom_diff_removed {
+                background-color: var(--custom-error-background) !important;
+                color: inherit !important;
+                text-decoration: line-through !important;
+            }
+
+            /* Post-edit panel */
+            #custom_post_edit_text {
+                white-space: pre-wrap !important;
+            }
+            #custom_post_edit_diff {
+                white-space: pre-wrap !important;
+                font-size: 13px !important;
+                max-height: 160px !important;
+                overflow-y: auto !important;
+                border: 1px solid var(--custom-separator-color) !important;
+                border-radius: 4px !important;
+                padding: 6px !important;
+            }
+            #custom_post_edit_suggestion {
+                display: flex !important;
+                justify-content: space-between !important;
+                align-items: center !important;
+                gap: 8px !important;
+                padding: 6px !important;
+                border-radius: 4px !important;
+                background-color: var(--custom-token-background) !important;
+            }
+            #custom_post_edit_suggestion[hidden] {
+                display: none !important;
+            }
+            #custom_post_edit_button.custom_post_edit_active {
+                background-color: var(--custom-pressed-background) !important;
+            }
+            #custom_post_edit_button.custom_post_edit_suggestion {
+                box-shadow: inset 0 -3px 0 var(--custom-accent-color) !important;
+            }
+
+            /* Back-translation check */
+            #custom_verify_panel {
+                width: min(760px, calc(100% - 30px)) !important;
+            }
+            #custom_verify_table {
+                border-collapse: collapse !important;
+                width: 100% !important;
+                font-size: 13px !important;
+            }
+            #custom_verify_table[hidden] {
+                display: none !important;
+            }
+            #custom_verify_table th, #custom_verify_table td {
+                border-bottom: 1px solid var(--custom-separator-color) !important;
+                padding: 4px 6px !important;
+                text-align: left !important;
+                vertical-align: top !important;
+            }
+            #custom_verify_table tr.custom_verify_flagged td {
+                background-color: var(--custom-error-background) !important;
+            }
+            #custom_verify_table tr.custom_verify_flagged td:last-child {
+                color: var(--custom-error-color) !important;
+                font-weight: bold !important;
+            }
+
+            /* Output lines the line-break alignment is unsure of */
+            mark.custom_alignment_warning {
+                background-color: transparent !important;
+                color: inherit !important;
+                text-decoration: underline wavy var(--custom-warning-underline) !important;
+                text-decoration-skip-ink: none !important;
             }
         `;
         document.head.appendChild(style);
@@ -584,11 +8026,39 @@
         customTopBar.id = 'custom_top_bar';
         document.body.prepend(customTopBar); // Add it at the very top of the body
 
+        startBingElementRegistry(); // Bind Bing's elements before any feature looks them up
+        createNotificationArea();
         applyCustomStyles(); // Apply styles after custom elements are created
+        applyThemeSettings();
         preserveBingLineBreaks();
         overrideBingCopyButton(); // This will now append to customTopBar
+        createCopyMenu();
+        createSettingsPanel();
+        createThemeToggle();
+        registerCommand('copyTranslation', 'Copy translation (plain text)', 'Alt+KeyZ', copyTranslation);
+        registerCommand('swapLanguages', 'Swap languages', 'Alt+KeyS', swapLanguages);
+        registerCommand('toggleTone', 'Toggle Casual / Formal tone', 'Alt+KeyA', toggleTone);
+        registerCommand('clearInput', 'Clear input', null, clearInput);
+        createHistoryPanel();
+        createGlossaryPanel();
+        createOutputProcessorsPanel();
+        createTokenStatusIndicator();
+        createBatchPanel();
+        createMultiTargetPanel();
+        createToneComparePanel();
+        createVerifyPanel();
+        createPostEditPanel();
+        createMemoryPanel();
+        createReviewMode();
+        createSpeechControls();
+        createLayoutManager();
+        createDataTransferPanel();
+        createDiagnosticsPanel();
+        createShortcutOverlay();
+        createCommandPalette();
+        createAccessibilitySupport(); // After every top-bar button exists
         setDefaultLanguages();
-        selectTone('Casual'); // Default tone
+        selectTone(settings.tone); // Default tone from settings
         document.addEventListener('keydown', handleKeydown, false);
     }
 
@@ -0,0 +1,345 @@
+/**
+ * Sentence alignment between a multi-line input and its translation, used to put the input's
+ * line breaks back into Bing's output. Loaded by the userscript through @require, and by the tests.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./protected-tokens'));
+    } else {
+        root.BingTranslateOverhaul = root.BingTranslateOverhaul || {};
+        root.BingTranslateOverhaul.alignment = factory(root.BingTranslateOverhaul.protectedTokens);
+    }
+}(typeof self !== 'undefined' ? self : this, function (protectedTokens) {
+    'use strict';
+
+    const { escapeRegex, tokenizeProtectedContent } = protectedTokens;
+
+    // Abbreviations (lowercase, without their final period) after which a period does not end a sentence.
+    const NON_TERMINAL_ABBREVIATIONS = new Set([
+        'e.g', 'i.e', 'cf', 'vs', 'approx', 'ca', 'no', 'nr', 'fig', 'ex', 'st', 'mr', 'mrs', 'ms', 'dr', 'prof', 'jr', 'sr',
+        'm', 'mm', 'mme', 'mlle', 'p.ex', 'c.-à-d', 'env', 'sra', 'srta', 'dra', 'z.b', 'bzw', 'u.a', 'd.h', 'ggf'
+    ]);
+
+    // Indentation and list marker at the start of a line, e.g. "  - ", "2. ", "b) ".
+    const LIST_MARKER_PATTERN = /^(\s*)((?:[-*\u2022\u2023\u25E6\u25AA\u2013]|\d{1,3}[.)]|[a-z][.)]|[A-Z]\))\s+)?/;
+
+    // Sentence-final punctuation, with any closing quotes or brackets that follow it.
+    const TERMINAL_PUNCTUATION_PATTERN = /[.!?\u2026:;\u3002\uFF01\uFF1F]["'\u201D\u2019\u00BB)\]]*$/;
+
+    // Lines whose alignment confidence falls below this are highlighted for review.
+    const ALIGNMENT_LOW_CONFIDENCE = 0.35;
+
+    // Alignment costs; confidence for a line is exp(-cost).
+    const ALIGNMENT_COSTS = {
+        emptyLine: 3, // An input line that receives no output at all
+        sentenceCount: 0.6, // Per sentence more or fewer than the input line has
+        number: 1.5, // Per number present on only one side
+        punctuation: 0.3, // Input and output disagree on ending with terminal punctuation
+        midLineStart: 0.8, // Output line break not respected at the start of a line
+        mergedLines: 0.5 // Per output line break swallowed inside a line
+    };
+
+    /**
+     * Splits a line into its indentation and list marker, and the text after them.
+     * @param {string} line - The line to split.
+     * @returns {{prefix: string, marker: string, body: string}} The prefix (indentation plus marker),
+     *          the marker alone and the remaining text.
+     */
+    function splitListMarker(line) {
+        const match = LIST_MARKER_PATTERN.exec(line);
+        const marker = match[2] || '';
+        return { prefix: match[1] + marker, marker: marker.trim(), body: line.slice(match[0].length) };
+    }
+
+    /**
+     * Checks whether the period ending `textBefore` belongs to an abbreviation, an initial or a
+     * list number rather than ending a sentence.
+     * @param {string} textBefore - The segment text before the period.
+     * @returns {boolean} True if the period does not end a sentence.
+     */
+    function isNonTerminalPeriod(textBefore) {
+        const trimmed = textBefore.trim();
+        const lastWord = trimmed.split(/\s+/).pop().replace(/^[("'\u201C\u2018\u00AB[]+/, '');
+        if (NON_TERMINAL_ABBREVIATIONS.has(lastWord.toLowerCase())) {
+            return true;
+        }
+        if (/^\p{Lu}$/u.test(lastWord)) {
+            return true; // An initial, as in "J. Smith"
+        }
+        return /^\d{1,3}$/.test(lastWord) && trimmed === lastWord; // A list number, as in "2. Item"
+    }
+
+    /**
+     * Splits text into sentences. Periods in abbreviations, initials, numbers and protected
+     * tokens such as URLs and emails do not end a sentence.
+     * @param {string} text - The text to segment.
+     * @returns {Array<{text: string, start: number, end: number}>} The trimmed sentences with their offsets in `text`.
+     */
+    function segmentSentences(text) {
+        const sentences = [];
+        const tokens = tokenizeProtectedContent(text);
+        const boundaryPattern = /([.!?\u2026]+|[\u3002\uFF01\uFF1F]+)(["'\u201D\u2019\u00BB)\]]*)(\s*)/g;
+        let segmentStart = 0;
+
+        function pushSentence(start, end) {
+            const raw = text.slice(start, end);
+            const leading = raw.length - raw.trimStart().length;
+            const trimmed = raw.trim();
+            if (trimmed) {
+                sentences.push({ text: trimmed, start: start + leading, end: start + leading + trimmed.length });
+            }
+        }
+
+        let match;
+        while ((match = boundaryPattern.exec(text)) !== null) {
+            const isCjk = /^[\u3002\uFF01\uFF1F]/.test(match[1]);
+            const sentenceEnd = match.index + match[1].length + match[2].length;
+            const next = text[boundaryPattern.lastIndex];
+            if (!next) {
+                break; // End of text
+            }
+            if (!isCjk && match[3] === '') {
+                continue; // "3.14", "e.g" and the like
+            }
+            if (tokens.some(token => match.index >= token.start && match.index < token.end)) {
+                continue;
+            }
+            if (match[1] === '.' && isNonTerminalPeriod(text.slice(segmentStart, match.index))) {
+                continue;
+            }
+            if (/\p{Ll}/u.test(next)) {
+                continue; // A lowercase continuation is not a new sentence
+            }
+            pushSentence(segmentStart, sentenceEnd);
+            segmentStart = boundaryPattern.lastIndex;
+        }
+        pushSentence(segmentStart, text.length);
+        return sentences;
+    }
+
+    /**
+     * Extracts the numbers in a text, normalized so "1,000.5" and "1 000,5" compare equal.
+     * @param {string} text - The text to scan.
+     * @returns {string[]} The digit strings, sorted.
+     */
+    function extractNumbers(text) {
+        return (text.match(/\d+(?:[.,\u00A0\u202F ]\d{3})*(?:[.,]\d+)?/g) || [])
+            .map(number => number.replace(/\D/g, ''))
+            .sort();
+    }
+
+    /**
+     * Counts the numbers present in one list but not the other.
+     * @param {string[]} a - Sorted digit strings.
+     * @param {string[]} b - Sorted digit strings.
+     * @returns {number} The size of the multiset difference.
+     */
+    function countNumberMismatches(a, b) {
+        let i = 0;
+        let j = 0;
+        let mismatches = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                i++;
+                j++;
+            } else if (j >= b.length || (i < a.length && a[i] < b[j])) {
+                mismatches++;
+                i++;
+            } else {
+                mismatches++;
+                j++;
+            }
+        }
+        return mismatches;
+    }
+
+    /**
+     * Splits the translated text into sentence segments. Output line breaks and list markers
+     * that also appear in the input are treated as segment boundaries, and such markers are removed.
+     * @param {string} outputText - The translated text.
+     * @param {Set<string>} bulletMarkers - Bullet characters used by the input lines.
+     * @param {boolean} hasNumberedItems - Whether the input has numbered list items.
+     * @returns {Array<{text: string, separator: string, lineStart: boolean, numbers: string[]}>} The output
+     *          segments, in order. The separator is the text between a segment and the previous sentence
+     *          of its line, or a space for the first sentence of a line or list item.
+     */
+    function segmentOutput(outputText, bulletMarkers, hasNumberedItems) {
+        const markerAlternatives = Array.from(bulletMarkers).map(escapeRegex);
+        if (hasNumberedItems) {
+            markerAlternatives.push('\\d{1,3}[.)]');
+        }
+        const inlineMarkerPattern = markerAlternatives.length > 0
+            ? new RegExp(`\\s+(?=(?:${markerAlternatives.join('|')})\\s+\\S)`, 'g')
+            : null;
+
+        const segments = [];
+        outputText.split('\n').forEach(line => {
+            if (!line.trim()) {
+                return;
+            }
+            const items = inlineMarkerPattern ? line.split(inlineMarkerPattern) : [line];
+            items.forEach((item, itemIndex) => {
+                // The input's own markers are put back when the lines are assembled
+                const itemText = markerAlternatives.length > 0 ? splitListMarker(item.trim()).body : item;
+                const sentences = segmentSentences(itemText);
+                sentences.forEach((sentence, sentenceIndex) => {
+                    segments.push({
+                        text: sentence.text,
+                        separator: sentenceIndex === 0 ? ' ' : itemText.slice(sentences[sentenceIndex - 1].end, sentence.start),
+                        lineStart: itemIndex === 0 && sentenceIndex === 0,
+                        numbers: extractNumbers(sentence.text)
+                    });
+                });
+            });
+        });
+        return segments;
+    }
+
+    /**
+     * Aligns a translation with the lines of its input. Both sides are segmented into
+     * sentences the same way, then consecutive output sentences are assigned to each input line
+     * by dynamic programming over sentence counts, numerals, terminal punctuation, output line
+     * breaks and length ratios. List markers and indentation of the input lines are kept.
+     * @param {string[]} inputLines - The input, split into lines.
+     * @param {string} outputText - The translated text.
+     * @returns {{lines: string[], confidence: number[], groups: Array<Object|null>}} For each input line:
+     *          the aligned output line, a confidence between 0 and 1 (1 for blank lines), and the
+     *          sentences matched on each side (null for blank lines). Input sentences carry their
+     *          offsets within the line's text after its list marker.
+     */
+    function alignTranslation(inputLines, outputText) {
+        const items = [];
+        inputLines.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            const { prefix, marker, body } = splitListMarker(line);
+            const trimmedBody = body.trim();
+            items.push({
+                index,
+                prefix,
+                marker,
+                body: trimmedBody,
+                sentences: segmentSentences(trimmedBody),
+                numbers: extractNumbers(trimmedBody),
+                terminal: TERMINAL_PUNCTUATION_PATTERN.test(trimmedBody)
+            });
+        });
+
+        const lines = inputLines.map(() => '');
+        const confidence = inputLines.map(() => 1);
+        const groups = inputLines.map(() => null);
+        if (items.length === 0 || !outputText.trim()) {
+            return { lines, confidence, groups }; // Nothing to align yet
+        }
+
+        const bulletMarkers = new Set(items.map(item => item.marker).filter(marker => marker && !/[\d.)]/.test(marker)));
+        const hasNumberedItems = items.some(item => /^\d/.test(item.marker));
+        const segments = segmentOutput(outputText, bulletMarkers, hasNumberedItems);
+        const hasOutputLines = segments.filter(segment => segment.lineStart).length > 1;
+
+        const lengthBefore = [0];
+        segments.forEach(segment => lengthBefore.push(lengthBefore[lengthBefore.length - 1] + segment.text.length));
+        const totalInputLength = items.reduce((sum, item) => sum + item.body.length, 0);
+        const lengthRatio = (lengthBefore[segments.length] + 1) / (totalInputLength + 1);
+
+        // Cost of giving output segments [start, end) to an input line
+        function groupCost(item, start, end) {
+            if (start === end) {
+                return ALIGNMENT_COSTS.emptyLine;
+            }
+            const group = segments.slice(start, end);
+            const outputLength = lengthBefore[end] - lengthBefore[start];
+            let cost = Math.abs(Math.log((outputLength + 1) / ((item.body.length + 1) * lengthRatio)));
+            cost += ALIGNMENT_COSTS.sentenceCount * Math.abs(group.length - item.sentences.length);
+            const groupNumbers = [].concat(...group.map(segment => segment.numbers)).sort();
+            cost += ALIGNMENT_COSTS.number * Math.min(2, countNumberMismatches(item.numbers, groupNumbers));
+            if (item.terminal !== TERMINAL_PUNCTUATION_PATTERN.test(group[group.length - 1].text)) {
+                cost += ALIGNMENT_COSTS.punctuation;
+            }
+            if (hasOutputLines) {
+                if (!group[0].lineStart) {
+                    cost += ALIGNMENT_COSTS.midLineStart;
+                }
+                cost += ALIGNMENT_COSTS.mergedLines * group.slice(1).filter(segment => segment.lineStart).length;
+            }
+            return cost;
+        }
+
+        // best[i][j]: lowest cost of aligning the first i input lines with the first j segments
+        const lineCount = items.length;
+        const segmentCount = segments.length;
+        const maxGroupSize = Math.max(12, Math.ceil(2 * segmentCount / lineCount) + 4);
+        const best = [];
+        const from = [];
+        for (let i = 0; i <= lineCount; i++) {
+            best.push(new Array(segmentCount + 1).fill(Infinity));
+            from.push(new Array(segmentCount + 1).fill(-1));
+        }
+        best[0][0] = 0;
+        for (let i = 0; i < lineCount; i++) {
+            const isLast = i === lineCount - 1;
+            for (let start = 0; start <= segmentCount; start++) {
+                if (best[i][start] === Infinity) {
+                    continue;
+                }
+                // The last line takes whatever remains, so every segment ends up somewhere
+                const firstEnd = isLast ? segmentCount : start;
+                const lastEnd = isLast ? segmentCount : Math.min(segmentCount, start + maxGroupSize);
+                for (let end = firstEnd; end <= lastEnd; end++) {
+                    const cost = best[i][start] + groupCost(items[i], start, end);
+                    if (cost < best[i + 1][end]) {
+                        best[i + 1][end] = cost;
+                        from[i + 1][end] = start;
+                    }
+                }
+            }
+        }
+
+        let end = segmentCount;
+        for (let i = lineCount; i > 0; i--) {
+            const start = from[i][end];
+            const item = items[i - 1];
+            const group = segments.slice(start, end);
+            // Sentences keep their separator from the output: Chinese and Japanese ones have none
+            const text = group.map((segment, index) => (index === 0 ? '' : segment.separator) + segment.text).join('');
+            lines[item.index] = text ? item.prefix + text : '';
+            confidence[item.index] = Math.exp(-groupCost(item, start, end));
+            groups[item.index] = { inputSentences: item.sentences, outputSentences: group.map(segment => segment.text) };
+            end = start;
+        }
+        return { lines, confidence, groups };
+    }
+
+    /**
+     * Pairs each sentence of a text with the matching sentence of its translation, using the
+     * alignment engine. Lines whose sentence counts differ are paired as a whole.
+     * @param {string} sourceText - The source text.
+     * @param {string} targetText - Its translation.
+     * @returns {Array<{source: string, target: string}>} The sentence pairs, in order.
+     */
+    function pairSentences(sourceText, targetText) {
+        const alignment = alignTranslation(sourceText.split('\n'), targetText);
+        const pairs = [];
+        alignment.groups.forEach(group => {
+            if (!group) {
+                return;
+            }
+            if (group.inputSentences.length === group.outputSentences.length) {
+                group.inputSentences.forEach((sentence, index) => pairs.push({ source: sentence.text, target: group.outputSentences[index] }));
+            } else {
+                pairs.push({ source: group.inputSentences.map(sentence => sentence.text).join(' '), target: group.outputSentences.join(' ') });
+            }
+        });
+        return pairs;
+    }
+
+    return {
+        ALIGNMENT_LOW_CONFIDENCE,
+        splitListMarker,
+        segmentSentences,
+        extractNumbers,
+        alignTranslation,
+        pairSentences
+    };
+}));
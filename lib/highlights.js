@@ -0,0 +1,69 @@
+/**
+ * Markers that the output processors wrap around the spans they change, and their conversion
+ * into highlight ranges. Loaded by the userscript through @require, and by the tests.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingTranslateOverhaul = root.BingTranslateOverhaul || {};
+        root.BingTranslateOverhaul.highlights = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Private-use characters that passes rewriting the output wrap around the spans they change,
+    // so the spans can still be highlighted after later passes have rewritten the text.
+    const HIGHLIGHT_MARKERS = {
+        custom_glossary_fix: { start: '\uE000', end: '\uE001', title: content => `Glossary: ${content}` },
+        custom_token_fix: { start: '\uE002', end: '\uE003', title: content => `Restored from the input: ${content}` },
+        custom_alignment_warning: { start: '\uE004', end: '\uE005', title: () => 'Low-confidence line alignment: check this line against the input' }
+    };
+
+    /**
+     * Wraps text in the markers of a highlight class.
+     * @param {string} text - The text to mark.
+     * @param {string} className - A key of HIGHLIGHT_MARKERS.
+     * @returns {string} The marked text.
+     */
+    function markHighlight(text, className) {
+        const marker = HIGHLIGHT_MARKERS[className];
+        return marker.start + text + marker.end;
+    }
+
+    /**
+     * Strips highlight markers from text and returns the ranges they enclosed.
+     * @param {string} markedText - Text containing highlight markers.
+     * @returns {{text: string, ranges: Array<{start: number, end: number, className: string, title: string}>}}
+     *          The plain text and the highlighted ranges, ordered so that enclosing ranges come first.
+     */
+    function extractHighlights(markedText) {
+        const classNames = Object.keys(HIGHLIGHT_MARKERS);
+        const ranges = [];
+        const open = [];
+        let text = '';
+        for (const char of markedText) {
+            const startClass = classNames.find(name => HIGHLIGHT_MARKERS[name].start === char);
+            const endClass = classNames.find(name => HIGHLIGHT_MARKERS[name].end === char);
+            if (startClass) {
+                open.push({ className: startClass, start: text.length });
+            } else if (endClass) {
+                const range = open.pop();
+                if (range && range.start < text.length) {
+                    const content = text.slice(range.start);
+                    ranges.push({ start: range.start, end: text.length, className: range.className, title: HIGHLIGHT_MARKERS[range.className].title(content) });
+                }
+            } else {
+                text += char;
+            }
+        }
+        ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+        return { text, ranges };
+    }
+
+    return {
+        HIGHLIGHT_MARKERS,
+        markHighlight,
+        extractHighlights
+    };
+}));
@@ -0,0 +1,340 @@
+/**
+ * The passes that correct Bing's output before it is shown: line breaks, emails and other
+ * protected tokens, glossary terms, typography and the user's own rules. They only work on the
+ * text and the context they are given. Loaded by the userscript through @require, and by the tests.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./protected-tokens'), require('./alignment'), require('./highlights'));
+    } else {
+        root.BingTranslateOverhaul = root.BingTranslateOverhaul || {};
+        root.BingTranslateOverhaul.outputProcessors = factory(
+            root.BingTranslateOverhaul.protectedTokens,
+            root.BingTranslateOverhaul.alignment,
+            root.BingTranslateOverhaul.highlights
+        );
+    }
+}(typeof self !== 'undefined' ? self : this, function (protectedTokens, alignment, highlights) {
+    'use strict';
+
+    const { PROTECTED_TOKEN_PATTERNS, escapeRegex, buildTermRegex, tokenizeProtectedContent, replaceOutsideProtectedTokens } = protectedTokens;
+    const { ALIGNMENT_LOW_CONFIDENCE, alignTranslation } = alignment;
+    const { markHighlight } = highlights;
+
+    // Token types Bing tends to translate the inside of; a renamed one is matched back to the input by position.
+    const POSITIONAL_TOKEN_TYPES = ['code', 'template', 'placeholder', 'printf'];
+
+    // Token types the protectedTokens processor restores; emails have a processor of their own.
+    const NON_EMAIL_TOKEN_TYPES = PROTECTED_TOKEN_PATTERNS.map(({ type }) => type).filter(type => type !== 'email').concat('glossary');
+
+    /**
+     * Builds a case-insensitive regex matching a token even where spaces were inserted around
+     * its punctuation, e.g. "name@example.com" as "name @ example. com".
+     * @param {string} value - The original token.
+     * @returns {RegExp} The global pattern.
+     */
+    function buildLooseTokenRegex(value) {
+        const chars = Array.from(value);
+        let pattern = '';
+        chars.forEach((char, index) => {
+            if (index > 0 && (/[^\p{L}\p{N}]/u.test(char) || /[^\p{L}\p{N}]/u.test(chars[index - 1]))) {
+                pattern += '\\s*';
+            }
+            pattern += escapeRegex(char);
+        });
+        return new RegExp(pattern, 'giu');
+    }
+
+    /**
+     * Checks that every protected token of the input survived translation, restoring altered
+     * ones verbatim. Tokens found with different spacing or casing are replaced in place;
+     * renamed placeholders and template tokens are matched to the input by order.
+     * @param {string} inputText - The source text.
+     * @param {string} outputText - The translated text.
+     * @param {string[]} [terms] - Glossary terms protected in the input, which must come through
+     *     verbatim, from getDoNotTranslateTerms().
+     * @param {string[]} [types] - The token types to check, 'glossary' included; all by default.
+     * @returns {{text: string, restored: string[], dropped: string[]}} The output with restored
+     *          spans marked for highlighting, the tokens that were restored and those missing.
+     */
+    function restoreProtectedTokens(inputText, outputText, terms = [], types = null) {
+        const inputTokens = tokenizeProtectedContent(inputText, terms).filter(token => !types || types.includes(token.type));
+        const inputValues = new Set(inputTokens.map(token => token.value));
+        let text = outputText;
+        const restored = [];
+        const unresolved = [];
+
+        const seen = new Set();
+        inputTokens.forEach(token => {
+            if (seen.has(token.value)) {
+                return;
+            }
+            seen.add(token.value);
+            if (text.includes(token.value)) {
+                return;
+            }
+            const loosePattern = buildLooseTokenRegex(token.value);
+            if (loosePattern.test(text)) {
+                text = text.replace(loosePattern, () => markHighlight(token.value, 'custom_token_fix'));
+                restored.push(token.value);
+            } else {
+                unresolved.push(token);
+            }
+        });
+
+        // Output tokens with no counterpart in the input are the translated versions of the unresolved ones
+        const strayTokens = tokenizeProtectedContent(text).filter(token => !inputValues.has(token.value));
+        const dropped = [];
+        unresolved.forEach(token => {
+            const strayIndex = POSITIONAL_TOKEN_TYPES.includes(token.type)
+                ? strayTokens.findIndex(stray => stray.type === token.type)
+                : -1;
+            if (strayIndex === -1) {
+                dropped.push(token.value);
+                return;
+            }
+            const stray = strayTokens.splice(strayIndex, 1)[0];
+            text = text.replace(stray.value, markHighlight(token.value, 'custom_token_fix'));
+            restored.push(token.value);
+        });
+
+        return { text, restored, dropped };
+    }
+
+    /**
+     * Adds what a token pass restored and found missing to the context's token report, and
+     * returns the text it produced.
+     * @param {Object} context - The processor context.
+     * @param {{text: string, restored: string[], dropped: string[]}} result - From restoreProtectedTokens().
+     * @returns {string} The text.
+     */
+    function reportTokenResult(context, result) {
+        const previous = context.tokenResult || { restored: [], dropped: [] };
+        context.tokenResult = {
+            restored: previous.restored.concat(result.restored),
+            dropped: previous.dropped.concat(result.dropped)
+        };
+        return result.text;
+    }
+
+    /**
+     * Lists the glossary terms that must come through translation unchanged. They are
+     * protected in the input like URLs and emails: the token pass restores them verbatim.
+     * @param {Object[]} rules - Glossary rules, as the userscript's getGlossaryRules() builds them.
+     * @returns {string[]} The terms.
+     */
+    function getDoNotTranslateTerms(rules) {
+        return rules.filter(rule => rule.source === rule.target).map(rule => rule.source);
+    }
+
+    /**
+     * Enforces glossary terms on a translation. For every rule whose source term appears in the
+     * input, re-cased occurrences of the required target, the untranslated source term and any
+     * known wrong renderings (variants) in the output are replaced with the required target.
+     * @param {string} inputText - The source text.
+     * @param {string} outputText - The translated text.
+     * @param {Object[]} rules - Glossary rules, as the userscript's getGlossaryRules() builds them.
+     * @returns {{text: string, fixed: number, missing: string[]}} The corrected text with fixed spans
+     *          marked for highlighting, how many spans were fixed and the required terms absent from the output.
+     */
+    function applyGlossary(inputText, outputText, rules) {
+        let text = outputText;
+        let fixed = 0;
+        const missing = [];
+        rules.forEach(rule => {
+            if (!buildTermRegex([rule.source]).test(inputText)) {
+                return; // Term not used in this input
+            }
+            text = text.replace(buildTermRegex([rule.target, rule.source].concat(rule.variants || [])), match => {
+                if (match === rule.target) {
+                    return match;
+                }
+                fixed++;
+                return markHighlight(rule.target, 'custom_glossary_fix');
+            });
+            if (!text.includes(rule.target)) {
+                missing.push(rule.target);
+            }
+        });
+
+        return { text, fixed, missing };
+    }
+
+    /**
+     * Applies French typography: « » guillemets instead of double quotes, a no-break space
+     * inside guillemets and before a colon, and a narrow no-break space before ; ! and ?.
+     * @param {string} text - The translation.
+     * @param {string[]} [terms] - Glossary terms to leave as written, e.g. "Yahoo!".
+     * @returns {string} The text with French spacing.
+     */
+    function applyFrenchTypography(text, terms = []) {
+        let result = replaceOutsideProtectedTokens(text, /["\u201C]\s*([^"\u201C\u201D\n]*?)\s*["\u201D]/g, '\u00ab\u00a0$1\u00a0\u00bb', terms);
+        result = replaceOutsideProtectedTokens(result, /\u00ab[ \u00a0\u202f]*/g, '\u00ab\u00a0', terms);
+        result = replaceOutsideProtectedTokens(result, /[ \u00a0\u202f]*\u00bb/g, '\u00a0\u00bb', terms);
+        // Only punctuation that ends a word, so times such as 10:30 keep their colon
+        return replaceOutsideProtectedTokens(result, /([^\s\u00a0\u202f;:!?\u00ab])[ \u00a0\u202f]?([;:!?])(?=[\s\u00a0\u202f;:!?\u00bb)\]"'\uE000-\uE005]|$)/gm,
+            (match, before, punctuation) => `${before}${punctuation === ':' ? '\u00a0' : '\u202f'}${punctuation}`, terms);
+    }
+
+    /**
+     * Replaces straight quotes with typographic ones: an apostrophe or closing quote after a
+     * word, an opening quote at the start of a word.
+     * @param {string} text - The translation.
+     * @param {string[]} [terms] - Glossary terms to leave as written.
+     * @returns {string} The text with curly quotes.
+     */
+    function applySmartQuotes(text, terms = []) {
+        const opensQuote = '(^|[\\s(\\[{\u2014\u2013-])';
+        let result = replaceOutsideProtectedTokens(text, new RegExp(`${opensQuote}"`, 'gm'), '$1\u201C', terms);
+        result = replaceOutsideProtectedTokens(result, /"/g, '\u201D', terms);
+        result = replaceOutsideProtectedTokens(result, new RegExp(`${opensQuote}'`, 'gm'), '$1\u2018', terms);
+        return replaceOutsideProtectedTokens(result, /'/g, '\u2019', terms);
+    }
+
+    /**
+     * Parses rule lines of the form "/pattern/flags => replacement". Blank lines and lines
+     * starting with # are skipped.
+     * @param {string} text - The rule lines.
+     * @returns {{rules: Array<{pattern: string, flags: string, replacement: string}>, errors: string[]}}
+     *          The valid rules and a message for each line that is not one.
+     */
+    function parseOutputRules(text) {
+        const rules = [];
+        const errors = [];
+        text.split('\n').forEach((line, index) => {
+            if (!line.trim() || line.trim().startsWith('#')) {
+                return;
+            }
+            const match = line.trim().match(/^\/(.+)\/([a-z]*)\s*=>\s?(.*)$/);
+            if (!match) {
+                errors.push(`Line ${index + 1}: expected /pattern/flags => replacement`);
+                return;
+            }
+            const flags = match[2].includes('g') ? match[2] : `${match[2]}g`;
+            try {
+                new RegExp(match[1], flags);
+            } catch (err) {
+                errors.push(`Line ${index + 1}: ${err.message}`);
+                return;
+            }
+            rules.push({ pattern: match[1], flags, replacement: match[3] });
+        });
+        return { rules, errors };
+    }
+
+    /**
+     * Formats rules as editable "/pattern/flags => replacement" lines.
+     * @param {Array<{pattern: string, flags: string, replacement: string}>} rules - The rules.
+     * @returns {string} The rule lines.
+     */
+    function formatOutputRules(rules) {
+        return rules.map(rule => `/${rule.pattern}/${rule.flags} => ${rule.replacement}`).join('\n');
+    }
+
+    /**
+     * Applies the user's regex rules, in order. A rule that fails is reported and skipped.
+     * @param {string} text - The translation.
+     * @param {Array<{pattern: string, flags: string, replacement: string}>} rules - The rules.
+     * @param {Function} [onRuleError] - Called with the rule and the error when a rule fails.
+     * @returns {string} The text after the rules.
+     */
+    function applyOutputRules(text, rules, onRuleError = () => {}) {
+        return rules.reduce((result, rule) => {
+            try {
+                return result.replace(new RegExp(rule.pattern, rule.flags), rule.replacement);
+            } catch (err) {
+                onRuleError(rule, err);
+                return result;
+            }
+        }, text);
+    }
+
+    // Output post-processors, run in this order on each new translation. Each takes the output
+    // and a context ({ inputText, inputLines, targetLanguage, pairKey, glossaryRules, outputRules,
+    // onRuleError, tokenResult, glossaryResult, alignment }) and returns the new output; highlight
+    // markers it adds are shown once all have run. Results for the page go back through the context.
+    // `enabledFor` gives the default for a target language code; settings can override it.
+    const OUTPUT_PROCESSORS = [
+        {
+            id: 'lineBreaks',
+            label: 'Restore line breaks',
+            description: 'Align the output with the input lines and mark lines the alignment is unsure of.',
+            enabledFor: () => true,
+            run: (text, context) => {
+                const lineAlignment = alignTranslation(context.inputLines, text);
+                context.alignment = lineAlignment;
+                return lineAlignment.lines.map((line, index) => {
+                    return line && lineAlignment.confidence[index] < ALIGNMENT_LOW_CONFIDENCE ? markHighlight(line, 'custom_alignment_warning') : line;
+                }).join('\n');
+            }
+        },
+        {
+            id: 'emails',
+            label: 'Fix emails',
+            description: 'Put back emails that were broken apart, such as "name. @example. com".',
+            enabledFor: () => true,
+            run: (text, context) => reportTokenResult(context, restoreProtectedTokens(context.inputText, text, [], ['email']))
+        },
+        {
+            id: 'protectedTokens',
+            label: 'Fix URLs, codes and placeholders',
+            description: 'Put back URLs, phone numbers, ticket IDs, placeholders, code and "never translate" glossary terms that were translated or broken.',
+            enabledFor: () => true,
+            run: (text, context) => {
+                const terms = getDoNotTranslateTerms(context.glossaryRules);
+                return reportTokenResult(context, restoreProtectedTokens(context.inputText, text, terms, NON_EMAIL_TOKEN_TYPES));
+            }
+        },
+        {
+            id: 'glossary',
+            label: 'Enforce glossary terms',
+            description: 'Replace wrong renderings of glossary terms.',
+            enabledFor: () => true,
+            run: (text, context) => {
+                context.glossaryResult = applyGlossary(context.inputText, text, context.glossaryRules);
+                return context.glossaryResult.text;
+            }
+        },
+        {
+            id: 'frenchTypography',
+            label: 'French typographic spacing',
+            description: 'No-break spaces before : ; ! ? and \u00ab \u00bb guillemets.',
+            enabledFor: languageCode => Boolean(languageCode) && languageCode.split('-')[0] === 'fr',
+            run: (text, context) => applyFrenchTypography(text, context.glossaryRules.map(rule => rule.target))
+        },
+        {
+            id: 'smartQuotes',
+            label: 'Smart quotes',
+            description: 'Replace straight quotes and apostrophes with curly ones.',
+            enabledFor: () => false,
+            run: (text, context) => applySmartQuotes(text, context.glossaryRules.map(rule => rule.target))
+        },
+        {
+            id: 'userRules',
+            label: 'Custom rules',
+            description: 'Your own regex replacements, in order.',
+            enabledFor: () => true,
+            run: (text, context) => applyOutputRules(text, context.outputRules, context.onRuleError)
+        },
+        {
+            id: 'trailingWhitespace',
+            label: 'Trim trailing whitespace',
+            description: 'Remove spaces at the end of each line.',
+            enabledFor: () => true,
+            run: text => text.replace(/[ \t\u00a0\u202f]+$/gm, '')
+        }
+    ];
+
+    return {
+        buildLooseTokenRegex,
+        restoreProtectedTokens,
+        getDoNotTranslateTerms,
+        applyGlossary,
+        applyFrenchTypography,
+        applySmartQuotes,
+        parseOutputRules,
+        formatOutputRules,
+        applyOutputRules,
+        OUTPUT_PROCESSORS
+    };
+}));
@@ -0,0 +1,78 @@
+/**
+ * Waiting for Bing to translate, for the features that drive the page: batch and multi-target
+ * runs, tone comparison and the back-translation check. Loaded by the userscript through
+ * @require, and by the tests.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingTranslateOverhaul = root.BingTranslateOverhaul || {};
+        root.BingTranslateOverhaul.outputWait = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Waits for Bing's next translation: resolves once Bing has changed the output and the
+     * output has settled, unless it is empty or still the previous text. Changes the userscript
+     * makes itself do not count, or the old translation, rewritten to fit the new input, would
+     * pass for the new one.
+     * @param {Function} onEvent - Subscribes to an element-registry event and returns a function
+     *     that unsubscribes. output-changed is called with `{ byScript }`, output-settled with
+     *     the output text.
+     * @param {Object} options - How to wait.
+     * @param {Function} options.getOutput - Returns the current output text.
+     * @param {number} options.timeout - Milliseconds after which the wait fails.
+     * @param {string} [options.previousText] - Output that is still the old translation.
+     * @param {number} [options.unchangedDelay] - If Bing has not started changing the output
+     *     within this many milliseconds, resolves with the output as it is.
+     * @returns {{promise: Promise<string>, stop: Function}} The translation, and a function that
+     *     stops waiting and resolves with the output as it is.
+     */
+    function waitForTranslation(onEvent, options) {
+        let stop = () => {};
+        const promise = new Promise((resolve, reject) => {
+            const previousText = options.previousText === undefined ? null : options.previousText.trim();
+            let changedByBing = false;
+            let finished = false;
+
+            const unchangedTimer = options.unchangedDelay === undefined ? null : setTimeout(() => finish(), options.unchangedDelay);
+            const timeoutTimer = setTimeout(() => finish(new Error('Timed out waiting for Bing to translate.')), options.timeout);
+            const unsubscribeChanged = onEvent('output-changed', detail => {
+                if (!detail || !detail.byScript) {
+                    changedByBing = true;
+                    clearTimeout(unchangedTimer);
+                }
+            });
+            const unsubscribeSettled = onEvent('output-settled', text => {
+                if (changedByBing && text.trim() && text.trim() !== previousText) {
+                    finish();
+                }
+            });
+
+            function finish(error) {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                unsubscribeChanged();
+                unsubscribeSettled();
+                clearTimeout(unchangedTimer);
+                clearTimeout(timeoutTimer);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(options.getOutput());
+                }
+            }
+
+            stop = () => finish();
+        });
+        return { promise, stop };
+    }
+
+    return {
+        waitForTranslation
+    };
+}));
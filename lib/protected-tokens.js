@@ -0,0 +1,127 @@
+/**
+ * Detection of the content that must come through translation verbatim: URLs, emails, codes,
+ * placeholders and glossary terms. Loaded by the userscript through @require, and by the tests.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingTranslateOverhaul = root.BingTranslateOverhaul || {};
+        root.BingTranslateOverhaul.protectedTokens = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Content that must come through translation verbatim, in priority order: where matches
+    // overlap, the earlier type wins (e.g. an email inside inline code stays part of the code).
+    const PROTECTED_TOKEN_PATTERNS = [
+        { type: 'code', pattern: /`[^`\n]+`/g },
+        { type: 'url', pattern: /(?:\bhttps?:\/\/|\bwww\.)[^\s<>"'\uE000-\uE0FF]*[^\s<>"'.,;:!?)\]\uE000-\uE0FF]/gi },
+        { type: 'email', pattern: /(?<![\w.%+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+        { type: 'template', pattern: /\{\{\s*[^{}\s]+\s*\}\}/g },
+        { type: 'placeholder', pattern: /\{[\w.:-]*\}/g },
+        { type: 'printf', pattern: /(?<![\w%])%(?:\d+\$)?[-+0#]?\d*(?:\.\d+)?[sdifxXoeEgGcu](?![A-Za-z])/g },
+        { type: 'ticket', pattern: /(?<![\w-])(?:[A-Z][A-Z0-9]{1,9}-\d+|#\d{2,}|(?:INC|REQ|RITM|CHG|PRB|TASK)\d{5,})(?![\w-])/g },
+        // Phone numbers have an international prefix, an area code in parentheses, or at least three
+        // groups of digits; dates such as 2024-01-15, IP addresses and numbers grouped in thousands do not
+        {
+            type: 'phone',
+            pattern: /(?<![\w+.,-])(?!\d{4}[-.]\d{1,2}[-.]\d{1,2}(?!\d)|\d{1,3}(?:\.\d{1,3}){3}(?!\d)|\d{1,2}[-.]\d{1,2}[-.]\d{4}(?!\d)|\d{1,3}(?:[ .]\d{3})+(?![\d.,]))(?:\+\d{1,3}(?:[ .-]?\(\d{1,4}\))?(?:[ .-]?\d{1,4}){2,}|\(\d{2,4}\)[ .-]?\d{2,4}(?:[ .-]?\d{2,4})+|\d{2,4}(?:[ .-]\d{2,4}){2,})(?![\w-]|[.,]\d)/g
+        }
+    ];
+
+    /**
+     * Escapes a string for use inside a regular expression.
+     * @param {string} string - The literal text.
+     * @returns {string} The escaped pattern.
+     */
+    function escapeRegex(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Builds a case-insensitive regex matching any of the terms as whole words.
+     * @param {string[]} terms - The literal terms.
+     * @returns {RegExp} The global, case-insensitive pattern.
+     */
+    function buildTermRegex(terms) {
+        const alternatives = terms
+            .slice()
+            .sort((a, b) => b.length - a.length) // Prefer the longest match
+            .map(escapeRegex)
+            .join('|');
+        return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+    }
+
+    /**
+     * Finds the protected tokens (URLs, emails, phone numbers, ticket IDs, placeholders,
+     * template tokens, inline code and the given glossary terms) in a text.
+     * @param {string} text - The text to scan.
+     * @param {string[]} [terms] - Glossary terms to protect, matched as whole words in any case.
+     *     Their tokens carry the term as written in the glossary, so a re-cased one gets restored.
+     * @returns {Array<{type: string, value: string, start: number, end: number}>} Non-overlapping tokens, in order.
+     */
+    function tokenizeProtectedContent(text, terms = []) {
+        const candidates = [];
+        PROTECTED_TOKEN_PATTERNS.forEach(({ type, pattern }, priority) => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                const value = match[0].trim();
+                // Anything looser than seven digits is more likely a plain number or date
+                if (type === 'phone' && value.replace(/\D/g, '').length < 7) {
+                    continue;
+                }
+                candidates.push({ type, value, start: match.index, end: match.index + match[0].length, priority });
+            }
+        });
+        if (terms.length > 0) {
+            // Glossary terms give way to every other kind of token
+            const termsByCase = new Map(terms.map(term => [term.toLowerCase(), term]));
+            const termPattern = buildTermRegex(terms);
+            let match;
+            while ((match = termPattern.exec(text)) !== null) {
+                const value = termsByCase.get(match[0].toLowerCase()) || match[0];
+                candidates.push({ type: 'glossary', value, start: match.index, end: match.index + match[0].length, priority: PROTECTED_TOKEN_PATTERNS.length });
+            }
+        }
+        candidates.sort((a, b) => a.start - b.start || a.priority - b.priority);
+
+        const tokens = [];
+        let lastEnd = 0;
+        candidates.forEach(candidate => {
+            if (candidate.start >= lastEnd) {
+                tokens.push({ type: candidate.type, value: candidate.value, start: candidate.start, end: candidate.end });
+                lastEnd = candidate.end;
+            }
+        });
+        return tokens;
+    }
+
+    /**
+     * Applies a replacement to the parts of text outside protected tokens (URLs, emails, code,
+     * placeholders, glossary terms...), so typographic fixes cannot break them.
+     * @param {string} text - The text.
+     * @param {RegExp} pattern - A global pattern.
+     * @param {string|Function} replacement - As for String.prototype.replace().
+     * @param {string[]} [terms] - Glossary terms to leave untouched as well.
+     * @returns {string} The text with the replacement applied outside protected tokens.
+     */
+    function replaceOutsideProtectedTokens(text, pattern, replacement, terms = []) {
+        let result = '';
+        let position = 0;
+        tokenizeProtectedContent(text, terms).forEach(token => {
+            result += text.slice(position, token.start).replace(pattern, replacement) + text.slice(token.start, token.end);
+            position = token.end;
+        });
+        return result + text.slice(position).replace(pattern, replacement);
+    }
+
+    return {
+        PROTECTED_TOKEN_PATTERNS,
+        escapeRegex,
+        buildTermRegex,
+        tokenizeProtectedContent,
+        replaceOutsideProtectedTokens
+    };
+}));
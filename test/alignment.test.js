@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    ALIGNMENT_LOW_CONFIDENCE,
+    splitListMarker,
+    segmentSentences,
+    alignTranslation,
+    pairSentences
+} = require('../lib/alignment');
+const fixtures = require('./fixtures/alignment.json');
+
+describe('alignTranslation', () => {
+    test.each(fixtures.map(fixture => [fixture.name, fixture]))('%s', (name, fixture) => {
+        const alignment = alignTranslation(fixture.input, fixture.output);
+        const lowConfidence = alignment.confidence
+            .map((confidence, index) => (confidence < ALIGNMENT_LOW_CONFIDENCE ? index : -1))
+            .filter(index => index !== -1);
+
+        expect(alignment.lines).toEqual(fixture.expected);
+        expect(lowConfidence).toEqual(fixture.lowConfidence);
+    });
+
+    test('reports the sentences matched on each side', () => {
+        const alignment = alignTranslation(['Hello there. How are you?', '', 'Fine.'], 'Bonjour. Comment allez-vous? Bien.');
+
+        expect(alignment.groups[0].inputSentences.map(sentence => sentence.text)).toEqual(['Hello there.', 'How are you?']);
+        expect(alignment.groups[0].outputSentences).toEqual(['Bonjour.', 'Comment allez-vous?']);
+        expect(alignment.groups[1]).toBeNull();
+        expect(alignment.confidence[1]).toBe(1);
+    });
+});
+
+describe('segmentSentences', () => {
+    test('splits on terminal punctuation and keeps offsets', () => {
+        const text = 'First one. Second one! Third?';
+
+        expect(segmentSentences(text)).toEqual([
+            { text: 'First one.', start: 0, end: 10 },
+            { text: 'Second one!', start: 11, end: 22 },
+            { text: 'Third?', start: 23, end: 29 }
+        ]);
+    });
+
+    test('does not split after abbreviations, initials, decimals or lowercase continuations', () => {
+        const sentences = segmentSentences('Dr. Smith left at 3.15 p.m. and came back. J. R. R. Tolkien wrote it, e.g. in 1937.');
+
+        expect(sentences.map(sentence => sentence.text)).toEqual([
+            'Dr. Smith left at 3.15 p.m. and came back.',
+            'J. R. R. Tolkien wrote it, e.g. in 1937.'
+        ]);
+    });
+
+    test('does not split inside protected tokens', () => {
+        const sentences = segmentSentences('Mail jane.doe@example.com. Then visit www.example.com. Done.');
+
+        expect(sentences.map(sentence => sentence.text)).toEqual(['Mail jane.doe@example.com.', 'Then visit www.example.com.', 'Done.']);
+    });
+
+    test('splits CJK sentences without spaces between them', () => {
+        expect(segmentSentences('你好。世界！').map(sentence => sentence.text)).toEqual(['你好。', '世界！']);
+    });
+});
+
+describe('splitListMarker', () => {
+    test.each([
+        ['  - Item', { prefix: '  - ', marker: '-', body: 'Item' }],
+        ['2. Item', { prefix: '2. ', marker: '2.', body: 'Item' }],
+        ['b) Item', { prefix: 'b) ', marker: 'b)', body: 'Item' }],
+        ['Plain text', { prefix: '', marker: '', body: 'Plain text' }]
+    ])('splits %j', (line, expected) => {
+        expect(splitListMarker(line)).toEqual(expected);
+    });
+});
+
+describe('pairSentences', () => {
+    test('pairs sentence by sentence, or whole lines when the counts differ', () => {
+        expect(pairSentences('Hello. Bye.\nThanks a lot.', 'Bonjour. Au revoir.\nMerci. Vraiment.')).toEqual([
+            { source: 'Hello.', target: 'Bonjour.' },
+            { source: 'Bye.', target: 'Au revoir.' },
+            { source: 'Thanks a lot.', target: 'Merci. Vraiment.' }
+        ]);
+    });
+});
+
+describe('loading in the page', () => {
+    test('registers the modules on window, as the userscript\'s @require lines do', () => {
+        delete window.BingTranslateOverhaul;
+        ['protected-tokens.js', 'alignment.js'].forEach(file => {
+            const script = document.createElement('script');
+            script.textContent = fs.readFileSync(path.join(__dirname, '..', 'lib', file), 'utf8');
+            document.head.appendChild(script);
+        });
+
+        expect(window.BingTranslateOverhaul.alignment.alignTranslation(['One.', 'Two.'], 'Un. Deux.').lines).toEqual(['Un.', 'Deux.']);
+    });
+});
@@ -0,0 +1,20 @@
+const { markHighlight, extractHighlights } = require('../lib/highlights');
+
+describe('extractHighlights', () => {
+    test('strips the markers and returns the ranges they enclosed, enclosing ranges first', () => {
+        const marked = `Ligne ${markHighlight(`avec ${markHighlight('a@b.com', 'custom_token_fix')}`, 'custom_alignment_warning')} et ${markHighlight('chat', 'custom_glossary_fix')}`;
+
+        expect(extractHighlights(marked)).toEqual({
+            text: 'Ligne avec a@b.com et chat',
+            ranges: [
+                { start: 6, end: 18, className: 'custom_alignment_warning', title: 'Low-confidence line alignment: check this line against the input' },
+                { start: 11, end: 18, className: 'custom_token_fix', title: 'Restored from the input: a@b.com' },
+                { start: 22, end: 26, className: 'custom_glossary_fix', title: 'Glossary: chat' }
+            ]
+        });
+    });
+
+    test('drops empty ranges and unmatched end markers', () => {
+        expect(extractHighlights(`a${markHighlight('', 'custom_token_fix')}bc`)).toEqual({ text: 'abc', ranges: [] });
+    });
+});
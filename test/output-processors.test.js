@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    restoreProtectedTokens,
+    applyFrenchTypography,
+    applySmartQuotes,
+    parseOutputRules,
+    formatOutputRules,
+    OUTPUT_PROCESSORS
+} = require('../lib/output-processors');
+const { extractHighlights } = require('../lib/highlights');
+
+const NBSP = '\u00a0';
+const NARROW_NBSP = '\u202f';
+
+function getProcessor(id) {
+    return OUTPUT_PROCESSORS.find(processor => processor.id === id);
+}
+
+// Runs one processor the way the userscript does, returning the plain text and highlighted spans.
+// Results the processor reports are left on the context.
+function runProcessor(id, text, context) {
+    context.glossaryRules = context.glossaryRules || [];
+    const result = extractHighlights(getProcessor(id).run(text, context));
+    return { text: result.text, highlighted: result.ranges.map(range => [result.text.slice(range.start, range.end), range.className]) };
+}
+
+describe('OUTPUT_PROCESSORS', () => {
+    test('run in the documented order', () => {
+        expect(OUTPUT_PROCESSORS.map(processor => processor.id)).toEqual([
+            'lineBreaks', 'emails', 'protectedTokens', 'glossary', 'frenchTypography', 'smartQuotes', 'userRules', 'trailingWhitespace'
+        ]);
+    });
+
+    test('enable French typography for French targets only and smart quotes nowhere by default', () => {
+        expect(['fr', 'fr-CA', 'en', '', null].map(code => getProcessor('frenchTypography').enabledFor(code))).toEqual([true, true, false, false, false]);
+        expect(getProcessor('smartQuotes').enabledFor('en')).toBe(false);
+        expect(getProcessor('lineBreaks').enabledFor('fr')).toBe(true);
+    });
+});
+
+describe('lineBreaks', () => {
+    test('splits the output back into the input lines and reports the alignment', () => {
+        const context = { inputText: 'Hello there.\nHow are you?', inputLines: ['Hello there.', 'How are you?'] };
+
+        expect(runProcessor('lineBreaks', 'Bonjour. Comment allez-vous ?', context)).toEqual({
+            text: 'Bonjour.\nComment allez-vous ?',
+            highlighted: []
+        });
+        expect(context.alignment.lines).toEqual(['Bonjour.', 'Comment allez-vous ?']);
+    });
+
+    test('marks the lines it is unsure of', () => {
+        const context = { inputText: 'One.\nTwo.', inputLines: ['One.', 'Two.'] };
+
+        expect(runProcessor('lineBreaks', 'Un. Deux. Trois. Quatre. Cinq. Six.', context).highlighted).toEqual([
+            ['Un. Deux. Trois.', 'custom_alignment_warning'],
+            ['Quatre. Cinq. Six.', 'custom_alignment_warning']
+        ]);
+    });
+});
+
+describe('emails', () => {
+    test('puts back emails that were broken apart, and only emails', () => {
+        const context = { inputText: 'Write to john.doe@example.com about {name}.' };
+        const result = runProcessor('emails', 'Écrivez à john.doe @ example. com à propos de {nom}.', context);
+
+        expect(result.text).toBe('Écrivez à john.doe@example.com à propos de {nom}.');
+        expect(result.highlighted).toEqual([['john.doe@example.com', 'custom_token_fix']]);
+        expect(context.tokenResult).toEqual({ restored: ['john.doe@example.com'], dropped: [] });
+    });
+
+    test('reports an email missing from the output', () => {
+        const context = { inputText: 'Write to a@b.com', tokenResult: { restored: [], dropped: [] } };
+
+        expect(runProcessor('emails', 'Écrivez-nous', context).text).toBe('Écrivez-nous');
+        expect(context.tokenResult.dropped).toEqual(['a@b.com']);
+    });
+});
+
+describe('protectedTokens', () => {
+    test('restores placeholders and code that were broken or translated, leaving emails to their own processor', () => {
+        const context = { inputText: 'Write to john.doe@example.com about {name} and `npm test`.', tokenResult: { restored: ['a@b.com'], dropped: [] } };
+        const result = runProcessor('protectedTokens', 'Écrivez à john.doe @ example. com à propos de {nom} et `test npm`.', context);
+
+        expect(result.text).toBe('Écrivez à john.doe @ example. com à propos de {name} et `npm test`.');
+        expect(result.highlighted.map(([text]) => text)).toEqual(['{name}', '`npm test`']);
+        expect(context.tokenResult).toEqual({ restored: ['a@b.com', '{name}', '`npm test`'], dropped: [] });
+    });
+
+    test('restores "never translate" glossary terms and reports those it cannot find', () => {
+        const glossaryRules = [{ source: 'Acme Cloud', target: 'Acme Cloud', variants: [] }];
+        const context = { inputText: 'Try Acme Cloud today', glossaryRules };
+
+        expect(runProcessor('protectedTokens', 'Essayez acme  cloud aujourd\'hui', context).text).toBe('Essayez Acme Cloud aujourd\'hui');
+
+        runProcessor('protectedTokens', 'Essayez Nuage Acme aujourd\'hui', context);
+        expect(context.tokenResult.dropped).toEqual(['Acme Cloud']);
+    });
+
+    test('leaves an output with every token intact unchanged', () => {
+        expect(restoreProtectedTokens('See https://example.com', 'Voir https://example.com')).toEqual({
+            text: 'Voir https://example.com',
+            restored: [],
+            dropped: []
+        });
+    });
+});
+
+describe('glossary', () => {
+    const glossaryRules = [
+        { source: 'sign-in', target: 'connexion', variants: ['ouverture de session'] },
+        { source: 'cat', target: 'chat', variants: [] },
+        { source: 'dog', target: 'chien', variants: [] }
+    ];
+
+    test('replaces known wrong renderings and re-cased targets of terms used in the input', () => {
+        const context = { inputText: 'Please sign-in now. The cat sleeps.', glossaryRules };
+        const result = runProcessor('glossary', 'Veuillez faire l\'ouverture de session maintenant. Le Chat dort.', context);
+
+        expect(result.text).toBe('Veuillez faire l\'connexion maintenant. Le chat dort.');
+        expect(result.highlighted).toEqual([['connexion', 'custom_glossary_fix'], ['chat', 'custom_glossary_fix']]);
+        expect(context.glossaryResult).toMatchObject({ fixed: 2, missing: [] });
+    });
+
+    test('reports required terms missing from the output and ignores terms the input does not use', () => {
+        const context = { inputText: 'The cat and the dog.', glossaryRules };
+
+        expect(runProcessor('glossary', 'Le félin et le chien.', context).text).toBe('Le félin et le chien.');
+        expect(context.glossaryResult).toMatchObject({ fixed: 0, missing: ['chat'] });
+    });
+});
+
+describe('frenchTypography', () => {
+    test('adds no-break spaces before high punctuation and inside guillemets', () => {
+        expect(applyFrenchTypography('Note: ceci; cela! quoi? "oui"')).toBe(
+            `Note${NBSP}: ceci${NARROW_NBSP}; cela${NARROW_NBSP}! quoi${NARROW_NBSP}? «${NBSP}oui${NBSP}»`
+        );
+    });
+
+    test('does not double existing spacing', () => {
+        expect(applyFrenchTypography(`«${NBSP}déjà${NBSP}» Oui${NARROW_NBSP}!`)).toBe(`«${NBSP}déjà${NBSP}» Oui${NARROW_NBSP}!`);
+    });
+
+    test('leaves times and URLs untouched', () => {
+        expect(applyFrenchTypography('Rendez-vous à 10:30 sur https://example.com/a?b=1:2')).toBe('Rendez-vous à 10:30 sur https://example.com/a?b=1:2');
+    });
+
+    test('leaves glossary targets as written', () => {
+        const context = { glossaryRules: [{ source: 'Yahoo!', target: 'Yahoo!', variants: [] }] };
+
+        expect(runProcessor('frenchTypography', 'Allez sur Yahoo! Vraiment?', context).text).toBe(`Allez sur Yahoo! Vraiment${NARROW_NBSP}?`);
+    });
+});
+
+describe('smartQuotes', () => {
+    test('curls quotes and apostrophes by their position', () => {
+        expect(applySmartQuotes('He said "it\'s fine" and \'ok\' ("really").')).toBe('He said “it’s fine” and ‘ok’ (“really”).');
+    });
+
+    test('leaves code and glossary targets untouched', () => {
+        const context = { glossaryRules: [{ source: 'Rock \'n\' Roll', target: 'Rock \'n\' Roll', variants: [] }] };
+
+        expect(applySmartQuotes('Run `echo "x"` in the "docs" folder')).toBe('Run `echo "x"` in the “docs” folder');
+        expect(runProcessor('smartQuotes', 'It\'s Rock \'n\' Roll', context).text).toBe('It’s Rock \'n\' Roll');
+    });
+});
+
+describe('userRules', () => {
+    test('applies the rules in order and skips one that fails', () => {
+        const failed = [];
+        const context = {
+            outputRules: [
+                { pattern: 'foo', flags: 'g', replacement: 'bar' },
+                { pattern: 'x(\\d)', flags: 'gi', replacement: 'y$1' },
+                { pattern: 'bar', flags: 'gz', replacement: '' }
+            ],
+            onRuleError: (rule, err) => failed.push([rule.flags, err.name])
+        };
+
+        expect(runProcessor('userRules', 'foo X3 bar', context).text).toBe('bar y3 bar');
+        expect(failed).toEqual([['gz', 'SyntaxError']]);
+    });
+
+    test('parse and format the editable rule lines', () => {
+        const parsed = parseOutputRules('# comment\n\n/foo/i => bar\nbad line\n/(x/ => y\n/a/g =>');
+
+        expect(parsed.rules).toEqual([
+            { pattern: 'foo', flags: 'ig', replacement: 'bar' },
+            { pattern: 'a', flags: 'g', replacement: '' }
+        ]);
+        expect(parsed.errors).toEqual([
+            'Line 4: expected /pattern/flags => replacement',
+            expect.stringMatching(/^Line 5: /)
+        ]);
+        expect(formatOutputRules(parsed.rules)).toBe('/foo/ig => bar\n/a/g => ');
+    });
+});
+
+describe('trailingWhitespace', () => {
+    test('removes spaces, tabs and no-break spaces at the end of each line only', () => {
+        expect(runProcessor('trailingWhitespace', `a  b  \nc\t${NBSP}\n  d${NARROW_NBSP}`, {}).text).toBe('a  b\nc\n  d');
+    });
+});
+
+describe('loading in the page', () => {
+    test('registers the module on window after its dependencies, in the userscript\'s @require order', () => {
+        delete window.BingTranslateOverhaul;
+        ['protected-tokens.js', 'highlights.js', 'alignment.js', 'output-processors.js'].forEach(file => {
+            const script = document.createElement('script');
+            script.textContent = fs.readFileSync(path.join(__dirname, '..', 'lib', file), 'utf8');
+            document.head.appendChild(script);
+        });
+
+        expect(window.BingTranslateOverhaul.outputProcessors.applyFrenchTypography('Oui!')).toBe(`Oui${NARROW_NBSP}!`);
+    });
+});
@@ -0,0 +1,136 @@
+const { waitForTranslation } = require('../lib/output-wait');
+
+const SETTLE_DELAY = 1000;
+
+// A stand-in for the userscript's element registry: output-settled follows the last change of
+// either pane by SETTLE_DELAY, as on the page.
+function createRegistry() {
+    const listeners = {};
+    let settleTimer = null;
+    const registry = {
+        output: 'Old translation.',
+        onEvent(name, callback) {
+            (listeners[name] = listeners[name] || []).push(callback);
+            return () => {
+                listeners[name] = listeners[name].filter(listener => listener !== callback);
+            };
+        },
+        changeInput() {
+            clearTimeout(settleTimer);
+            settleTimer = setTimeout(() => emit('output-settled', registry.output), SETTLE_DELAY);
+        },
+        writeOutput(text, byScript) {
+            registry.output = text;
+            emit('output-changed', { byScript });
+            registry.changeInput();
+        }
+    };
+    function emit(name, detail) {
+        (listeners[name] || []).slice().forEach(callback => callback(detail));
+    }
+    return registry;
+}
+
+// Starts a wait and records its outcome as soon as it has one.
+function startWait(registry, options) {
+    const wait = waitForTranslation(registry.onEvent, { getOutput: () => registry.output, timeout: 30000, ...options });
+    const outcome = { state: 'pending' };
+    wait.promise.then(
+        value => Object.assign(outcome, { state: 'resolved', value }),
+        error => Object.assign(outcome, { state: 'rejected', error })
+    );
+    return { wait, outcome };
+}
+
+async function advance(ms) {
+    jest.advanceTimersByTime(ms);
+    await Promise.resolve();
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('waitForTranslation', () => {
+    test('does not take the old output, rewritten by the script, for a slow response', async () => {
+        const registry = createRegistry();
+        const { outcome } = startWait(registry);
+
+        registry.changeInput();
+        registry.writeOutput('Old\ntranslation.', true);
+        await advance(SETTLE_DELAY * 3);
+        expect(outcome.state).toBe('pending');
+
+        registry.writeOutput('New translation.', false);
+        await advance(SETTLE_DELAY);
+        expect(outcome).toEqual({ state: 'resolved', value: 'New translation.' });
+    });
+
+    test('waits for the output to settle, including the script\'s rewrite of the new translation', async () => {
+        const registry = createRegistry();
+        const { outcome } = startWait(registry);
+
+        registry.writeOutput('New', false);
+        await advance(SETTLE_DELAY / 2);
+        registry.writeOutput('New translation', false);
+        registry.writeOutput('New\ntranslation', true);
+        await advance(SETTLE_DELAY / 2);
+        expect(outcome.state).toBe('pending');
+
+        await advance(SETTLE_DELAY / 2);
+        expect(outcome).toEqual({ state: 'resolved', value: 'New\ntranslation' });
+    });
+
+    test('accepts a translation identical to the previous one once Bing has written it', async () => {
+        const registry = createRegistry();
+        const { outcome } = startWait(registry);
+
+        registry.changeInput();
+        await advance(SETTLE_DELAY);
+        expect(outcome.state).toBe('pending');
+
+        registry.writeOutput('Old translation.', false);
+        await advance(SETTLE_DELAY);
+        expect(outcome).toEqual({ state: 'resolved', value: 'Old translation.' });
+    });
+
+    test('ignores empty output and output still equal to the previous text', async () => {
+        const registry = createRegistry();
+        const { outcome } = startWait(registry, { previousText: 'Old translation.\n' });
+
+        registry.writeOutput('', false);
+        await advance(SETTLE_DELAY);
+        registry.writeOutput('Old translation.', false);
+        await advance(SETTLE_DELAY);
+        expect(outcome.state).toBe('pending');
+
+        registry.writeOutput('Round trip.', false);
+        await advance(SETTLE_DELAY);
+        expect(outcome).toEqual({ state: 'resolved', value: 'Round trip.' });
+    });
+
+    test('resolves with the output as it is if Bing does not start changing it in time', async () => {
+        const registry = createRegistry();
+        const { outcome } = startWait(registry, { unchangedDelay: 3000 });
+
+        registry.writeOutput('Old\ntranslation.', true);
+        await advance(3000);
+        expect(outcome).toEqual({ state: 'resolved', value: 'Old\ntranslation.' });
+    });
+
+    test('fails after the timeout, and resolves with the output as it is when stopped', async () => {
+        const registry = createRegistry();
+        const timedOut = startWait(registry);
+        const stopped = startWait(registry);
+
+        stopped.wait.stop();
+        await advance(30000);
+        expect(stopped.outcome).toEqual({ state: 'resolved', value: 'Old translation.' });
+        expect(timedOut.outcome.state).toBe('rejected');
+        expect(timedOut.outcome.error.message).toBe('Timed out waiting for Bing to translate.');
+    });
+});
@@ -0,0 +1,81 @@
+const {
+    escapeRegex,
+    buildTermRegex,
+    tokenizeProtectedContent,
+    replaceOutsideProtectedTokens
+} = require('../lib/protected-tokens');
+
+// The tokens found in a text, as "type:value".
+function describeTokens(text, terms) {
+    return tokenizeProtectedContent(text, terms).map(token => `${token.type}:${token.value}`);
+}
+
+describe('tokenizeProtectedContent', () => {
+    test.each([
+        ['code', 'Run `npm test` first', 'code:`npm test`'],
+        ['url', 'See https://example.com/a?b=1.', 'url:https://example.com/a?b=1'],
+        ['url', 'Open www.example.org, then log in', 'url:www.example.org'],
+        ['email', 'Write to john.doe@example.com.', 'email:john.doe@example.com'],
+        ['template', 'Hello {{ user.name }}!', 'template:{{ user.name }}'],
+        ['placeholder', 'Hello {name}, you have {0} messages', 'placeholder:{name}'],
+        ['printf', 'Found %d files in %1$s', 'printf:%d'],
+        ['ticket', 'Fixed in PROJ-123 and #4567', 'ticket:PROJ-123'],
+        ['ticket', 'See INC0012345', 'ticket:INC0012345'],
+        ['phone', 'Call +1 (555) 123-4567 now', 'phone:+1 (555) 123-4567'],
+        ['phone', 'Call +442079460958', 'phone:+442079460958'],
+        ['phone', 'Call (514) 555-1234.', 'phone:(514) 555-1234'],
+        ['phone', 'Tel. 01 23 45 67 89', 'phone:01 23 45 67 89'],
+        ['phone', 'Call 514.555.1234 today', 'phone:514.555.1234']
+    ])('finds %s in %j', (type, text, expected) => {
+        expect(describeTokens(text)).toContain(expected);
+    });
+
+    test.each([
+        ['code', 'A lone ` backtick'],
+        ['url', 'Visit example.com or http:/broken'],
+        ['email', 'Ping @team or user@localhost'],
+        ['template', 'Braces {{ }} and {{two words}}'],
+        ['placeholder', 'A set {a, b} and a JSON {"a": 1}'],
+        ['printf', 'Save 50% today, 100%sure'],
+        ['ticket', 'A #1 hit, Prod-12 and INC123'],
+        ['phone', 'Released on 2024-01-15'],
+        ['phone', 'Released on 15.01.2024'],
+        ['phone', 'Pi is 3.14159265'],
+        ['phone', 'It costs 1 234 567 dollars, or 10.000.000 lire'],
+        ['phone', 'The server is at 192.168.10.20'],
+        ['phone', 'Call 555 1234 or 12-34']
+    ])('finds no %s in %j', (type, text) => {
+        expect(tokenizeProtectedContent(text).filter(token => token.type === type)).toEqual([]);
+    });
+
+    test('does not take decimals for phone numbers once the decimal separator changes', () => {
+        expect(describeTokens('Pi vaut 3,14159265 et e vaut 2,718281828')).toEqual([]);
+    });
+
+    test('returns tokens in order with their offsets, the earlier type winning overlaps', () => {
+        expect(tokenizeProtectedContent('Mail `a@b.com` or a@b.com')).toEqual([
+            { type: 'code', value: '`a@b.com`', start: 5, end: 14 },
+            { type: 'email', value: 'a@b.com', start: 18, end: 25 }
+        ]);
+    });
+
+    test('finds glossary terms as whole words in any case, carrying the glossary spelling', () => {
+        expect(describeTokens('Try ACME cloud, not acmecloud, at https://acme.cloud', ['Acme Cloud', 'cloud'])).toEqual([
+            'glossary:Acme Cloud',
+            'url:https://acme.cloud'
+        ]);
+    });
+});
+
+describe('replaceOutsideProtectedTokens', () => {
+    test('leaves tokens and glossary terms untouched', () => {
+        expect(replaceOutsideProtectedTokens('a:b https://x.com/a:b Yahoo!:c', /:/g, ' :', ['Yahoo!'])).toBe('a :b https://x.com/a:b Yahoo! :c');
+    });
+});
+
+describe('buildTermRegex', () => {
+    test('prefers the longest term and escapes special characters', () => {
+        expect('C++ and C#, C'.match(buildTermRegex(['C', 'C++', 'C#']))).toEqual(['C++', 'C#', 'C']);
+        expect(escapeRegex('a.b*c')).toBe('a\\.b\\*c');
+    });
+});